@@ -23,14 +23,30 @@ app.use(express.json());
  * The 'rooms' Map now stores room data in a new structure:
  * Key: roomId (string)
  * Value: {
- * users: [socket.id_1, socket.id_2],
- * passwordHash: "a-hashed-password-string" | null
+ * users: [socket.id_1, socket.id_2, ...],
+ * passwordHash: "a-hashed-password-string" | null,
+ * capacity: 4
  * }
  * We store a hash of the password, not the password itself.
  * This prevents leaking the actual password, even in memory or logs.
  */
 const rooms = new Map();
 
+// Room capacity limits. The creator of a room picks its capacity (within these
+// bounds); every peer in a room holds one P2P connection to every other peer.
+const DEFAULT_ROOM_CAPACITY = 2;
+const MAX_ROOM_CAPACITY = parseInt(process.env.MAX_ROOM_CAPACITY, 10) || 8;
+
+/**
+ * Clamps a client-requested room capacity to the supported range.
+ * Falls back to the default when the value is missing or not a number.
+ */
+const resolveCapacity = (requested) => {
+  const capacity = parseInt(requested, 10);
+  if (Number.isNaN(capacity)) return DEFAULT_ROOM_CAPACITY;
+  return Math.min(Math.max(capacity, 2), MAX_ROOM_CAPACITY);
+};
+
 // A simple hashing function using Node.js crypto.
 // This is a one-way hash, so we can't reverse it to get the original password.
 // We add a 'salt' (which can be static here) to prevent rainbow table attacks.
@@ -48,10 +64,12 @@ app.get("/health", (req, res) => {
     status: "online",
     timestamp: new Date().toISOString(),
     activeRooms: rooms.size,
+    maxRoomCapacity: MAX_ROOM_CAPACITY,
     // Update this map to correctly read the new room data structure
     rooms: Array.from(rooms.entries()).map(([name, roomData]) => ({
       name,
       userCount: roomData.users.length,
+      capacity: roomData.capacity,
       hasPassword: !!roomData.passwordHash, // Inform health check if room is password protected
     })),
   });
@@ -67,7 +85,7 @@ function logState(label) {
     Array.from(rooms.entries())
       .map(
         ([name, roomData]) =>
-          `${name}: [${roomData.users.join(", ")}] (pass_set: ${!!roomData.passwordHash})`,
+          `${name}: [${roomData.users.join(", ")}]/${roomData.capacity} (pass_set: ${!!roomData.passwordHash})`,
       )
       .join(" | "),
   );
@@ -80,7 +98,7 @@ io.on("connection", (socket) => {
   socket.on("join-room", (data) => {
     try {
       // Destructure data from the client
-      const { roomId, userId, password } = data;
+      const { roomId, userId, password, capacity } = data;
 
       if (!roomId) {
         console.error(`[JOIN-ROOM] Invalid room ID from ${socket.id}`);
@@ -124,9 +142,10 @@ io.on("connection", (socket) => {
         rooms.set(roomId, {
           users: [],
           passwordHash: providedPasswordHash, // Set the password hash for this new room
+          capacity: resolveCapacity(capacity), // Only the creator decides the capacity
         });
         console.log(
-          `[JOIN-ROOM] Created new room: ${roomId} (pass_set: ${!!providedPasswordHash})`,
+          `[JOIN-ROOM] Created new room: ${roomId} (capacity: ${rooms.get(roomId).capacity}, pass_set: ${!!providedPasswordHash})`,
         );
       }
 
@@ -145,14 +164,14 @@ io.on("connection", (socket) => {
       // Check if already in room (using new structure)
       if (room.users.includes(socket.id)) {
         console.log(`[JOIN-ROOM] ${socket.id} already in room ${roomId}`);
-        socket.emit("joined-room", { room: roomId });
+        socket.emit("joined-room", { room: roomId, capacity: room.capacity });
         return;
       }
 
       // Check room capacity (using new structure)
-      if (room.users.length >= 2) {
+      if (room.users.length >= room.capacity) {
         console.log(`[JOIN-ROOM] Room ${roomId} is full`);
-        socket.emit("room-full");
+        socket.emit("room-full", { capacity: room.capacity });
         return;
       }
 
@@ -171,25 +190,32 @@ io.on("connection", (socket) => {
       if (room.users.length === 1) {
         // First user in room
         socket.emit("waiting-for-peer");
-        socket.emit("joined-room", { room: roomId, position: 1 });
+        socket.emit("joined-room", {
+          room: roomId,
+          position: 1,
+          capacity: room.capacity,
+          peers: [],
+        });
         console.log(
           `[JOIN-ROOM] ${socket.id} is waiting for peer in ${roomId}`,
         );
-      } else if (room.users.length === 2) {
-        // Second user joined - get users from `room.users`
-        const [user1, user2] = room.users;
+      } else {
+        // Every existing user opens a connection to the newcomer, so the room
+        // forms a full mesh. The newcomer just waits for their offers.
+        const existingUsers = room.users.filter((id) => id !== socket.id);
+        existingUsers.forEach((userId) => {
+          io.to(userId).emit("user-connected", { userId: socket.id });
+        });
+        socket.emit("joined-room", {
+          room: roomId,
+          position: room.users.length,
+          capacity: room.capacity,
+          peers: existingUsers,
+        });
+
         console.log(
-          `[JOIN-ROOM] Room ${roomId} now has 2 users: ${user1}, ${user2}`,
+          `[JOIN-ROOM] ${existingUsers.length} existing user(s) will initiate connections to ${socket.id}`,
         );
-
-        // Only notify first user to create offer
-        io.to(user1).emit("user-connected", { userId: user2 });
-        io.to(user1).emit("joined-room", { room: roomId, position: 1 });
-
-        // Second user just joins and waits for offer
-        io.to(user2).emit("joined-room", { room: roomId, position: 2 });
-
-        console.log(`[JOIN-ROOM] User1 will initiate connection to User2`);
       }
     } catch (err) {
       console.error(`[JOIN-ROOM] Error:`, err);
@@ -197,51 +223,56 @@ io.on("connection", (socket) => {
     }
   });
 
-  // --- WebRTC Signaling (no changes needed) ---
-  // These handlers just forward messages and don't need the room data.
-  socket.on("offer", ({ roomId, offer }) => {
+  // --- WebRTC Signaling ---
+  // Every signaling message is addressed to one peer (`targetId`), since each
+  // pair of users in a room negotiates its own RTCPeerConnection.
+
+  /**
+   * Resolves the target socket for a signaling message.
+   * Returns null (and logs why) when the sender or target is not in the room.
+   */
+  const resolveSignalTarget = (label, roomId, targetId) => {
+    const room = rooms.get(roomId);
+    if (!room) {
+      console.error(`[${label}] Room ${roomId} not found`);
+      return null;
+    }
+    if (!room.users.includes(socket.id)) {
+      console.error(`[${label}] ${socket.id} is not a member of ${roomId}`);
+      return null;
+    }
+    if (!targetId || !room.users.includes(targetId)) {
+      console.error(`[${label}] Target ${targetId} is not in room ${roomId}`);
+      return null;
+    }
+    return targetId;
+  };
+
+  socket.on("offer", ({ roomId, targetId, offer }) => {
     if (!roomId || !offer) {
       console.error(`[OFFER] Missing roomId or offer from ${socket.id}`);
       return;
     }
     console.log(`[OFFER] Received from ${socket.id} in room ${roomId}`);
-    const room = rooms.get(roomId);
-    if (!room) {
-      console.error(`[OFFER] Room ${roomId} not found`);
-      return;
-    }
-    // Send to other user in room
-    room.users.forEach((userId) => {
-      if (userId !== socket.id) {
-        console.log(`[OFFER] Forwarding offer from ${socket.id} to ${userId}`);
-        io.to(userId).emit("offer", { offer });
-      }
-    });
+    const target = resolveSignalTarget("OFFER", roomId, targetId);
+    if (!target) return;
+    console.log(`[OFFER] Forwarding offer from ${socket.id} to ${target}`);
+    io.to(target).emit("offer", { from: socket.id, offer });
   });
 
-  socket.on("answer", ({ roomId, answer }) => {
+  socket.on("answer", ({ roomId, targetId, answer }) => {
     if (!roomId || !answer) {
       console.error(`[ANSWER] Missing roomId or answer from ${socket.id}`);
       return;
     }
     console.log(`[ANSWER] Received from ${socket.id} in room ${roomId}`);
-    const room = rooms.get(roomId);
-    if (!room) {
-      console.error(`[ANSWER] Room ${roomId} not found`);
-      return;
-    }
-    // Send to other user in room
-    room.users.forEach((userId) => {
-      if (userId !== socket.id) {
-        console.log(
-          `[ANSWER] Forwarding answer from ${socket.id} to ${userId}`,
-        );
-        io.to(userId).emit("answer", { answer });
-      }
-    });
+    const target = resolveSignalTarget("ANSWER", roomId, targetId);
+    if (!target) return;
+    console.log(`[ANSWER] Forwarding answer from ${socket.id} to ${target}`);
+    io.to(target).emit("answer", { from: socket.id, answer });
   });
 
-  socket.on("ice-candidate", ({ roomId, candidate }) => {
+  socket.on("ice-candidate", ({ roomId, targetId, candidate }) => {
     if (!roomId) {
       console.error(`[ICE] Missing roomId from ${socket.id}`);
       return;
@@ -249,20 +280,10 @@ io.on("connection", (socket) => {
     console.log(
       `[ICE] Received from ${socket.id} in room ${roomId}, candidate: ${candidate ? "present" : "null"}`,
     );
-    const room = rooms.get(roomId);
-    if (!room) {
-      console.error(`[ICE] Room ${roomId} not found`);
-      return;
-    }
-    // Forward to other user in room
-    room.users.forEach((userId) => {
-      if (userId !== socket.id) {
-        console.log(
-          `[ICE] Forwarding candidate from ${socket.id} to ${userId}`,
-        );
-        io.to(userId).emit("ice-candidate", { candidate });
-      }
-    });
+    const target = resolveSignalTarget("ICE", roomId, targetId);
+    if (!target) return;
+    console.log(`[ICE] Forwarding candidate from ${socket.id} to ${target}`);
+    io.to(target).emit("ice-candidate", { from: socket.id, candidate });
   });
 
   // --- Disconnect / Leave Handlers (Updated) ---
@@ -277,11 +298,13 @@ io.on("connection", (socket) => {
       if (index > -1) {
         room.users.splice(index, 1);
 
-        // Notify other user
+        // Notify the remaining users
+        room.users.forEach((userId) => {
+          io.to(userId).emit("user-disconnected", { userId: socket.id });
+        });
         if (room.users.length > 0) {
-          io.to(room.users[0]).emit("user-disconnected", { userId: socket.id });
           console.log(
-            `[LEAVE-ROOM] Notified ${room.users[0]} that ${socket.id} left`,
+            `[LEAVE-ROOM] Notified ${room.users.length} user(s) that ${socket.id} left`,
           );
         }
 
@@ -312,13 +335,13 @@ io.on("connection", (socket) => {
             `[DISCONNECT] Removed ${socket.id} from room ${socket.currentRoom}`,
           );
 
-          // Notify other user
+          // Notify the remaining users
+          room.users.forEach((userId) => {
+            io.to(userId).emit("user-disconnected", { userId: socket.id });
+          });
           if (room.users.length > 0) {
-            io.to(room.users[0]).emit("user-disconnected", {
-              userId: socket.id,
-            });
             console.log(
-              `[DISCONNECT] Notified ${room.users[0]} that ${socket.id} disconnected`,
+              `[DISCONNECT] Notified ${room.users.length} user(s) that ${socket.id} disconnected`,
             );
           }
 
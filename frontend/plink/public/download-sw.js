@@ -0,0 +1,98 @@
+/**
+ * Download service worker.
+ *
+ * Turns an incoming transfer into a regular browser download while it is
+ * still arriving, for browsers without the File System Access API. The page
+ * registers a download here with a MessagePort, then opens
+ * `<scope>plink-download/<id>` in a hidden iframe; this worker answers that
+ * request with a stream fed by the port, so chunks go straight to disk and
+ * never have to be collected in memory or IndexedDB first.
+ *
+ * Messages on the port (from the transfer worker, in file order):
+ *   { type: "data", buffer }  - the next bytes of the file, one per "pull"
+ *   { type: "end" }           - the file is complete
+ *   { type: "abort" }         - the transfer was cancelled
+ * and back to it:
+ *   { type: "ready" }         - the download can be opened
+ *   { type: "pull" }          - the stream wants one more buffer
+ *   { type: "cancelled" }     - the user cancelled the download
+ *
+ * The stream only asks for data while the browser is keeping up with
+ * writing it to disk, so the transfer worker holds the rest (and makes the
+ * transfer wait) instead of it piling up here.
+ */
+
+const DOWNLOAD_PATH = "plink-download/";
+// How much data the stream keeps ready for the browser to write
+const STREAM_BUFFER_BYTES = 4 * 1024 * 1024;
+
+// Registered downloads whose request hasn't arrived yet: id -> { name, size, stream }
+const downloads = new Map();
+
+self.addEventListener("install", () => self.skipWaiting());
+
+self.addEventListener("activate", (event) =>
+  event.waitUntil(self.clients.claim()),
+);
+
+self.addEventListener("message", (event) => {
+  const { data } = event;
+  // "keep-alive" messages only exist to stop the browser from stopping us
+  // while a long download is paused
+  if (data?.type !== "create-download") return;
+  const port = event.ports[0];
+  let pulled = null; // Settles the pull waiting for the next message
+  const stream = new ReadableStream(
+    {
+      start(controller) {
+        port.onmessage = ({ data: message }) => {
+          if (message.type === "data") {
+            controller.enqueue(new Uint8Array(message.buffer));
+          } else if (message.type === "end") {
+            controller.close();
+            port.close();
+          } else if (message.type === "abort") {
+            controller.error(new Error("Transfer cancelled"));
+            port.close();
+          }
+          pulled?.();
+          pulled = null;
+        };
+      },
+      pull() {
+        port.postMessage({ type: "pull" });
+        return new Promise((resolve) => {
+          pulled = resolve;
+        });
+      },
+      cancel() {
+        // The user cancelled the download in the browser
+        pulled?.();
+        pulled = null;
+        port.postMessage({ type: "cancelled" });
+        port.close();
+      },
+    },
+    new ByteLengthQueuingStrategy({ highWaterMark: STREAM_BUFFER_BYTES }),
+  );
+  downloads.set(data.id, { name: data.name, size: data.size, stream });
+  port.postMessage({ type: "ready" });
+});
+
+self.addEventListener("fetch", (event) => {
+  const prefix = self.registration.scope + DOWNLOAD_PATH;
+  if (!event.request.url.startsWith(prefix)) return;
+  const id = decodeURIComponent(event.request.url.slice(prefix.length));
+  const download = downloads.get(id);
+  if (!download) {
+    event.respondWith(new Response("Download not found", { status: 404 }));
+    return;
+  }
+  downloads.delete(id);
+  const headers = {
+    "Content-Type": "application/octet-stream",
+    "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(download.name)}`,
+  };
+  if (download.size != null) headers["Content-Length"] = String(download.size);
+  event.respondWith(new Response(download.stream, { headers }));
+});
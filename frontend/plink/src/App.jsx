@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { Upload, Loader2 } from "lucide-react";
+import { Upload } from "lucide-react";
 
 import Starfield from "./components/shared/Starfield";
 import SettingsModal from "./components/shared/SettingsModal";
@@ -10,10 +10,14 @@ import StatusDisplay from "./components/StatusDisplay";
 import Chat from "./components/Chat";
 import FileActions from "./components/FileActions";
 import TransferStats from "./components/TransferStats";
+import PendingTransfers from "./components/PendingTransfers";
+import TransferHistory from "./components/TransferHistory";
+import IncomingOffers from "./components/IncomingOffers";
+import DiagnosticsPanel from "./components/DiagnosticsPanel";
 
 import { usePeerConnection } from "./hooks/usePeerConnection";
-import { processAndZipFolder } from "./services/fileHandler";
-import { DEFAULT_CHUNK_SIZE } from "./utils/constants";
+import { CHUNK_MODES } from "./services/flowControl";
+import { DEFAULT_CHUNK_SIZE, DEFAULT_ROOM_CAPACITY } from "./utils/constants";
 import { log } from "./utils/logger";
 
 import "./index.css";
@@ -22,14 +26,19 @@ export default function App() {
   // --- UI State Management ---
   const [isDragging, setIsDragging] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
-  const [isZipping, setIsZipping] = useState(false);
   const [settings, setSettings] = useState({
-    chunkSize: DEFAULT_CHUNK_SIZE,
+    chunkMode: CHUNK_MODES.AUTO, // Tune chunk size and buffering as we go
+    chunkSize: DEFAULT_CHUNK_SIZE, // Only used in fixed mode
+    fileChannels: 1, // Parallel file channels to stripe transfers across
     compression: true,
   });
 
   // --- New state for password ---
   const [password, setPassword] = useState("");
+  // Whether to encrypt chat and files end-to-end with the password
+  const [encrypt, setEncrypt] = useState(false);
+  // Max peers for the room (only used when we are the one creating it)
+  const [capacity, setCapacity] = useState(DEFAULT_ROOM_CAPACITY);
 
   // --- Core Logic Hook ---
   // All the complex WebRTC/Socket logic is handled by this custom hook.
@@ -39,17 +48,36 @@ export default function App() {
     setRoomName,
     isConnected,
     peerConnected,
+    peers,
+    roomCapacity,
     messages,
-    setMessages,
     error,
-    transferStats,
-    speedData,
+    transfers,
+    pendingTransfers,
+    history,
+    offers,
     connectionState,
+    typingPeers,
+    chatHistoryEnabled,
     channelsReady,
     joinRoom, // This function now expects the password
     leaveRoom,
     sendMessage,
+    notifyTyping,
+    setChatHistoryKept,
+    clearChatHistory,
     sendFile,
+    sendFolder,
+    resumeTransfer,
+    discardPendingTransfer,
+    respondToOffer,
+    setTransferPaused,
+    cancelTransfer,
+    resendFromHistory,
+    clearHistory,
+    sendSnippet,
+    shareClipboard,
+    getDiagnostics,
     serverOnline,
   } = usePeerConnection(settings);
 
@@ -65,20 +93,18 @@ export default function App() {
   };
 
   /**
-   * Handles zipping a folder before sending.
+   * Sends a folder with its directory tree (or as a zip, to peers that
+   * can't write directories).
    */
   const handleSendFolder = useCallback(
     async (files) => {
-      setIsZipping(true);
       try {
-        await processAndZipFolder(files, sendFile, setMessages);
+        await sendFolder(files);
       } catch (err) {
-        log("Folder processing failed", err.message);
-      } finally {
-        setIsZipping(false);
+        log("Folder transfer failed", err.message);
       }
     },
-    [sendFile, setMessages],
+    [sendFolder],
   );
 
   // --- Effects ---
@@ -87,7 +113,7 @@ export default function App() {
   useEffect(() => {
     const handleDragOver = (e) => {
       e.preventDefault();
-      if (peerConnected && channelsReady.file && !isZipping) {
+      if (peerConnected && channelsReady.file) {
         setIsDragging(true);
       }
     };
@@ -98,7 +124,7 @@ export default function App() {
     const handleDrop = async (e) => {
       e.preventDefault();
       setIsDragging(false);
-      if (!peerConnected || !channelsReady.file || isZipping) {
+      if (!peerConnected || !channelsReady.file) {
         return;
       }
       if (!e.dataTransfer.files?.length) {
@@ -120,13 +146,7 @@ export default function App() {
       window.removeEventListener("dragleave", handleDragLeave);
       window.removeEventListener("drop", handleDrop);
     };
-  }, [
-    peerConnected,
-    channelsReady.file,
-    isZipping,
-    sendFile,
-    handleSendFolder,
-  ]);
+  }, [peerConnected, channelsReady.file, sendFile, handleSendFolder]);
 
   return (
     <div className="min-h-screen bg-black text-slate-200 font-sans p-4 sm:p-6 lg:p-8">
@@ -147,19 +167,6 @@ export default function App() {
             </div>
           </motion.div>
         )}
-        {isZipping && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur-md"
-          >
-            <div className="flex flex-col items-center gap-4 p-12 liquid-glass shining-effect rounded-3xl">
-              <Loader2 className="w-16 h-16 text-blue-400 animate-spin" />
-              <p className="text-xl font-bold">Zipping Folder...</p>
-            </div>
-          </motion.div>
-        )}
       </AnimatePresence>
       <SettingsModal
         isOpen={showSettings}
@@ -175,20 +182,41 @@ export default function App() {
           isConnected={isConnected}
           leaveRoom={handleLeaveRoom} // Use the new wrapper function
           roomName={roomName}
+          onOpenSettings={() => setShowSettings(true)}
         />
         <main>
           {!isConnected ? (
             // --- Join Room View ---
             // Pass down password state and the wrapped joinRoom function
-            <JoinRoom
-              roomName={roomName}
-              setRoomName={setRoomName}
-              password={password}
-              setPassword={setPassword}
-              joinRoom={() => joinRoom(password)} // Pass the password to the hook's function
-              error={error}
-              serverOnline={serverOnline}
-            />
+            <>
+              <JoinRoom
+                roomName={roomName}
+                setRoomName={setRoomName}
+                password={password}
+                setPassword={setPassword}
+                encrypt={encrypt}
+                setEncrypt={setEncrypt}
+                capacity={capacity}
+                setCapacity={setCapacity}
+                joinRoom={() => joinRoom(password, capacity, encrypt)} // Pass the password, capacity and encryption choice to the hook's function
+                error={error}
+                serverOnline={serverOnline}
+              />
+              <div className="max-w-md mx-auto space-y-6">
+                <PendingTransfers
+                  pendingTransfers={pendingTransfers}
+                  canResume={false}
+                  onResume={resumeTransfer}
+                  onDiscard={discardPendingTransfer}
+                />
+                <TransferHistory
+                  history={history}
+                  canResend={false}
+                  onResend={resendFromHistory}
+                  onClear={clearHistory}
+                />
+              </div>
+            </>
           ) : (
             // --- Connected View ---
             <>
@@ -196,13 +224,21 @@ export default function App() {
                 isConnected={isConnected}
                 peerConnected={peerConnected}
                 connectionState={connectionState}
-                channelsReady={channelsReady}
+                peers={peers}
+                roomCapacity={roomCapacity}
               />
               <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
                 <Chat
                   messages={messages}
                   sendMessage={sendMessage}
+                  onTyping={notifyTyping}
+                  typingPeers={typingPeers}
                   channelsReady={channelsReady}
+                  showSenders={peers.length > 1}
+                  roomName={roomName}
+                  historyEnabled={chatHistoryEnabled}
+                  onToggleHistory={setChatHistoryKept}
+                  onClearHistory={clearChatHistory}
                 />
                 <motion.aside
                   initial={{ opacity: 0, x: 20 }}
@@ -211,14 +247,36 @@ export default function App() {
                 >
                   <FileActions
                     channelsReady={channelsReady}
-                    isZipping={isZipping}
+                    peerCount={peers.filter((p) => p.file).length}
                     onFileSelect={sendFile}
                     onFolderSelect={handleSendFolder}
+                    onShareClipboard={shareClipboard}
+                    onSendSnippet={sendSnippet}
+                  />
+                  <IncomingOffers offers={offers} onRespond={respondToOffer} />
+                  <PendingTransfers
+                    pendingTransfers={pendingTransfers}
+                    canResume={channelsReady.file}
+                    onResume={resumeTransfer}
+                    onDiscard={discardPendingTransfer}
                   />
-                  <TransferStats
-                    transferStats={transferStats}
-                    speedData={speedData}
+                  {Object.entries(transfers).map(([fileId, stats]) => (
+                    <TransferStats
+                      key={fileId}
+                      transferStats={stats}
+                      onTogglePause={() =>
+                        setTransferPaused(fileId, !stats.paused)
+                      }
+                      onCancel={() => cancelTransfer(fileId)}
+                    />
+                  ))}
+                  <TransferHistory
+                    history={history}
+                    canResend={channelsReady.file}
+                    onResend={resendFromHistory}
+                    onClear={clearHistory}
                   />
+                  <DiagnosticsPanel getDiagnostics={getDiagnostics} />
                 </motion.aside>
               </div>
             </>
@@ -1,22 +1,165 @@
 import React, { useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { Send } from "lucide-react";
+import {
+  Send,
+  Clock,
+  Check,
+  CheckCheck,
+  Archive,
+  FileDown,
+  Trash2,
+} from "lucide-react";
+import { shortPeerId } from "../utils/format";
+import { downloadText } from "../utils/download";
+import {
+  chatToMarkdown,
+  chatToJson,
+  isConversationMessage,
+} from "../services/chatHistory";
+import SnippetCard from "./SnippetCard";
+import TransferCard from "./TransferCard";
+import ChatText from "./ChatText";
 
-const Chat = ({ messages, sendMessage, channelsReady }) => {
+// Rows the message box grows to before it scrolls
+const MAX_INPUT_ROWS = 8;
+
+// Ticks on our messages (see services/chatProtocol.js)
+const STATUS_TICKS = {
+  queued: { Icon: Clock, title: "Waiting for a connection" },
+  sent: { Icon: Check, title: "Sent" },
+  delivered: { Icon: CheckCheck, title: "Delivered" },
+  read: { Icon: CheckCheck, title: "Read", className: "text-cyan-200" },
+};
+
+const StatusTick = ({ status }) => {
+  const tick = STATUS_TICKS[status];
+  if (!tick) return null;
+  return (
+    <span title={tick.title}>
+      <tick.Icon className={`w-3 h-3 ${tick.className || ""}`} />
+    </span>
+  );
+};
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const Chat = ({
+  messages,
+  sendMessage,
+  onTyping,
+  typingPeers,
+  channelsReady,
+  showSenders,
+  roomName,
+  historyEnabled,
+  onToggleHistory,
+  onClearHistory,
+}) => {
   const [messageInput, setMessageInput] = useState("");
+  const hasConversation = messages.some(isConversationMessage);
+
+  const exportAs = (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === "md") {
+      downloadText(
+        chatToMarkdown(roomName, messages),
+        `plink-chat-${roomName}-${date}.md`,
+        "text/markdown",
+      );
+    } else {
+      downloadText(
+        chatToJson(roomName, messages),
+        `plink-chat-${roomName}-${date}.json`,
+        "application/json",
+      );
+    }
+  };
+
+  const toggleHistory = () => {
+    if (
+      historyEnabled &&
+      !window.confirm("Stop saving this room's chat and delete the saved copy?")
+    ) {
+      return;
+    }
+    onToggleHistory(!historyEnabled);
+  };
 
   const handleSendMessage = () => {
     sendMessage(messageInput, setMessageInput);
   };
 
+  const handleInputChange = (e) => {
+    setMessageInput(e.target.value);
+    onTyping(e.target.value !== "");
+  };
+
+  // Enter sends, Shift+Enter starts a new line (as does Enter while an IME
+  // is composing)
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault();
+      handleSendMessage();
+    }
+  };
+
   return (
     <motion.section
       initial={{ opacity: 0, x: -20 }}
       animate={{ opacity: 1, x: 0 }}
       className="lg:col-span-3 flex flex-col liquid-glass shining-effect rounded-2xl h-[70vh] overflow-hidden"
     >
-      <div className="p-4 border-b-2 border-white/5">
+      <div className="p-4 border-b-2 border-white/5 flex items-center gap-2">
         <h3 className="font-semibold text-lg">Chat</h3>
+        <button
+          onClick={toggleHistory}
+          title={
+            historyEnabled
+              ? "Saving this room's chat on this device"
+              : "Save this room's chat on this device, to see it when you rejoin"
+          }
+          className={`ml-auto flex items-center gap-1 px-2 py-1 rounded-lg text-xs transition ${
+            historyEnabled
+              ? "bg-blue-600/80 hover:bg-blue-600"
+              : "bg-slate-700/50 hover:bg-slate-700 text-slate-300"
+          }`}
+        >
+          <Archive className="w-3.5 h-3.5" />
+          {historyEnabled ? "Saved" : "Save"}
+        </button>
+        <button
+          onClick={() => exportAs("md")}
+          disabled={!hasConversation}
+          title="Export the chat as Markdown"
+          className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs bg-slate-700/50 hover:bg-slate-700 transition disabled:opacity-50"
+        >
+          <FileDown className="w-3.5 h-3.5" />
+          MD
+        </button>
+        <button
+          onClick={() => exportAs("json")}
+          disabled={!hasConversation}
+          title="Export the chat as JSON"
+          className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs bg-slate-700/50 hover:bg-slate-700 transition disabled:opacity-50"
+        >
+          <FileDown className="w-3.5 h-3.5" />
+          JSON
+        </button>
+        <button
+          onClick={() =>
+            window.confirm("Clear the chat, including any saved copy?") &&
+            onClearHistory()
+          }
+          disabled={!hasConversation}
+          title="Clear the chat"
+          className="p-1.5 rounded-lg bg-red-600/60 hover:bg-red-600 transition disabled:opacity-50"
+        >
+          <Trash2 className="w-3.5 h-3.5" />
+        </button>
       </div>
       <div className="flex-1 overflow-y-auto p-4 space-y-3">
         <AnimatePresence>
@@ -27,41 +170,69 @@ const Chat = ({ messages, sendMessage, channelsReady }) => {
               animate={{ opacity: 1, y: 0 }}
               exit={{ opacity: 0 }}
               className={`flex ${
-                m.type === "sent"
+                m.type === "sent" || m.direction === "sent"
                   ? "justify-end"
                   : m.type === "system"
                     ? "justify-center"
                     : "justify-start"
               }`}
             >
-              <div
-                className={`max-w-xs px-4 py-2 rounded-2xl flat-button ${
-                  m.type === "sent"
-                    ? "bg-gradient-to-r from-blue-600 to-cyan-500"
-                    : m.type === "system"
-                      ? "bg-white/5 text-slate-300 text-xs"
-                      : "bg-slate-700/80"
-                }`}
-              >
-                {m.text}
-              </div>
+              {m.type === "snippet" ? (
+                <SnippetCard snippet={m} showSender={showSenders} />
+              ) : m.type === "transfer" ? (
+                <TransferCard card={m} showPeer={showSenders} />
+              ) : (
+                <div
+                  className={`max-w-[85%] min-w-0 px-4 py-2 rounded-2xl flat-button ${
+                    m.type === "sent"
+                      ? "bg-gradient-to-r from-blue-600 to-cyan-500"
+                      : m.type === "system"
+                        ? "bg-white/5 text-slate-300 text-xs"
+                        : "bg-slate-700/80"
+                  }`}
+                >
+                  {showSenders && m.type === "received" && m.from && (
+                    <div className="text-[10px] font-mono text-cyan-300/80 mb-0.5">
+                      {shortPeerId(m.from)}
+                    </div>
+                  )}
+                  {m.type === "system" ? m.text : <ChatText text={m.text} />}
+                  {m.sentAt && (
+                    <div className="flex items-center justify-end gap-1 text-[10px] text-white/60 mt-0.5">
+                      {formatTime(m.sentAt)}
+                      <StatusTick status={m.status} />
+                    </div>
+                  )}
+                </div>
+              )}
             </motion.div>
           ))}
         </AnimatePresence>
       </div>
+      {typingPeers.length > 0 && (
+        <div className="px-4 pb-1 text-xs text-slate-400 italic">
+          {showSenders
+            ? `${typingPeers.map(shortPeerId).join(", ")} typing...`
+            : "Typing..."}
+        </div>
+      )}
       <div className="p-4 border-t-2 border-white/5">
-        <div className="flex gap-2">
-          <input
+        <div className="flex items-end gap-2">
+          <textarea
             value={messageInput}
-            onChange={(e) => setMessageInput(e.target.value)}
-            onKeyDown={(e) => e.key === "Enter" && handleSendMessage()}
-            placeholder="Type a message..."
-            disabled={!channelsReady.chat}
-            className="flex-1 px-4 py-3 rounded-xl bg-slate-900/70 border-2 border-white/10 focus:outline-none focus:border-blue-400/50 transition disabled:opacity-50 flat-button"
+            onChange={handleInputChange}
+            onKeyDown={handleKeyDown}
+            rows={Math.min(messageInput.split("\n").length, MAX_INPUT_ROWS)}
+            placeholder={
+              channelsReady.chat
+                ? "Type a message... (Shift+Enter for a new line)"
+                : "Type a message (sent once a peer connects)..."
+            }
+            className="flex-1 px-4 py-3 rounded-xl bg-slate-900/70 border-2 border-white/10 focus:outline-none focus:border-blue-400/50 transition disabled:opacity-50 flat-button resize-none"
           />
           <button
             onClick={handleSendMessage}
-            disabled={!channelsReady.chat || !messageInput.trim()}
+            disabled={!messageInput.trim()}
             className="px-4 py-3 rounded-xl bg-gradient-to-r from-blue-600 to-cyan-500 hover:from-blue-500 hover:to-cyan-400 transition disabled:opacity-50 flat-button"
           >
             <Send className="w-5 h-5" />
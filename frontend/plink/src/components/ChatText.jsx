@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from "react";
+import { Copy, Check } from "lucide-react";
+import { parseChatMarkdown } from "../services/chatMarkdown";
+
+/**
+ * Renders inline nodes from services/chatMarkdown.js. Everything ends up
+ * as React text, so nothing a peer wrote can run.
+ * @param {object[]} nodes
+ * @returns {React.ReactNode[]}
+ */
+function renderInline(nodes) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case "code":
+        return (
+          <code
+            key={i}
+            className="px-1 py-0.5 rounded bg-black/30 font-mono text-[0.85em]"
+          >
+            {node.text}
+          </code>
+        );
+      case "bold":
+        return <strong key={i}>{renderInline(node.children)}</strong>;
+      case "italic":
+        return <em key={i}>{renderInline(node.children)}</em>;
+      case "link":
+        return (
+          <a
+            key={i}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="underline text-cyan-200 hover:text-cyan-100 break-all"
+          >
+            {renderInline(node.children)}
+          </a>
+        );
+      default:
+        return node.text;
+    }
+  });
+}
+
+/**
+ * A fenced code block, scrollable, with a button to copy it.
+ */
+const CodeBlock = ({ lang, code }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      // Clipboard access denied; the code can still be selected by hand
+    }
+  };
+
+  return (
+    <div className="my-1 rounded-lg bg-black/40 text-left">
+      <div className="flex items-center justify-between px-2 pt-1 text-[10px] text-white/50">
+        <span className="font-mono">{lang}</span>
+        <button
+          onClick={copy}
+          title="Copy code"
+          className="flex items-center gap-1 hover:text-white transition"
+        >
+          {copied ? (
+            <Check className="w-3 h-3" />
+          ) : (
+            <Copy className="w-3 h-3" />
+          )}
+          {copied ? "Copied" : "Copy"}
+        </button>
+      </div>
+      <pre className="px-2 pb-2 overflow-x-auto font-mono text-xs whitespace-pre">
+        {code}
+      </pre>
+    </div>
+  );
+};
+
+/**
+ * The text of a chat message, with its markdown subset rendered.
+ */
+const ChatText = ({ text }) => {
+  const blocks = useMemo(() => parseChatMarkdown(text), [text]);
+  return blocks.map((block, i) =>
+    block.type === "code" ? (
+      <CodeBlock key={i} lang={block.lang} code={block.code} />
+    ) : (
+      <div key={i} className="whitespace-pre-wrap break-words">
+        {renderInline(block.children)}
+      </div>
+    ),
+  );
+};
+
+export default ChatText;
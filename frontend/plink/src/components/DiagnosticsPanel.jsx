@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from "react";
+import { Activity, ChevronDown, ChevronUp, FileDown } from "lucide-react";
+import { shortPeerId } from "../utils/format";
+import { downloadText } from "../utils/download";
+
+// How often the panel re-reads the connection state while open
+const POLL_INTERVAL = 1000;
+
+// What each candidate type means for the path the data takes
+const CANDIDATE_LABELS = {
+  host: "direct (LAN)",
+  srflx: "direct (NAT)",
+  prflx: "direct (NAT)",
+  relay: "relayed (TURN)",
+};
+
+const formatMB = (bytes) => (bytes / 1024 / 1024).toFixed(2);
+
+/**
+ * Describes one end of the candidate pair, e.g. "relay (udp, via tcp)".
+ * @param {{type: string, protocol: string, relayProtocol: string|null}|null} end
+ * @returns {string}
+ */
+function formatCandidate(end) {
+  if (!end) return "?";
+  const via = end.relayProtocol ? `, via ${end.relayProtocol}` : "";
+  return `${end.type} (${end.protocol}${via})`;
+}
+
+/**
+ * Live view of every peer connection, polled while open: the path the
+ * data takes, its round trip time and losses, and each channel's traffic
+ * and send buffer. The stats can be saved as JSON to look at later.
+ */
+const DiagnosticsPanel = ({ getDiagnostics }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [peers, setPeers] = useState([]);
+
+  // Polls one snapshot at a time: getStats() can take longer than the interval
+  useEffect(() => {
+    if (!isOpen) return;
+    let active = true;
+    let timer = null;
+    const poll = async () => {
+      const snapshot = await getDiagnostics();
+      if (!active) return;
+      setPeers(snapshot);
+      timer = setTimeout(poll, POLL_INTERVAL);
+    };
+    poll();
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [isOpen, getDiagnostics]);
+
+  const exportStats = async () => {
+    const snapshot = await getDiagnostics();
+    const stamp = new Date().toISOString();
+    downloadText(
+      JSON.stringify({ capturedAt: stamp, peers: snapshot }, null, 2),
+      `plink-stats-${stamp.slice(0, 19).replace(/:/g, "-")}.json`,
+      "application/json",
+    );
+  };
+
+  return (
+    <div className="liquid-glass shining-effect rounded-2xl p-6">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className="w-full flex items-center gap-3"
+      >
+        <Activity className="w-5 h-5 text-blue-400" />
+        <h4 className="font-medium">Diagnostics</h4>
+        {isOpen ? (
+          <ChevronUp className="w-4 h-4 ml-auto text-slate-400" />
+        ) : (
+          <ChevronDown className="w-4 h-4 ml-auto text-slate-400" />
+        )}
+      </button>
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          {peers.length === 0 && (
+            <p className="text-xs text-slate-400">No peer connections.</p>
+          )}
+          {peers.map((peer) => {
+            const { candidatePair: pair } = peer;
+            // Either end being a TURN relay puts the server in the path
+            const pathType =
+              pair?.remote?.type === "relay" ? "relay" : pair?.local?.type;
+            const buffered = peer.channels.reduce(
+              (sum, channel) => sum + channel.bufferedAmount,
+              0,
+            );
+            return (
+              <div key={peer.id}>
+                <div className="flex justify-between text-xs text-slate-400 mb-2">
+                  <span className="font-mono">{shortPeerId(peer.id)}</span>
+                  <span>
+                    {peer.connectionState} · ICE {peer.iceConnectionState}
+                    {peer.iceRestarts > 0 &&
+                      ` · ${peer.iceRestarts} restart${peer.iceRestarts > 1 ? "s" : ""}`}
+                  </span>
+                </div>
+                <div className="text-xs font-mono space-y-0.5 mb-2">
+                  {pair ? (
+                    <>
+                      <div
+                        className={
+                          pathType === "relay"
+                            ? "text-amber-400"
+                            : "text-slate-200"
+                        }
+                      >
+                        {CANDIDATE_LABELS[pathType] || "unknown path"}:{" "}
+                        {formatCandidate(pair.local)} ↔{" "}
+                        {formatCandidate(pair.remote)}
+                      </div>
+                      <div className="text-slate-400">
+                        RTT{" "}
+                        {pair.rtt != null
+                          ? `${Math.round(pair.rtt * 1000)} ms`
+                          : "?"}
+                        {pair.availableOutgoingBitrate != null &&
+                          ` · ${(pair.availableOutgoingBitrate / 1e6).toFixed(1)} Mbit/s out`}
+                        {pair.packetsSent != null &&
+                          ` · ${pair.packetsSent}/${pair.packetsReceived ?? "?"} packets sent/received`}
+                        {pair.packetsDiscardedOnSend > 0 &&
+                          ` · ${pair.packetsDiscardedOnSend} discarded`}
+                      </div>
+                    </>
+                  ) : (
+                    <div className="text-slate-500">No candidate pair yet</div>
+                  )}
+                  <div className="text-slate-400">
+                    SCTP buffered {Math.round(buffered / 1024)} KB in total
+                  </div>
+                </div>
+                <table className="w-full text-xs font-mono">
+                  <thead>
+                    <tr className="text-slate-400 text-left">
+                      <th className="font-normal">Channel</th>
+                      <th className="font-normal text-right">Sent</th>
+                      <th className="font-normal text-right">Received</th>
+                      <th className="font-normal text-right">Buffered</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {peer.channels.map((channel) => (
+                      <tr
+                        key={channel.label}
+                        className={
+                          channel.readyState === "open"
+                            ? "text-slate-200"
+                            : "text-slate-500"
+                        }
+                        title={channel.readyState}
+                      >
+                        <td>{channel.label}</td>
+                        <td className="text-right">
+                          {channel.framesSent} ·{" "}
+                          {formatMB(
+                            channel.transport?.bytesSent ?? channel.bytesSent,
+                          )}{" "}
+                          MB
+                        </td>
+                        <td className="text-right">
+                          {channel.framesReceived} ·{" "}
+                          {formatMB(
+                            channel.transport?.bytesReceived ??
+                              channel.bytesReceived,
+                          )}{" "}
+                          MB
+                        </td>
+                        <td className="text-right">
+                          {Math.round(channel.bufferedAmount / 1024)} KB
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            );
+          })}
+          <button
+            onClick={exportStats}
+            disabled={peers.length === 0}
+            title="Save the full getStats() reports"
+            className="w-full flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-slate-700/50 hover:bg-slate-700 transition disabled:opacity-50"
+          >
+            <FileDown className="w-4 h-4" />
+            Download stats (JSON)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
@@ -1,12 +1,23 @@
-import React from "react";
-import { Upload, Folder } from "lucide-react";
+import React, { useState } from "react";
+import { Upload, Folder, ClipboardPaste, TextQuote, Send } from "lucide-react";
+import { canReadClipboard } from "../services/clipboard";
 
 const FileActions = ({
   channelsReady,
-  isZipping,
+  peerCount,
   onFileSelect,
   onFolderSelect,
+  onShareClipboard,
+  onSendSnippet,
 }) => {
+  // The snippet being written, or null while the editor is closed
+  const [snippet, setSnippet] = useState(null);
+
+  const handleSendSnippet = () => {
+    onSendSnippet(snippet);
+    setSnippet(null);
+  };
+
   const handleFileChange = (e) => {
     if (e.target.files?.[0]) {
       onFileSelect(e.target.files[0]);
@@ -21,7 +32,7 @@ const FileActions = ({
     }
   };
 
-  const isReady = channelsReady.file && !isZipping;
+  const isReady = channelsReady.file;
 
   return (
     <div className="liquid-glass shining-effect rounded-2xl p-6">
@@ -68,12 +79,53 @@ const FileActions = ({
           <span className="font-medium">Folder</span>
         </label>
       </div>
+      <div className="flex gap-2 mb-2">
+        {canReadClipboard() && (
+          <button
+            onClick={onShareClipboard}
+            disabled={!isReady}
+            title="Send what's on your clipboard: text, HTML or an image"
+            className="flex-1 flex items-center justify-center gap-2 py-2 rounded-xl text-sm bg-slate-700/50 hover:bg-slate-700 transition disabled:opacity-50 disabled:cursor-not-allowed flat-button"
+          >
+            <ClipboardPaste className="w-4 h-4" />
+            Clipboard
+          </button>
+        )}
+        <button
+          onClick={() => setSnippet((s) => (s === null ? "" : null))}
+          disabled={!isReady}
+          title="Write a snippet to send"
+          className="flex-1 flex items-center justify-center gap-2 py-2 rounded-xl text-sm bg-slate-700/50 hover:bg-slate-700 transition disabled:opacity-50 disabled:cursor-not-allowed flat-button"
+        >
+          <TextQuote className="w-4 h-4" />
+          Snippet
+        </button>
+      </div>
+      {snippet !== null && (
+        <div className="mb-2">
+          <textarea
+            value={snippet}
+            onChange={(e) => setSnippet(e.target.value)}
+            placeholder="Paste or write text to send..."
+            rows={6}
+            className="w-full px-3 py-2 rounded-xl bg-slate-900/70 border-2 border-white/10 focus:outline-none focus:border-blue-400/50 transition font-mono text-xs flat-button"
+          />
+          <button
+            onClick={handleSendSnippet}
+            disabled={!isReady || !snippet.trim()}
+            className="w-full flex items-center justify-center gap-2 py-2 rounded-xl text-sm bg-gradient-to-r from-blue-600 to-cyan-500 hover:from-blue-500 hover:to-cyan-400 transition disabled:opacity-50 flat-button"
+          >
+            <Send className="w-4 h-4" />
+            Send snippet
+          </button>
+        </div>
+      )}
       <p className="text-xs text-slate-400 text-center">
         {isReady
-          ? "Or drag & drop anywhere"
-          : isZipping
-            ? "Zipping in progress..."
-            : "File channel connecting..."}
+          ? peerCount > 1
+            ? `Sends to all ${peerCount} peers. Or drag & drop anywhere`
+            : "Or drag & drop anywhere"
+          : "File channel connecting..."}
       </p>
     </div>
   );
@@ -1,7 +1,13 @@
 import React from "react";
-import { Users, Wifi, WifiOff, LogOut } from "lucide-react";
+import { Users, Wifi, WifiOff, LogOut, Settings } from "lucide-react";
 
-const Header = ({ serverOnline, isConnected, leaveRoom, roomName }) => {
+const Header = ({
+  serverOnline,
+  isConnected,
+  leaveRoom,
+  roomName,
+  onOpenSettings,
+}) => {
   return (
     <header className="liquid-glass shining-effect rounded-3xl p-4 sm:p-6 mb-6">
       <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
@@ -33,6 +39,13 @@ const Header = ({ serverOnline, isConnected, leaveRoom, roomName }) => {
               {serverOnline ? "Online" : "Offline"}
             </span>
           </div>
+          <button
+            onClick={onOpenSettings}
+            className="p-2 rounded-xl liquid-glass text-slate-300 hover:text-white transition-all"
+            title="Settings"
+          >
+            <Settings className="w-5 h-5" />
+          </button>
           {isConnected && (
             <button
               onClick={leaveRoom}
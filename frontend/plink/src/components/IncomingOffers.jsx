@@ -0,0 +1,126 @@
+import React, { useRef, useState } from "react";
+import { Inbox, Check, Save, X, Folder, FileDiff } from "lucide-react";
+import { shortPeerId } from "../utils/format";
+
+/**
+ * Lists files and folders peers want to send us. Nothing is transferred
+ * until the user accepts; "Save As" picks where the file goes before it
+ * starts, and accepting a folder picks where its tree is recreated.
+ * "Update" takes a file as a delta against an older copy: the one saved
+ * under the same name before, or one the user picks.
+ */
+const IncomingOffers = ({ offers, onRespond }) => {
+  const baseInputRef = useRef(null);
+  // The offer whose older copy is being picked
+  const [pickingFor, setPickingFor] = useState(null);
+
+  if (!offers.length) return null;
+  // Only browsers with the File System Access API can stream to a chosen file
+  const canSaveAs = typeof window.showSaveFilePicker === "function";
+  // ...or write a folder's tree; the others get folders as a zip
+  const canWriteFolders = typeof window.showDirectoryPicker === "function";
+
+  return (
+    <div className="liquid-glass shining-effect rounded-2xl p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <Inbox className="w-5 h-5 text-blue-400" />
+        <h3 className="font-semibold text-lg">Incoming Files</h3>
+      </div>
+      <input
+        ref={baseInputRef}
+        type="file"
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          e.target.value = "";
+          if (file && pickingFor) onRespond(pickingFor, "delta", file);
+          setPickingFor(null);
+        }}
+      />
+      <div className="space-y-3">
+        {offers.map((offer) => (
+          <div
+            key={offer.fileId}
+            className="bg-slate-900/70 rounded-xl p-3 flat-button"
+          >
+            <div className="flex items-center gap-3">
+              {offer.kind === "folder" && (
+                <Folder className="w-8 h-8 text-blue-400 flex-shrink-0" />
+              )}
+              {["image", "video"].includes(offer.preview?.kind) && (
+                <img
+                  src={offer.preview.dataUrl}
+                  alt=""
+                  className="w-12 h-12 rounded-lg object-cover flex-shrink-0"
+                />
+              )}
+              <div className="min-w-0">
+                <div className="text-sm font-mono truncate">{offer.name}</div>
+                <div className="text-xs text-slate-400">
+                  {offer.kind === "folder" &&
+                    `${offer.fileCount} files${canWriteFolders ? "" : " (as a zip)"} · `}
+                  {(offer.size / 1024 / 1024).toFixed(2)} MB
+                  {offer.mimeType && ` · ${offer.mimeType}`} · from{" "}
+                  {shortPeerId(offer.peerId)}
+                </div>
+              </div>
+            </div>
+            {offer.preview?.kind === "text" && (
+              <pre className="mt-2 max-h-24 overflow-hidden text-xs text-slate-300 whitespace-pre-wrap break-all bg-black/30 rounded-lg p-2">
+                {offer.preview.text}
+              </pre>
+            )}
+            <div className="flex gap-2 mt-3">
+              <button
+                onClick={() => onRespond(offer.fileId, "accept")}
+                className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-blue-600/80 hover:bg-blue-600 transition"
+              >
+                <Check className="w-4 h-4" />
+                Accept
+              </button>
+              {canSaveAs && offer.kind !== "folder" && (
+                <button
+                  onClick={() => onRespond(offer.fileId, "save-as")}
+                  className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-slate-700/50 hover:bg-slate-700 transition"
+                >
+                  <Save className="w-4 h-4" />
+                  Save As
+                </button>
+              )}
+              {offer.kind !== "folder" && (
+                <button
+                  onClick={() => {
+                    if (offer.deltaBase != null) {
+                      onRespond(offer.fileId, "delta");
+                    } else {
+                      setPickingFor(offer.fileId);
+                      baseInputRef.current.click();
+                    }
+                  }}
+                  title={
+                    offer.deltaBase != null
+                      ? "Update the copy you saved before; only changes are sent"
+                      : "Pick an older copy to update; only changes are sent"
+                  }
+                  className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-slate-700/50 hover:bg-slate-700 transition"
+                >
+                  <FileDiff className="w-4 h-4" />
+                  Update
+                </button>
+              )}
+              <button
+                onClick={() => onRespond(offer.fileId, "decline")}
+                className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-red-600/60 hover:bg-red-600 transition"
+              >
+                <X className="w-4 h-4" />
+                Decline
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default IncomingOffers;
@@ -1,16 +1,31 @@
 import React from "react";
 import { motion } from "framer-motion";
-import { Key, Zap, AlertCircle, Lock, Hash } from "lucide-react"; // Import new icons
+import {
+  Key,
+  Zap,
+  AlertCircle,
+  Lock,
+  Hash,
+  Users,
+  ShieldCheck,
+} from "lucide-react"; // Import new icons
+import { MAX_ROOM_CAPACITY } from "../utils/constants";
 
 /**
  * This component renders the form for joining a room.
- * It now accepts 'password' and 'setPassword' as props.
+ * It now accepts 'password' and 'setPassword' as props,
+ * 'encrypt' for end-to-end encryption keyed from that password,
+ * plus 'capacity' for the max number of peers when creating a room.
  */
 const JoinRoom = ({
   roomName,
   setRoomName,
   password, // New prop
   setPassword, // New prop
+  encrypt,
+  setEncrypt,
+  capacity,
+  setCapacity,
   joinRoom,
   error,
   serverOnline,
@@ -81,6 +96,49 @@ const JoinRoom = ({
                 autoComplete="current-password"
               />
             </div>
+
+            {/* --- End-to-end encryption (needs a password to derive the key) --- */}
+            <label
+              className={`flex items-center gap-2 text-sm ${password || encrypt ? "text-slate-300" : "text-slate-500"}`}
+            >
+              <input
+                type="checkbox"
+                checked={encrypt}
+                onChange={(e) => setEncrypt(e.target.checked)}
+                disabled={!serverOnline}
+                className="rounded"
+              />
+              <ShieldCheck className="w-4 h-4" />
+              Encrypt chat and files end-to-end with the password
+            </label>
+            {encrypt && !password && (
+              <p className="-mt-2 text-xs text-amber-300">
+                Set a password to encrypt the room.
+              </p>
+            )}
+
+            {/* --- Room Capacity (only applies when creating the room) --- */}
+            <div className="relative">
+              <span className="absolute left-3.5 top-1/2 -translate-y-1/2 text-slate-400">
+                <Users className="w-5 h-5" />
+              </span>
+              <select
+                id="capacity"
+                value={capacity}
+                onChange={(e) => setCapacity(parseInt(e.target.value, 10))}
+                className="w-full pl-11 pr-4 py-3 rounded-xl bg-slate-900/70 border-2 border-white/10 focus:outline-none focus:border-blue-400/50 transition flat-button"
+                disabled={!serverOnline}
+              >
+                {Array.from(
+                  { length: MAX_ROOM_CAPACITY - 1 },
+                  (_, i) => i + 2,
+                ).map((n) => (
+                  <option key={n} value={n}>
+                    Up to {n} peers (new rooms only)
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
 
           {/* --- Join Button --- */}
@@ -0,0 +1,76 @@
+import React from "react";
+import { History, Play, Trash2 } from "lucide-react";
+
+/**
+ * Lists incoming transfers that were cut off (dropped connection or page
+ * reload) and can be resumed once the sender is back in the same room.
+ */
+const PendingTransfers = ({
+  pendingTransfers,
+  canResume,
+  onResume,
+  onDiscard,
+}) => {
+  if (!pendingTransfers.length) return null;
+
+  return (
+    <div className="liquid-glass shining-effect rounded-2xl p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <History className="w-5 h-5 text-amber-400" />
+        <h3 className="font-semibold text-lg">Unfinished Transfers</h3>
+      </div>
+      <div className="space-y-3">
+        {pendingTransfers.map((t) => {
+          const progress = t.totalChunks
+            ? (t.receivedChunks / t.totalChunks) * 100
+            : 0;
+          return (
+            <div
+              key={t.fileId}
+              className="bg-slate-900/70 rounded-xl p-3 flat-button"
+            >
+              <div className="flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="text-sm font-mono truncate">{t.name}</div>
+                  <div className="text-xs text-slate-400">
+                    {(t.size / 1024 / 1024).toFixed(2)} MB · {t.receivedChunks}/
+                    {t.totalChunks} chunks · room {t.room}
+                  </div>
+                </div>
+                <div className="flex gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => onResume(t.fileId)}
+                    disabled={!canResume}
+                    title={
+                      canResume
+                        ? "Ask connected peers to resume"
+                        : "Join the same room to resume"
+                    }
+                    className="p-2 rounded-lg bg-blue-600/80 hover:bg-blue-600 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <Play className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onDiscard(t.fileId)}
+                    title="Discard"
+                    className="p-2 rounded-lg bg-red-600/60 hover:bg-red-600 transition"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              <div className="h-1.5 mt-2 rounded-full bg-white/10 overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-amber-500 to-orange-400"
+                  style={{ width: `${progress}%` }}
+                />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PendingTransfers;
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from "react";
+import { Copy, Check, Download, ClipboardList } from "lucide-react";
+import { shortPeerId } from "../utils/format";
+import { copySnippet, htmlToText } from "../services/clipboard";
+
+// Longest text shown in the chat; copying and saving take all of it
+const PREVIEW_CHARS = 2000;
+
+/**
+ * A snippet a peer shared (see services/clipboard.js), shown in the chat:
+ * a preview, a one-click copy and a button to save it as a file. HTML is
+ * only ever shown as its text.
+ */
+const SnippetCard = ({ snippet, showSender }) => {
+  const { blob, text: name, from } = snippet;
+  const isImage = blob.type.startsWith("image/");
+  const [preview, setPreview] = useState("");
+  const [imageUrl, setImageUrl] = useState(null);
+  const [copied, setCopied] = useState(null); // "done" or "failed", briefly
+
+  useEffect(() => {
+    if (isImage) {
+      const url = URL.createObjectURL(blob);
+      setImageUrl(url);
+      return () => URL.revokeObjectURL(url);
+    }
+    let active = true;
+    blob.text().then((text) => {
+      if (!active) return;
+      const plain = blob.type === "text/html" ? htmlToText(text) : text;
+      setPreview(
+        plain.length > PREVIEW_CHARS
+          ? `${plain.slice(0, PREVIEW_CHARS)}…`
+          : plain,
+      );
+    });
+    return () => {
+      active = false;
+    };
+  }, [blob, isImage]);
+
+  const copy = async () => {
+    try {
+      await copySnippet(blob);
+      setCopied("done");
+    } catch {
+      setCopied("failed");
+    }
+    setTimeout(() => setCopied(null), 2000);
+  };
+
+  const save = () => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+  };
+
+  return (
+    <div className="w-72 max-w-full px-4 py-3 rounded-2xl bg-slate-700/80 flat-button">
+      <div className="flex items-center gap-2 text-xs text-slate-300 mb-2">
+        <ClipboardList className="w-4 h-4 text-cyan-300 flex-shrink-0" />
+        <span className="truncate">
+          {showSender && from && (
+            <span className="font-mono text-cyan-300/80">
+              {shortPeerId(from)}{" "}
+            </span>
+          )}
+          {blob.type} · {(blob.size / 1024).toFixed(1)} KB
+        </span>
+      </div>
+      {isImage ? (
+        imageUrl && (
+          <img
+            src={imageUrl}
+            alt={name}
+            className="max-h-48 rounded-lg object-contain"
+          />
+        )
+      ) : (
+        <pre className="max-h-48 overflow-y-auto text-xs text-slate-200 whitespace-pre-wrap break-words bg-black/30 rounded-lg p-2">
+          {preview}
+        </pre>
+      )}
+      <div className="flex gap-2 mt-2">
+        <button
+          onClick={copy}
+          className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-blue-600/80 hover:bg-blue-600 transition"
+        >
+          {copied === "done" ? (
+            <Check className="w-4 h-4" />
+          ) : (
+            <Copy className="w-4 h-4" />
+          )}
+          {copied === "done"
+            ? "Copied"
+            : copied === "failed"
+              ? "Copy failed"
+              : "Copy"}
+        </button>
+        <button
+          onClick={save}
+          className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-slate-600/60 hover:bg-slate-600 transition"
+        >
+          <Download className="w-4 h-4" />
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SnippetCard;
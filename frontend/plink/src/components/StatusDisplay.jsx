@@ -1,12 +1,18 @@
 import React from "react";
 import { motion } from "framer-motion";
+import { shortPeerId } from "../utils/format";
 
 const StatusDisplay = ({
   isConnected,
   peerConnected,
   connectionState,
-  channelsReady,
+  peers,
+  roomCapacity,
 }) => {
+  const connectedCount = peers.filter(
+    (p) => p.connectionState === "connected",
+  ).length;
+
   const getConnectionColor = () => {
     if (!isConnected)
       return "from-slate-800/20 to-slate-900/20 border-slate-700";
@@ -37,36 +43,47 @@ const StatusDisplay = ({
         <div>
           <div className="font-medium text-slate-100">
             {peerConnected
-              ? "Connected to Peer"
+              ? connectedCount > 1
+                ? `Connected to ${connectedCount} Peers`
+                : "Connected to Peer"
               : connectionState === "waiting"
                 ? "Waiting for Peer"
                 : "Connecting..."}
           </div>
-          <div className="text-xs text-slate-400">State: {connectionState}</div>
+          <div className="text-xs text-slate-400">
+            State: {connectionState}
+            {roomCapacity && ` · Room: ${peers.length + 1}/${roomCapacity}`}
+          </div>
         </div>
       </div>
-      {peerConnected && (
-        <div className="flex gap-4 mt-2 text-xs">
-          <div
-            className={`px-2 py-1 rounded flat-button ${
-              channelsReady.chat
-                ? "bg-emerald-500/20 text-emerald-300"
-                : "bg-amber-500/20 text-amber-300"
-            }`}
-          >
-            Chat: {channelsReady.chat ? "Ready" : "Connecting..."}
+      {peerConnected &&
+        peers.map((peer) => (
+          <div key={peer.id} className="flex items-center gap-4 mt-2 text-xs">
+            {peers.length > 1 && (
+              <span className="font-mono text-slate-300 w-14">
+                {shortPeerId(peer.id)}
+              </span>
+            )}
+            <div
+              className={`px-2 py-1 rounded flat-button ${
+                peer.chat
+                  ? "bg-emerald-500/20 text-emerald-300"
+                  : "bg-amber-500/20 text-amber-300"
+              }`}
+            >
+              Chat: {peer.chat ? "Ready" : "Connecting..."}
+            </div>
+            <div
+              className={`px-2 py-1 rounded flat-button ${
+                peer.file
+                  ? "bg-emerald-500/20 text-emerald-300"
+                  : "bg-amber-500/20 text-amber-300"
+              }`}
+            >
+              File: {peer.file ? "Ready" : "Connecting..."}
+            </div>
           </div>
-          <div
-            className={`px-2 py-1 rounded flat-button ${
-              channelsReady.file
-                ? "bg-emerald-500/20 text-emerald-300"
-                : "bg-amber-500/20 text-amber-300"
-            }`}
-          >
-            File: {channelsReady.file ? "Ready" : "Connecting..."}
-          </div>
-        </div>
-      )}
+        ))}
     </motion.div>
   );
 };
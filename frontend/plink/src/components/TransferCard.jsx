@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from "react";
+import {
+  ArrowUpRight,
+  ArrowDownLeft,
+  FileIcon,
+  Play,
+  ExternalLink,
+  Download,
+} from "lucide-react";
+import { shortPeerId } from "../utils/format";
+
+const STATUS_LABELS = {
+  sending: { text: "Sending...", className: "text-slate-400" },
+  receiving: { text: "Receiving...", className: "text-slate-400" },
+  verified: { text: "Verified", className: "text-emerald-400" },
+  mismatch: { text: "Integrity mismatch", className: "text-red-400" },
+  failed: { text: "Failed", className: "text-red-400" },
+  interrupted: { text: "Interrupted", className: "text-amber-400" },
+  cancelled: { text: "Cancelled", className: "text-slate-400" },
+};
+
+// Types a browser tab shows without running anything from the file; the rest
+// (HTML, SVG) would run as our page if opened, so they can only be saved
+const OPENABLE_TYPES = [
+  /^image\/(png|jpeg|gif|webp|avif|bmp)$/,
+  /^video\//,
+  /^audio\//,
+  /^text\/plain$/,
+  /^application\/pdf$/,
+];
+
+/**
+ * Formats a video length, e.g. 83.4 -> "1:23".
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Finds the data behind a card, if we still have it: what we sent, or what
+ * we received into memory or onto disk. Streamed downloads are gone.
+ * @param {object} card - The chat message.
+ * @returns {Promise<Blob|null>}
+ */
+async function getCardData(card) {
+  if (card.file) return card.file;
+  if (card.blob) return card.blob;
+  if (card.handle) return card.handle.getFile();
+  return null;
+}
+
+/**
+ * One file transfer in the chat timeline: its preview, size and status,
+ * with actions to open it or save it again once it's done. Videos and
+ * audio we still hold play inline.
+ */
+const TransferCard = ({ card, showPeer }) => {
+  const [mediaUrl, setMediaUrl] = useState(null);
+  const [error, setError] = useState(null);
+  const sent = card.direction === "sent";
+  const done = sent || card.status === "verified";
+  const hasData = !!(card.file || card.blob || card.handle);
+  const canOpen =
+    done && hasData && OPENABLE_TYPES.some((t) => t.test(card.mimeType));
+  const canSave = done && hasData && !sent;
+  const isMedia = /^(video|audio)\//.test(card.mimeType);
+  const status = STATUS_LABELS[card.status];
+  const { preview } = card;
+  const peers = sent ? card.to || [] : [card.from];
+
+  useEffect(() => {
+    if (!done || !isMedia) return;
+    let url = null;
+    let active = true;
+    getCardData(card)
+      .then((data) => {
+        if (!active || !data) return;
+        url = URL.createObjectURL(data);
+        setMediaUrl(url);
+      })
+      .catch(() => {}); // No permission to read the file any more: no player
+    return () => {
+      active = false;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [card, done, isMedia]);
+
+  const open = async () => {
+    try {
+      const data = await getCardData(card);
+      // Re-typed so the tab renders it as the type we checked
+      const url = URL.createObjectURL(
+        new Blob([data], { type: card.mimeType }),
+      );
+      window.open(url, "_blank", "noopener");
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    } catch (e) {
+      setError(`Cannot open: ${e.message}`);
+    }
+  };
+
+  const save = async () => {
+    try {
+      const url = URL.createObjectURL(await getCardData(card));
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = card.name;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 100);
+    } catch (e) {
+      setError(`Cannot save: ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="w-72 max-w-full px-4 py-3 rounded-2xl bg-slate-800/80 flat-button">
+      {mediaUrl && card.mimeType.startsWith("video/") ? (
+        <video
+          src={mediaUrl}
+          poster={preview?.dataUrl}
+          controls
+          className="w-full max-h-48 rounded-lg mb-2 bg-black"
+        />
+      ) : mediaUrl ? (
+        <audio src={mediaUrl} controls className="w-full mb-2" />
+      ) : (
+        ["image", "video"].includes(preview?.kind) && (
+          <div className="relative mb-2">
+            <img
+              src={preview.dataUrl}
+              alt=""
+              className="w-full max-h-48 rounded-lg object-contain bg-black/30"
+            />
+            {preview.kind === "video" && (
+              <span className="absolute bottom-1 right-1 flex items-center gap-1 px-1.5 py-0.5 rounded bg-black/60 text-[10px]">
+                <Play className="w-3 h-3" />
+                {formatDuration(preview.duration)}
+              </span>
+            )}
+          </div>
+        )
+      )}
+      {preview?.kind === "text" && (
+        <pre className="mb-2 max-h-24 overflow-hidden text-xs text-slate-300 whitespace-pre-wrap break-all bg-black/30 rounded-lg p-2">
+          {preview.text}
+        </pre>
+      )}
+      <div className="flex items-center gap-2">
+        {sent ? (
+          <ArrowUpRight className="w-4 h-4 text-blue-400 flex-shrink-0" />
+        ) : (
+          <ArrowDownLeft className="w-4 h-4 text-cyan-400 flex-shrink-0" />
+        )}
+        {!preview && (
+          <FileIcon className="w-4 h-4 text-slate-400 flex-shrink-0" />
+        )}
+        <span className="text-sm font-mono truncate">{card.name}</span>
+      </div>
+      <div className="text-xs text-slate-400 mt-1">
+        {(card.size / 1024 / 1024).toFixed(2)} MB
+        {status && (
+          <>
+            {" · "}
+            <span className={status.className}>
+              {status.text}
+              {sent &&
+                card.delivered != null &&
+                ` (${card.delivered}/${peers.length})`}
+            </span>
+          </>
+        )}
+        {showPeer &&
+          ` · ${sent ? "to" : "from"} ${peers.map(shortPeerId).join(", ")}`}
+      </div>
+      {error && <div className="text-xs text-red-400 mt-1">{error}</div>}
+      {(canOpen || canSave) && (
+        <div className="flex gap-2 mt-2">
+          {canOpen && (
+            <button
+              onClick={open}
+              className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-blue-600/80 hover:bg-blue-600 transition"
+            >
+              <ExternalLink className="w-4 h-4" />
+              Open
+            </button>
+          )}
+          {canSave && (
+            <button
+              onClick={save}
+              className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-slate-600/60 hover:bg-slate-600 transition"
+            >
+              <Download className="w-4 h-4" />
+              Save again
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TransferCard;
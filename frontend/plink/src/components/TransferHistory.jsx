@@ -0,0 +1,208 @@
+import React, { useState, useMemo } from "react";
+import {
+  ScrollText,
+  ChevronDown,
+  ChevronUp,
+  ArrowUpRight,
+  ArrowDownLeft,
+  Folder,
+  RotateCw,
+  FileDown,
+  Trash2,
+} from "lucide-react";
+import { shortPeerId } from "../utils/format";
+import { downloadText } from "../utils/download";
+import { historyToCsv, historyToJson } from "../services/transferHistory";
+
+const STATUS_STYLES = {
+  verified: "text-emerald-400",
+  mismatch: "text-red-400",
+  failed: "text-red-400",
+  incomplete: "text-amber-400",
+  interrupted: "text-amber-400",
+  cancelled: "text-slate-400",
+  declined: "text-slate-400",
+};
+
+const formatMB = (bytes) => (bytes / 1024 / 1024).toFixed(2);
+
+/**
+ * Browses every finished transfer (see services/transferHistory.js): filter
+ * by direction, status or name, send a file again, or export what's shown.
+ */
+const TransferHistory = ({ history, canResend, onResend, onClear }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [direction, setDirection] = useState("all");
+  const [status, setStatus] = useState("all");
+  const [query, setQuery] = useState("");
+
+  const shown = useMemo(() => {
+    const text = query.trim().toLowerCase();
+    return history.filter(
+      (entry) =>
+        (direction === "all" || entry.direction === direction) &&
+        (status === "all" || entry.status === status) &&
+        (!text || entry.name.toLowerCase().includes(text)),
+    );
+  }, [history, direction, status, query]);
+
+  const exportAs = (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === "csv") {
+      downloadText(
+        historyToCsv(shown),
+        `plink-history-${date}.csv`,
+        "text/csv",
+      );
+    } else {
+      downloadText(
+        historyToJson(shown),
+        `plink-history-${date}.json`,
+        "application/json",
+      );
+    }
+  };
+
+  return (
+    <div className="liquid-glass shining-effect rounded-2xl p-6">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className="w-full flex items-center gap-3"
+      >
+        <ScrollText className="w-5 h-5 text-blue-400" />
+        <h4 className="font-medium">History</h4>
+        <span className="text-xs text-slate-400">{history.length}</span>
+        {isOpen ? (
+          <ChevronUp className="w-4 h-4 ml-auto text-slate-400" />
+        ) : (
+          <ChevronDown className="w-4 h-4 ml-auto text-slate-400" />
+        )}
+      </button>
+      {isOpen && (
+        <div className="mt-4 space-y-3">
+          <div className="flex gap-2 text-xs">
+            <select
+              value={direction}
+              onChange={(e) => setDirection(e.target.value)}
+              className="bg-slate-900/70 rounded-lg px-2 py-1.5"
+            >
+              <option value="all">All</option>
+              <option value="sent">Sent</option>
+              <option value="received">Received</option>
+            </select>
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="bg-slate-900/70 rounded-lg px-2 py-1.5"
+            >
+              <option value="all">Any status</option>
+              {Object.keys(STATUS_STYLES).map((s) => (
+                <option key={s} value={s}>
+                  {s[0].toUpperCase() + s.slice(1)}
+                </option>
+              ))}
+            </select>
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Filter by name"
+              className="min-w-0 flex-1 bg-slate-900/70 rounded-lg px-2 py-1.5"
+            />
+          </div>
+          {shown.length === 0 && (
+            <p className="text-xs text-slate-400">No transfers.</p>
+          )}
+          <div className="max-h-80 overflow-y-auto space-y-2">
+            {shown.map((entry) => (
+              <div
+                key={entry.id}
+                className="bg-slate-900/70 rounded-xl p-3 flat-button"
+              >
+                <div className="flex items-center gap-2">
+                  {entry.direction === "sent" ? (
+                    <ArrowUpRight className="w-4 h-4 text-blue-400 flex-shrink-0" />
+                  ) : (
+                    <ArrowDownLeft className="w-4 h-4 text-cyan-400 flex-shrink-0" />
+                  )}
+                  {entry.kind === "folder" && (
+                    <Folder className="w-4 h-4 text-slate-400 flex-shrink-0" />
+                  )}
+                  <span className="text-sm font-mono truncate">
+                    {entry.name}
+                  </span>
+                  <span
+                    className={`ml-auto text-xs ${STATUS_STYLES[entry.status] || "text-slate-400"}`}
+                  >
+                    {entry.status}
+                  </span>
+                  {entry.canResend && (
+                    <button
+                      onClick={() => onResend(entry.id)}
+                      disabled={!canResend}
+                      title={
+                        canResend
+                          ? "Send again to connected peers"
+                          : "Connect to a peer to send again"
+                      }
+                      className="p-1.5 rounded-lg bg-blue-600/80 hover:bg-blue-600 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <RotateCw className="w-3.5 h-3.5" />
+                    </button>
+                  )}
+                </div>
+                <div className="text-xs text-slate-400 mt-1">
+                  {new Date(entry.finishedAt).toLocaleString()} ·{" "}
+                  {formatMB(entry.size)} MB
+                  {entry.kind === "folder" &&
+                    ` · ${entry.fileCount} files`} ·{" "}
+                  {(entry.duration / 1000).toFixed(1)} s
+                  {entry.averageSpeed != null &&
+                    ` · ${formatMB(entry.averageSpeed)} MB/s`}
+                  {entry.compressed &&
+                    entry.compressionRatio != null &&
+                    ` · ratio ${(entry.compressionRatio * 100).toFixed(0)}%`}
+                  {entry.room && ` · room ${entry.room}`} ·{" "}
+                  {entry.direction === "sent" ? "to" : "from"}{" "}
+                  {entry.peers.map(shortPeerId).join(", ")}
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => exportAs("csv")}
+              disabled={shown.length === 0}
+              title="Export the transfers shown"
+              className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-slate-700/50 hover:bg-slate-700 transition disabled:opacity-50"
+            >
+              <FileDown className="w-4 h-4" />
+              CSV
+            </button>
+            <button
+              onClick={() => exportAs("json")}
+              disabled={shown.length === 0}
+              title="Export the transfers shown"
+              className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-slate-700/50 hover:bg-slate-700 transition disabled:opacity-50"
+            >
+              <FileDown className="w-4 h-4" />
+              JSON
+            </button>
+            <button
+              onClick={() =>
+                window.confirm("Delete the whole transfer history?") &&
+                onClear()
+              }
+              disabled={history.length === 0}
+              className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-red-600/60 hover:bg-red-600 transition disabled:opacity-50"
+            >
+              <Trash2 className="w-4 h-4" />
+              Clear
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TransferHistory;
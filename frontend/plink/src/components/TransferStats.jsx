@@ -1,6 +1,14 @@
 import React from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { Upload, Download } from "lucide-react";
+import {
+  Upload,
+  Download,
+  ShieldCheck,
+  ShieldAlert,
+  Pause,
+  Play,
+  X,
+} from "lucide-react";
 import {
   LineChart,
   Line,
@@ -12,11 +20,83 @@ import {
 } from "recharts";
 import RadialProgress from "./shared/RadialProgress";
 import AnimatedStat from "./shared/AnimatedStat";
+import { shortPeerId } from "../utils/format";
+
+// Integrity check results, shown once the receiver has hashed the whole file
+const INTEGRITY_BADGES = {
+  verifying: { text: "Verifying...", className: "text-slate-400", Icon: null },
+  verified: {
+    text: "Verified",
+    className: "text-emerald-400",
+    Icon: ShieldCheck,
+  },
+  mismatch: { text: "Mismatch", className: "text-red-400", Icon: ShieldAlert },
+};
+
+// Why a transfer was or wasn't compressed (see services/compressionPolicy.js)
+const COMPRESSION_LABELS = {
+  deflate: "Compressed",
+  disabled: "Compression off",
+  "skipped-type": "Not compressed: already compressed format",
+  "skipped-small": "Not compressed: small file",
+  "skipped-ratio": "Not compressed: barely compressible",
+};
+
+// What each receiver row says, other than progress while it's sending
+const RECEIVER_STATUS_LABELS = {
+  offered: "Waiting for accept...",
+  declined: "Declined",
+  paused: "Paused",
+  cancelled: "Cancelled",
+  waiting: "Confirming...",
+  done: "Delivered",
+  mismatch: "Delivered, integrity mismatch",
+  interrupted: "Interrupted, waiting to resume",
+  failed: "Failed",
+};
 
-const TransferStats = ({ transferStats, speedData }) => {
+// What a receiver reports doing between the last chunk and its confirmation
+const RECEIVER_STAGE_LABELS = {
+  receiving: "Receiving last chunks",
+  finalizing: "Finalizing",
+  verifying: "Verifying",
+};
+
+/**
+ * Describes a receiver's stage, e.g. "Verifying 60%".
+ * @param {{name: string, progress: number|null}} stage - As reported by the receiver.
+ * @returns {string}
+ */
+function formatReceiverStage(stage) {
+  const label = RECEIVER_STAGE_LABELS[stage.name] || "Finishing";
+  return stage.progress != null
+    ? `${label} ${Math.round(stage.progress * 100)}%`
+    : `${label}...`;
+}
+
+const TransferStats = ({ transferStats, onTogglePause, onCancel }) => {
   if (!transferStats) return null;
 
-  const isDownloading = transferStats.receivedSize !== undefined;
+  const isDownloading = transferStats.direction === "receive";
+  const speedData = transferStats.speedData || [];
+  const receivers = Object.entries(transferStats.receivers || {});
+  // A single receiver only gets its own row when it is doing more than sending
+  const showReceivers =
+    receivers.length > 1 ||
+    receivers.some(
+      ([, r]) => !["sending", "waiting", "done"].includes(r.status),
+    );
+  // Pause and cancel only make sense while chunks are still moving
+  const isActive = !transferStats.status && transferStats.progress < 100;
+  const badge = INTEGRITY_BADGES[transferStats.status];
+  const compressionLabel =
+    COMPRESSION_LABELS[transferStats.compressionStrategy];
+  const { compressionRatio, flow, archive, receiverStage, delta } =
+    transferStats;
+  // A folder zip is archived while it is sent (see services/zipStream.js)
+  const archivedPercent = archive?.totalBytes
+    ? (archive.bytesDone / archive.totalBytes) * 100
+    : 100;
 
   return (
     <AnimatePresence>
@@ -33,15 +113,70 @@ const TransferStats = ({ transferStats, speedData }) => {
             <Upload className="w-5 h-5 text-blue-400" />
           )}
           <h4 className="font-medium">
-            {isDownloading ? "Download In Progress" : "Upload In Progress"}
+            {isDownloading ? "Download" : "Upload"}{" "}
+            {transferStats.paused ? "Paused" : "In Progress"}
           </h4>
+          {isDownloading && transferStats.peerId && (
+            <span className="ml-auto text-xs font-mono text-slate-400">
+              from {shortPeerId(transferStats.peerId)}
+            </span>
+          )}
         </div>
-        <p className="text-sm text-slate-300 truncate mb-4 font-mono text-center">
+        <p
+          className={`text-sm text-slate-300 truncate font-mono text-center ${compressionLabel ? "mb-1" : "mb-4"}`}
+        >
           {transferStats.fileName}
-          {transferStats.compressed && (
-            <span className="text-xs text-amber-400 ml-2">(compressed)</span>
-          )}
         </p>
+        {compressionLabel && (
+          <p
+            className={`text-xs text-center mb-4 ${transferStats.compressed ? "text-amber-400" : "text-slate-400"}`}
+          >
+            {compressionLabel}
+            {compressionRatio != null &&
+              ` · sampled ratio ${(compressionRatio * 100).toFixed(0)}%`}
+          </p>
+        )}
+        {delta && (
+          <p className="text-xs text-center text-cyan-400 mb-4">
+            Updating an older copy:{" "}
+            {(delta.literalSize / 1024 / 1024).toFixed(2)} of{" "}
+            {(delta.targetSize / 1024 / 1024).toFixed(2)} MB changed
+          </p>
+        )}
+        {archive && (
+          <div className="text-xs mb-4">
+            <div className="flex justify-between text-slate-400 mb-1">
+              <span>
+                {archive.filesDone < archive.fileCount
+                  ? "Archiving"
+                  : "Archived"}
+              </span>
+              <span>
+                {archive.filesDone}/{archive.fileCount} files ·{" "}
+                {(archive.bytesDone / 1024 / 1024).toFixed(2)} MB
+              </span>
+            </div>
+            <div className="h-1.5 rounded-full bg-white/10 overflow-hidden">
+              <div
+                className="h-full bg-gradient-to-r from-amber-500 to-yellow-400"
+                style={{ width: `${archivedPercent}%` }}
+              />
+            </div>
+          </div>
+        )}
+        {!isDownloading && !showReceivers && receiverStage && (
+          <p className="text-xs text-center text-slate-400 mb-4">
+            Receiver: {formatReceiverStage(receiverStage)}
+          </p>
+        )}
+        {badge && (
+          <p
+            className={`flex items-center justify-center gap-1 text-xs mb-4 ${badge.className}`}
+          >
+            {badge.Icon && <badge.Icon className="w-4 h-4" />}
+            SHA-256 {badge.text}
+          </p>
+        )}
         <div className="flex justify-center mb-4">
           <RadialProgress progress={transferStats.progress} />
         </div>
@@ -89,6 +224,66 @@ const TransferStats = ({ transferStats, speedData }) => {
             </div>
           </div>
         </div>
+        {showReceivers && (
+          <div className="space-y-2 mb-4">
+            {receivers.map(([peerId, r]) => (
+              <div key={peerId} className="text-xs">
+                <div className="flex justify-between text-slate-400 mb-1">
+                  <span className="font-mono">{shortPeerId(peerId)}</span>
+                  <span>
+                    {r.status === "waiting" && r.stage
+                      ? formatReceiverStage(r.stage)
+                      : (RECEIVER_STATUS_LABELS[r.status] ??
+                        `${r.progress.toFixed(1)}% · ${(r.speed / 1024 / 1024).toFixed(2)} MB/s`)}
+                  </span>
+                </div>
+                <div className="h-1.5 rounded-full bg-white/10 overflow-hidden">
+                  <div
+                    className={`h-full ${
+                      ["failed", "mismatch", "cancelled", "declined"].includes(
+                        r.status,
+                      )
+                        ? "bg-red-500"
+                        : "bg-gradient-to-r from-blue-500 to-cyan-400"
+                    }`}
+                    style={{ width: `${r.progress}%` }}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        {isActive && (
+          <div className="flex justify-center gap-2 mb-4">
+            <button
+              onClick={onTogglePause}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-xl text-xs bg-slate-700/50 hover:bg-slate-700 transition flat-button"
+            >
+              {transferStats.paused ? (
+                <Play className="w-4 h-4" />
+              ) : (
+                <Pause className="w-4 h-4" />
+              )}
+              {transferStats.paused ? "Resume" : "Pause"}
+            </button>
+            <button
+              onClick={onCancel}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-xl text-xs bg-red-600/80 hover:bg-red-600 transition flat-button"
+            >
+              <X className="w-4 h-4" />
+              Cancel
+            </button>
+          </div>
+        )}
+        {flow && (
+          <p className="text-xs text-slate-400 text-center font-mono mb-4">
+            {flow.mode === "auto" ? "Auto" : "Fixed"} ·{" "}
+            {Math.round(flow.frameSize / 1024)} KB frames
+            {flow.mode === "auto" &&
+              ` · buffer ${(flow.highWaterMark / 1024 / 1024).toFixed(1)} MB`}
+            {flow.rtt != null && ` · RTT ${Math.round(flow.rtt * 1000)} ms`}
+          </p>
+        )}
         {speedData.length > 1 && (
           <div className="mt-4 bg-slate-900/70 p-3 rounded-xl flat-button">
             <ResponsiveContainer width="100%" height={140}>
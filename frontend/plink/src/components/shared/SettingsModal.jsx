@@ -1,6 +1,7 @@
 import React, { useState } from "react";
 import { motion } from "framer-motion";
-import { DEFAULT_CHUNK_SIZE } from "../../utils/constants";
+import { DEFAULT_CHUNK_SIZE, MAX_FILE_CHANNELS } from "../../utils/constants";
+import { CHUNK_MODES } from "../../services/flowControl";
 
 const SettingsModal = ({ isOpen, onClose, settings, onSettingsChange }) => {
   const [localSettings, setLocalSettings] = useState(settings);
@@ -29,24 +30,82 @@ const SettingsModal = ({ isOpen, onClose, settings, onSettingsChange }) => {
       >
         <h3 className="text-lg font-semibold mb-4">Settings</h3>
         <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium mb-2">Chunk Size</label>
+            <div className="flex gap-2">
+              {[
+                [CHUNK_MODES.AUTO, "Auto"],
+                [CHUNK_MODES.FIXED, "Fixed"],
+              ].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  type="button"
+                  onClick={() =>
+                    setLocalSettings((prev) => ({ ...prev, chunkMode: mode }))
+                  }
+                  className={`flex-1 py-1.5 px-3 rounded-xl text-sm transition ${
+                    localSettings.chunkMode === mode
+                      ? "bg-blue-600"
+                      : "bg-slate-700/50 hover:bg-slate-700"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-slate-400 mt-2">
+              {localSettings.chunkMode === CHUNK_MODES.AUTO
+                ? "Adapts to throughput and latency during each transfer."
+                : "Same size for every chunk. Useful for debugging."}
+            </p>
+          </div>
+          {localSettings.chunkMode === CHUNK_MODES.FIXED && (
+            <div>
+              <label className="block text-sm font-medium mb-2">
+                Fixed Chunk Size: {Math.round(localSettings.chunkSize / 1024)}{" "}
+                KB
+              </label>
+              <input
+                type="range"
+                min="16"
+                max="1024"
+                step="16"
+                value={Math.round(localSettings.chunkSize / 1024)}
+                onChange={(e) =>
+                  setLocalSettings((prev) => ({
+                    ...prev,
+                    chunkSize: parseInt(e.target.value, 10) * 1024,
+                  }))
+                }
+                className="w-full"
+              />
+              <p className="text-xs text-slate-400 mt-1">
+                Capped to the largest message the connection accepts.
+              </p>
+            </div>
+          )}
           <div>
             <label className="block text-sm font-medium mb-2">
-              Chunk Size: {Math.round(localSettings.chunkSize / 1024)} KB
+              Parallel File Channels: {localSettings.fileChannels}
             </label>
             <input
               type="range"
-              min="64"
-              max="2048"
-              step="64"
-              value={Math.round(localSettings.chunkSize / 1024)}
+              min="1"
+              max={MAX_FILE_CHANNELS}
+              step="1"
+              value={localSettings.fileChannels}
               onChange={(e) =>
                 setLocalSettings((prev) => ({
                   ...prev,
-                  chunkSize: parseInt(e.target.value, 10) * 1024,
+                  fileChannels: parseInt(e.target.value, 10),
                 }))
               }
               className="w-full"
             />
+            <p className="text-xs text-slate-400 mt-1">
+              Stripes each transfer across several channels. Applies to new
+              connections; the peer already in the room decides.
+            </p>
           </div>
           <div className="flex items-center gap-2">
             <input
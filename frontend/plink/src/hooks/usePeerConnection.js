@@ -1,75 +1,650 @@
 import { useState, useEffect, useRef, useCallback } from "react";
 import { io } from "socket.io-client";
-import pako from "pako";
 import {
-  storeChunkIndexedDB,
+  storeChunksIndexedDB,
   saveFileMetadataIndexedDB,
+  getFileMetadataIndexedDB,
+  listFileMetadataIndexedDB,
+  getStoredChunkIndicesIndexedDB,
   readAllChunksIndexedDB,
   deleteFileIndexedDB,
+  purgeStaleTransfersIndexedDB,
+  getFreeStorageIndexedDB,
+  addHistoryEntryIndexedDB,
+  getChatHistoryIndexedDB,
+  saveChatHistoryIndexedDB,
+  deleteChatHistoryIndexedDB,
+  getHistoryEntryIndexedDB,
+  listHistoryIndexedDB,
+  clearHistoryIndexedDB,
 } from "../services/indexedDB";
+import { createStreamId, decodeChunkFrame } from "../services/framing";
+import { DIGEST_ALGORITHM } from "../services/integrity";
+import { COMPRESSION_FORMAT } from "../services/compression";
+import {
+  openSource,
+  closeSource,
+  onSourceProgress,
+  chooseSourceCompression,
+  hashSource,
+  readSourceFrame,
+  unpackFrame,
+  hashFile,
+  openDownload,
+  writeDownload,
+  finishDownload,
+  abortDownload,
+  computeBaseSignature,
+  openDeltaSource,
+  openDeltaTarget,
+  writeDeltaLiteral,
+  readDeltaOutput,
+  closeDeltaTarget,
+} from "../services/transferPipeline";
+import {
+  registerDownloadWorker,
+  canStreamDownloads,
+  startDownloadStream,
+} from "../services/downloadStream";
+import {
+  CHUNK_MODES,
+  AUTO_CHUNK_UNIT,
+  getMaxFramePayload,
+  measureRtt,
+  createFlowController,
+} from "../services/flowControl";
+import {
+  deriveRoomSecrets,
+  createHandshakeSalt,
+  deriveSessionKey,
+  seal,
+  unseal,
+  sealJson,
+  unsealJson,
+  sealJsonToBase64,
+  unsealJsonFromBase64,
+} from "../services/encryption";
+import { createFilePreview, sanitizePreview } from "../services/preview";
+import {
+  MAX_SNIPPET_SIZE,
+  readClipboard,
+  createSnippetFile,
+} from "../services/clipboard";
+import { createHistoryEntry } from "../services/transferHistory";
+import {
+  TYPING_INTERVAL,
+  TYPING_TIMEOUT,
+  createChatMessage,
+  createReceipt,
+  createTypingNotice,
+  advanceStatus,
+  summarizeReceipts,
+} from "../services/chatProtocol";
+import {
+  isConversationMessage,
+  toSavedMessages,
+} from "../services/chatHistory";
+import { summarizeStats, statsToJson } from "../services/connectionStats";
+import {
+  splitSignature,
+  joinSignature,
+  splitDeltaOps,
+} from "../services/deltaSync";
+import {
+  getFolderName,
+  buildFolderManifest,
+  splitManifest,
+  createDirectoryAtPath,
+  createFileAtPath,
+} from "../services/fileHandler";
 import { log } from "../utils/logger";
+import { shortPeerId } from "../utils/format";
+import { toRanges, fromRanges, countRanges } from "../utils/ranges";
 import { SERVER_URL } from "../utils/constants";
 
 /**
- * This custom hook manages the entire lifecycle of the P2P connection,
+ * Aggregates per-receiver progress into the top-level sender stats,
+ * so the main progress ring reflects the slowest receiver.
+ * @param {object} receivers - Map of peerId to that receiver's progress.
+ */
+function summarizeReceivers(receivers) {
+  const all = Object.values(receivers);
+  if (all.length === 0) return {};
+  // A receiver that cancelled shouldn't hold the others' progress back
+  const active = all.filter((r) => r.status !== "cancelled");
+  const tracked = active.length ? active : all;
+  const slowest = tracked.reduce((a, b) => (b.progress < a.progress ? b : a));
+  return {
+    sentSize: slowest.sentSize,
+    progress: slowest.progress,
+    speed: tracked.reduce((sum, r) => sum + r.speed, 0),
+    chunks: slowest.chunks,
+    flow: slowest.flow,
+    // What the receiver is doing after the last chunk (e.g. verifying)
+    receiverStage: slowest.status === "waiting" ? slowest.stage : null,
+    // How much of the file the receiver needs, when it updates an older copy
+    delta: slowest.delta,
+  };
+}
+
+/**
+ * Sums up a delta transfer for the UI.
+ * @param {object} metadata - A transfer's (per-receiver) metadata.
+ * @returns {{literalSize: number, targetSize: number}|null} How much of the
+ *   file is sent and how big it is, or null for a whole-file transfer.
+ */
+function describeDelta(metadata) {
+  return metadata.delta
+    ? { literalSize: metadata.size, targetSize: metadata.delta.targetSize }
+    : null;
+}
+
+/**
+ * Tells whether file metadata a sender sends still describes the file we
+ * agreed to, or started, receiving.
+ * @param {object} expected - What we hold for the transfer.
+ * @param {object} meta - What the sender sent now.
+ * @param {string[]} fields - The fields that must be the same.
+ * @returns {boolean}
+ */
+function metadataMatches(expected, meta, fields) {
+  return fields.every((field) => expected[field] === meta[field]);
+}
+
+/**
+ * Appends a point to a transfer's speed graph, at most one point per second.
+ * @param {Array<{time: number, speed: number}>} speedData - Existing graph points.
+ * @param {number} elapsed - Seconds since the transfer started.
+ * @param {number} speed - Current speed in bytes/sec.
+ */
+function appendSpeedSample(speedData = [], elapsed, speed) {
+  const time = Math.floor(elapsed);
+  if (speedData.length && speedData[speedData.length - 1].time >= time) {
+    return speedData;
+  }
+  return [...speedData, { time, speed: +(speed / 1024 / 1024).toFixed(2) }];
+}
+
+/**
+ * Adds one message to the per-channel traffic counters shown in diagnostics.
+ * @param {object} peer - The peer entry the channel belongs to.
+ * @param {string} label - The data channel's label.
+ * @param {"sent"|"received"} direction - Which way the message went.
+ * @param {number} bytes - The message size.
+ */
+function recordChannelTraffic(peer, label, direction, bytes) {
+  const stats = (peer.channelStats[label] ||= {
+    framesSent: 0,
+    bytesSent: 0,
+    framesReceived: 0,
+    bytesReceived: 0,
+  });
+  if (direction === "sent") {
+    stats.framesSent++;
+    stats.bytesSent += bytes;
+  } else {
+    stats.framesReceived++;
+    stats.bytesReceived += bytes;
+  }
+}
+
+/**
+ * A promise together with its resolve/reject functions, for state that
+ * settles from inside event handlers.
+ */
+function createDeferred() {
+  const deferred = {};
+  deferred.promise = new Promise((resolve, reject) => {
+    deferred.resolve = resolve;
+    deferred.reject = reject;
+  });
+  deferred.promise.catch(() => {}); // Failures are reported where they happen
+  return deferred;
+}
+
+/**
+ * Per-connection state of the encryption handshake (see services/encryption.js).
+ * `key` settles once the peer's hello arrives, with the session key or null
+ * if the room isn't encrypted; `ready` once the peer's key check opened, so
+ * both sides are known to hold the same key. Outgoing data waits for `ready`.
+ */
+function createEncryptionState() {
+  return {
+    salt: createHandshakeSalt(),
+    key: createDeferred(),
+    ready: createDeferred(),
+    chatQueue: Promise.resolve(), // Keeps sealed chat messages in order
+  };
+}
+
+// File channel messages that must arrive sealed on an encrypted connection
+const SEALED_FILE_MESSAGES = new Set([
+  "file-offer",
+  "folder-offer",
+  "file-metadata",
+  "file-end",
+  "transfer-complete-ack",
+  "delta-signature",
+  "delta-ops",
+]);
+
+/**
+ * Encodes a file channel message that describes what is being sent (an
+ * offer, a folder manifest page or file metadata) or its contents (the
+ * whole-file digest at either end, and a delta transfer's block checksums
+ * and ops). When encrypted, all but its type is
+ * sealed, so none of that is visible, or forgeable, outside the peers.
+ * @param {CryptoKey|null} key - The session key, if encrypted.
+ * @param {object} message - The message.
+ * @returns {Promise<string>} The text to send.
+ */
+async function encodeFileMessage(key, message) {
+  if (!key) return JSON.stringify(message);
+  const sealed = await sealJsonToBase64(key, message);
+  return JSON.stringify({ type: message.type, sealed });
+}
+
+/**
+ * Pause/cancel state of one receiver's stream of an outgoing file. The send
+ * loop checks it before every frame; control messages from either side
+ * change it and call `wake` to let a paused loop re-check.
+ * @param {object} outgoing - The outgoing transfer record.
+ * @param {string} peerId - The receiving peer.
+ */
+function getStreamControl(outgoing, peerId) {
+  let control = outgoing.controls.get(peerId);
+  if (!control) {
+    control = { paused: false, cancelled: false, wake: null };
+    outgoing.controls.set(peerId, control);
+  }
+  return control;
+}
+
+/**
+ * Resolves once a stream is no longer paused, or can't go on anyway
+ * (cancelled, or its channel closed).
+ * @param {object} control - From `getStreamControl`.
+ * @param {RTCDataChannel} channel - The stream's main file channel.
+ */
+function waitWhilePaused(control, channel) {
+  return new Promise((resolve) => {
+    const check = () => {
+      if (
+        control.paused &&
+        !control.cancelled &&
+        channel.readyState === "open"
+      ) {
+        return;
+      }
+      channel.removeEventListener("close", check);
+      control.wake = null;
+      resolve();
+    };
+    control.wake = check;
+    channel.addEventListener("close", check);
+    check();
+  });
+}
+
+// Frames that arrive on a stripe channel before their transfer's metadata
+// (which travels on the main file channel) are held back, up to this many per stream
+const MAX_EARLY_FRAMES = 64;
+
+// Once all chunks are out, a sender waits for the receiver's ACK for as long
+// as the receiver keeps reporting in; it gives up after this much silence
+const ACK_SILENCE_TIMEOUT = 30000;
+// How often a receiver reports what it's doing between `file-end` and its ACK
+const RECEIVER_HEARTBEAT_INTERVAL = 5000;
+
+// A file rebuilt from a delta is written out in batches of about this size
+const DELTA_OUTPUT_BATCH = 4 * 1024 * 1024;
+
+// A room's saved chat is written this long after the last message, in ms
+const CHAT_SAVE_DELAY = 300;
+
+/**
+ * Reads a file we saved earlier through its file handle, asking for read
+ * permission again (needed after a reload).
+ * @param {FileSystemFileHandle} handle - From a history entry.
+ * @returns {Promise<File>}
+ * @throws {Error} If permission is refused or the file is gone.
+ */
+async function reopenSavedFile(handle) {
+  const permission = await handle.requestPermission({ mode: "read" });
+  if (permission !== "granted") {
+    throw new Error("read permission was not granted");
+  }
+  return handle.getFile();
+}
+
+/**
+ * This custom hook manages the entire lifecycle of the P2P connections,
  * including signaling, data channels, and file transfer logic.
- * @param {object} settings - The user-configurable settings (chunkSize, compression).
+ * A room is a full mesh: we keep one RTCPeerConnection per remote peer.
+ * @param {object} settings - The user-configurable settings (chunkMode, chunkSize, fileChannels, compression).
  */
 export function usePeerConnection(settings) {
   // --- State for the UI ---
   // These state variables will trigger UI re-renders
   const [roomName, setRoomName] = useState("");
   const [isConnected, setIsConnected] = useState(false); // Connected to signaling server
-  const [peerConnected, setPeerConnected] = useState(false); // Connected to the other peer (P2P)
+  const [peerConnected, setPeerConnected] = useState(false); // Connected to at least one peer (P2P)
+  const [peers, setPeers] = useState([]); // Per-peer connection info for the UI
+  const [roomCapacity, setRoomCapacity] = useState(null); // Max peers allowed in the current room
   const [messages, setMessages] = useState([]);
   const [error, setError] = useState("");
-  const [transferStats, setTransferStats] = useState(null); // Info about current file transfer
-  const [speedData, setSpeedData] = useState([]); // For the speed graph
-  const [connectionState, setConnectionState] = useState("idle"); // WebRTC connection state
+  // Info about every in-flight transfer (both directions), keyed by fileId
+  const [transfers, setTransfers] = useState({});
+  // Unfinished incoming transfers stored in IndexedDB (survive a page reload)
+  const [pendingTransfers, setPendingTransfers] = useState([]);
+  // Finished transfers stored in IndexedDB, newest first
+  const [history, setHistory] = useState([]);
+  // Files peers want to send us, waiting for the user to accept or decline
+  const [offers, setOffers] = useState([]);
+  const [connectionState, setConnectionState] = useState("idle"); // Aggregate WebRTC connection state
   const [serverOnline, setServerOnline] = useState(false); // Is the signaling server reachable?
+  const [typingPeers, setTypingPeers] = useState([]); // Peers typing a chat message right now
+  const [chatRoom, setChatRoom] = useState(null); // The room we joined, whose chat may be saved
+  const [chatHistoryEnabled, setChatHistoryEnabled] = useState(false); // Save this room's chat?
 
   // --- Refs for WebRTC and connection objects ---
   // These refs store objects that should not trigger re-renders on change
   const socketRef = useRef(null); // The WebSocket connection to the signaling server
-  const peerConnectionRef = useRef(null); // The RTCPeerConnection object
-  const dataChannelRef = useRef(null); // The data channel for chat
-  const fileChannelRef = useRef(null); // The data channel for file transfer
+  // One entry per remote peer, keyed by their socket ID:
+  // { pc, chatChannel, fileChannel, stripeChannels, channelStats, channelsReady: { chat, file }, iceRestarts }
+  // `fileChannel` carries control messages and chunks; the optional
+  // `stripeChannels` only carry chunks, to spread one transfer over several streams.
+  const peersRef = useRef(new Map());
   const roomIdRef = useRef(null); // Stores the current room name
-  const pendingIceCandidatesRef = useRef([]); // Caches ICE candidates received before connection is ready
-  const channelsReadyRef = useRef({ chat: false, file: false }); // Tracks if data channels are open
+  const roomKeyRef = useRef(null); // Room secret for end-to-end encryption, or null when it's off
+  const pendingIceCandidatesRef = useRef({}); // Per-peer ICE candidates received before the connection is ready
+  const channelsReadyRef = useRef({ chat: false, file: false }); // True if the channel is open to at least one peer
 
   // --- Refs for file transfer state ---
   const fileWriterMapRef = useRef({}); // Stores File System Access API writers
+  const downloadStreamsRef = useRef({}); // Per-file streaming browser downloads, when there's no writer
   const fileMetaRef = useRef({}); // Stores metadata of the file being received
-  const receivedCountRef = useRef({}); // Tracks number of chunks received
+  const receivedChunksRef = useRef({}); // Per-file Set of chunk indices received so far
+  const incomingPeerRef = useRef({}); // Which peer is currently sending each incoming file
+  const interruptedRef = useRef(new Set()); // Incoming fileIds whose sender dropped mid-transfer
+  const progressSavedAtRef = useRef({}); // When each file's received ranges were last persisted
+  const fileEndRef = useRef({}); // The sender's `file-end` message (whole-file digest), per file
   const isFinalizingRef = useRef({}); // Flag to prevent finalizing a file multiple times
-  const startTimeRef = useRef(0); // For calculating transfer speed
-  const maxTimeRef = useRef(0); // For the speed graph
-  // Stores 'resolve' functions for promises that wait for a transfer to be acknowledged
+  const startTimeRef = useRef({}); // Per-file start time, for calculating transfer speed
+  // Maps `${peerId}:${streamId}` from a chunk frame header to the fileId it belongs to
+  const streamRoutesRef = useRef(new Map());
+  // Frames for a stream we don't know yet, keyed like `streamRoutesRef` (see MAX_EARLY_FRAMES)
+  const earlyFramesRef = useRef(new Map());
+  // Per-file promise chain so a file's writes happen one at a time, in arrival order
+  const writeQueueRef = useRef({});
+  // Per-file Set of chunk indices being written; they count as received once written
+  const writingChunksRef = useRef({});
+  // Offers we haven't answered yet (fileId -> offer), mirrored into `offers`
+  const incomingOffersRef = useRef(new Map());
+  // Offers we accepted whose metadata hasn't arrived yet: fileId ->
+  // { peerId, name, size, snippet, folderId, delta }, what the metadata must match
+  const acceptedOffersRef = useRef(new Map());
+  // Previews from the offers we accepted, for the chat cards (fileId -> preview)
+  const offerPreviewsRef = useRef({});
+  // Resolvers for our own offers waiting on an answer, keyed by `${peerId}:${fileId}`
+  // (or folderId); each gets the peer's whole response message
+  const offerResolversRef = useRef(new Map());
+  // Folder manifests still arriving page by page, keyed by `${peerId}:${folderId}`
+  const partialFolderOffersRef = useRef(new Map());
+  // Folders we accepted: folderId -> { peerId, name, size, mode, directory, fileCount, remaining, problems, startedAt }
+  const acceptedFoldersRef = useRef(new Map());
+  // What we sent this session, by history entry ID, so it can be re-sent:
+  // the File, or `{ files }` for a folder
+  const historySourcesRef = useRef(new Map());
+  // Stores 'resolve' functions for promises that wait for a transfer to be acknowledged,
+  // keyed by `${peerId}:${fileId}` since one file can be sent to several peers
+  // Each entry is { resolve, keepAlive }: `keepAlive` restarts the silence timeout
   const transferCompletionResolversRef = useRef(new Map());
+  // What we report to senders while finishing a file: fileId -> { stage, progress, timer }
+  const receiveStagesRef = useRef({});
+  // Delta transfers (services/deltaSync.js), as the receiver: the older copy
+  // we asked to update, and the sender's ops collected page by page (fileId -> ...)
+  const deltaBasesRef = useRef({});
+  const deltaOpsRef = useRef({});
+  // ...and as the sender: receivers' signatures still arriving page by page,
+  // keyed by `${peerId}:${fileId}`
+  const deltaSignaturesRef = useRef(new Map());
+  // Files we are sending, kept until every receiver has confirmed them so an
+  // interrupted receiver can ask us to resume.
+  // fileId -> { sourceId, metadata, startedAt, pendingReceivers, controls, deltas, cancelled, ... }
+  const outgoingTransfersRef = useRef(new Map());
+
+  // --- Refs for chat state (see services/chatProtocol.js) ---
+  // Messages we sent that not every recipient has read yet, in send order:
+  // id -> { envelope, recipients, sentTo, receipts }. Recipients are the
+  // peers in the room when it was written; it goes to each of them as their
+  // chat channel opens. Those written while alone in the room are the
+  // outbox, for whichever peer connects first.
+  const chatOutboxRef = useRef(new Map());
+  const seenChatIdsRef = useRef(new Set()); // Received message IDs, to drop resent duplicates
+  const unreadChatRef = useRef(new Map()); // peerId -> IDs received while the page was hidden
+  const typingTimersRef = useRef({}); // peerId -> timer that stops showing it as typing
+  const typingSentAtRef = useRef(0); // When we last told peers we're typing, 0 if we aren't
 
   // --- Core WebRTC and Channel Setup ---
 
   /**
-   * Helper function to wait for the receiver to acknowledge a completed transfer.
-   * This ensures the sender knows the file was successfully saved.
-   * @param {string} fileId - The unique ID of the file to wait for.
-   * @param {number} [timeout=45000] - Timeout in milliseconds.
-   */
-  const waitForAck = useCallback((fileId, timeout = 45000) => {
-    return new Promise((resolve, reject) => {
-      // Store the 'resolve' function so the 'onmessage' handler can call it
-      transferCompletionResolversRef.current.set(fileId, resolve);
-      // Set a timeout to reject if no ACK is received
-      setTimeout(() => {
-        if (transferCompletionResolversRef.current.has(fileId)) {
-          transferCompletionResolversRef.current.delete(fileId);
-          reject(new Error(`ACK timeout for file: ${fileId}`));
-        }
-      }, timeout);
+   * Applies an update to one entry of the `transfers` map shown in the UI.
+   * @param {string} fileId - The transfer to update.
+   * @param {function(object): object} updater - Receives the previous entry (or undefined).
+   */
+  const updateTransfer = useCallback((fileId, updater) => {
+    setTransfers((prev) => {
+      const next = updater(prev[fileId]);
+      if (next === prev[fileId]) return prev;
+      return { ...prev, [fileId]: next };
     });
   }, []);
 
+  /**
+   * Removes a finished transfer from the UI after a short delay.
+   * @param {string} fileId - The transfer to hide.
+   * @param {number} [delay=3000] - Delay in milliseconds.
+   */
+  const dismissTransfer = useCallback((fileId, delay = 3000) => {
+    setTimeout(
+      () =>
+        setTransfers((prev) => {
+          const { [fileId]: _removed, ...rest } = prev;
+          return rest;
+        }),
+      delay,
+    );
+  }, []);
+
+  /**
+   * Reloads the transfer history from IndexedDB. Entries get `canResend`
+   * when we still have their file: sent this session, or saved to disk
+   * through a file handle.
+   */
+  const refreshHistory = useCallback(async () => {
+    try {
+      const entries = await listHistoryIndexedDB();
+      setHistory(
+        entries.map(({ handle, ...entry }) => ({
+          ...entry,
+          canResend: Boolean(handle) || historySourcesRef.current.has(entry.id),
+        })),
+      );
+    } catch (e) {
+      log("Could not load transfer history", e);
+    }
+  }, []);
+
+  /**
+   * Stores a finished transfer in the history.
+   * @param {object} entry - From `createHistoryEntry`.
+   * @param {File|{files: File[]}} [source] - What was sent, to allow
+   *   re-sending it later in this session.
+   */
+  const recordHistory = useCallback(
+    async (entry, source) => {
+      try {
+        const id = await addHistoryEntryIndexedDB(entry);
+        if (source) historySourcesRef.current.set(id, source);
+        refreshHistory();
+      } catch (e) {
+        log("Could not record transfer history", e);
+      }
+    },
+    [refreshHistory],
+  );
+
+  /**
+   * Removes an offer from the list waiting for an answer.
+   * @param {string} fileId - The offered file.
+   */
+  const removeOffer = useCallback((fileId) => {
+    incomingOffersRef.current.delete(fileId);
+    setOffers(Array.from(incomingOffersRef.current.values()));
+  }, []);
+
+  /**
+   * Shows a file transfer as a card in the chat, or updates the card it
+   * already has. `text` stays a plain summary of the card.
+   * @param {string} fileId - The transfer.
+   * @param {object} card - Fields to set: status and text, and for a new
+   *   card direction, name, size, mimeType, preview and the peer(s).
+   * @param {boolean} [create=true] - False to only update an existing card.
+   */
+  const showTransferCard = useCallback(
+    (fileId, card, create = true) => {
+      setMessages((p) => {
+        const index = p.findIndex(
+          (m) => m.type === "transfer" && m.fileId === fileId,
+        );
+        if (index === -1) {
+          return create ? [...p, { type: "transfer", fileId, ...card }] : p;
+        }
+        const newMessages = [...p];
+        newMessages[index] = { ...p[index], ...card };
+        return newMessages;
+      });
+    },
+    [setMessages],
+  );
+
+  /**
+   * Counts one file of an accepted folder as done, and reports the folder
+   * once its last file is in.
+   * @param {string} folderId - The folder the file belongs to.
+   * @param {boolean} verified - Whether the file arrived intact.
+   */
+  const settleFolderFile = useCallback(
+    (folderId, verified) => {
+      const folder = acceptedFoldersRef.current.get(folderId);
+      if (!folder) return;
+      folder.remaining--;
+      if (!verified) folder.problems++;
+      if (folder.remaining > 0) return;
+      acceptedFoldersRef.current.delete(folderId);
+      log("Folder received", { folderId, problems: folder.problems });
+      recordHistory(
+        createHistoryEntry(
+          {
+            direction: "received",
+            kind: "folder",
+            name: folder.name,
+            size: folder.size,
+            startedAt: folder.startedAt,
+            status: folder.problems ? "incomplete" : "verified",
+            room: roomIdRef.current,
+            peers: [folder.peerId],
+          },
+          { fileCount: folder.fileCount },
+        ),
+      );
+      setMessages((p) => [
+        ...p,
+        {
+          type: "system",
+          text: `Folder received: ${folder.name} (${folder.mode === "zip" ? "as a zip" : `${folder.fileCount} files`} from ${shortPeerId(folder.peerId)}, ${folder.problems ? `${folder.problems} failed or mismatched` : "verified"})`,
+        },
+      ]);
+    },
+    [recordHistory, setMessages],
+  );
+
+  /**
+   * Recomputes the aggregate connection state from every peer entry and
+   * pushes it to the UI. Call this whenever a peer or one of its channels changes.
+   */
+  const syncPeerState = useCallback(() => {
+    const entries = Array.from(peersRef.current.entries());
+    channelsReadyRef.current = {
+      chat: entries.some(([, peer]) => peer.channelsReady.chat),
+      file: entries.some(([, peer]) => peer.channelsReady.file),
+    };
+    setPeers(
+      entries.map(([id, peer]) => ({
+        id,
+        connectionState: peer.pc.connectionState,
+        chat: peer.channelsReady.chat,
+        file: peer.channelsReady.file,
+      })),
+    );
+    const states = entries.map(([, peer]) => peer.pc.connectionState);
+    const anyConnected = states.includes("connected");
+    setPeerConnected(anyConnected);
+    if (anyConnected) {
+      setConnectionState("connected");
+    } else if (states.some((s) => s === "new" || s === "connecting")) {
+      setConnectionState("connecting");
+    } else if (states.length > 0) {
+      setConnectionState(states[states.length - 1]);
+    }
+  }, []);
+
+  /**
+   * Helper function to wait for a receiver to acknowledge a completed transfer.
+   * This ensures the sender knows the file was successfully saved.
+   * Finishing a big file can take a while, so this only times out when the
+   * receiver goes quiet: its progress reports and resend requests for the
+   * file each restart the timeout.
+   * @param {string} peerId - The peer the file was sent to.
+   * @param {string} fileId - The unique ID of the file to wait for.
+   * @param {number} [silenceTimeout=ACK_SILENCE_TIMEOUT] - How long the
+   *   receiver may stay silent, in milliseconds.
+   * @returns {Promise<object>} The receiver's ACK, including its verification result.
+   */
+  const waitForAck = useCallback(
+    (peerId, fileId, silenceTimeout = ACK_SILENCE_TIMEOUT) => {
+      const key = `${peerId}:${fileId}`;
+      return new Promise((resolve, reject) => {
+        let timer;
+        const entry = {
+          resolve: (ack) => {
+            clearTimeout(timer);
+            resolve(ack);
+          },
+          keepAlive: () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+              if (transferCompletionResolversRef.current.get(key) !== entry) {
+                return;
+              }
+              transferCompletionResolversRef.current.delete(key);
+              reject(
+                new Error(
+                  `No word from the receiver for ${silenceTimeout / 1000}s about file: ${fileId}`,
+                ),
+              );
+            }, silenceTimeout);
+          },
+        };
+        // Store the entry so the 'onmessage' handler can resolve it
+        transferCompletionResolversRef.current.set(key, entry);
+        entry.keepAlive();
+      });
+    },
+    [],
+  );
+
   /**
    * Validates the received file against the sender's metadata.
    * @returns {boolean} True if validation passes.
@@ -96,16 +671,18 @@ export function usePeerConnection(settings) {
    * This prevents the sender from overwhelming the receiver's buffer.
    * @param {RTCDataChannel} channel - The data channel to send on.
    * @param {ArrayBuffer} data - The data to send.
+   * @param {object} [flow] - The transfer's flow controller; it sets the
+   *   buffer thresholds and learns from how fast the buffer drains.
    */
   const sendWithBackpressure = useCallback(
-    (channel, data) => {
+    (channel, data, flow) => {
       return new Promise((resolve, reject) => {
         const trySend = () => {
           if (channel.readyState !== "open") {
             return reject(new Error("Data channel is not open."));
           }
-          // The buffer threshold is set to 16 chunks.
-          const maxBuffer = settings.chunkSize * 16;
+          // Without a flow controller, the buffer threshold is 16 chunks.
+          const maxBuffer = flow ? flow.highWaterMark : settings.chunkSize * 16;
           if (channel.bufferedAmount < maxBuffer) {
             // Buffer is not full, send the data.
             try {
@@ -116,10 +693,27 @@ export function usePeerConnection(settings) {
             }
           } else {
             // If the buffer is full, wait for it to drain before sending more.
+            // A channel that closes meanwhile never drains, so give up on close.
             log("File channel buffer full, waiting...");
-            channel.addEventListener("bufferedamountlow", trySend, {
+            if (flow) channel.bufferedAmountLowThreshold = flow.lowWaterMark;
+            const waitStart = Date.now();
+            const bufferedBefore = channel.bufferedAmount;
+            const onLow = () => {
+              channel.removeEventListener("close", onClose);
+              flow?.onDrained(
+                bufferedBefore - channel.bufferedAmount,
+                Date.now() - waitStart,
+              );
+              trySend();
+            };
+            const onClose = () => {
+              channel.removeEventListener("bufferedamountlow", onLow);
+              reject(new Error("Data channel closed while waiting to send."));
+            };
+            channel.addEventListener("bufferedamountlow", onLow, {
               once: true,
             });
+            channel.addEventListener("close", onClose, { once: true });
           }
         };
         trySend();
@@ -129,551 +723,3629 @@ export function usePeerConnection(settings) {
   );
 
   /**
-   * Sets up the file data channel and its event listeners.
-   * This is where incoming files and chunks are processed.
-   * @param {RTCDataChannel} channel - The newly created file data channel.
+   * Reloads the list of unfinished incoming transfers from IndexedDB.
+   * Transfers that are actively receiving right now are left out.
    */
-  const setupFileChannel = useCallback(
-    (channel) => {
-      log("Setting up file channel");
-      fileChannelRef.current = channel;
-      channel.binaryType = "arraybuffer"; // We'll be receiving binary data
+  const refreshPendingTransfers = useCallback(async () => {
+    try {
+      const records = await listFileMetadataIndexedDB();
+      setPendingTransfers(
+        records
+          .filter(
+            (r) =>
+              !fileMetaRef.current[r.fileId] ||
+              interruptedRef.current.has(r.fileId),
+          )
+          .map((r) => ({
+            fileId: r.fileId,
+            name: r.meta.name,
+            size: r.meta.size,
+            room: r.room,
+            sink: r.sink,
+            // A streaming download that died with the page starts over
+            receivedChunks:
+              r.sink === "stream" && !downloadStreamsRef.current[r.fileId]
+                ? 0
+                : countRanges(r.receivedRanges),
+            totalChunks: r.meta.chunks,
+            updatedAt: r.updatedAt,
+          })),
+      );
+    } catch (e) {
+      log("Could not list unfinished transfers", e);
+    }
+  }, []);
 
-      channel.onopen = () => {
-        log("File channel opened");
-        channelsReadyRef.current.file = true;
-        setMessages((p) => [
-          ...p,
-          { type: "system", text: "File transfer ready" },
-        ]);
-      };
+  /**
+   * Stores which chunks of an incoming file we hold, so the transfer can be
+   * resumed after a dropped connection or a page reload.
+   * Throttled to once every 2 seconds unless `force` is set.
+   * @param {string} fileId - The incoming transfer.
+   * @param {boolean} [force=false] - Persist even if we saved recently.
+   */
+  const persistReceiveProgress = useCallback(async (fileId, force = false) => {
+    const received = receivedChunksRef.current[fileId];
+    if (!received) return;
+    const now = Date.now();
+    if (!force && now - (progressSavedAtRef.current[fileId] || 0) < 2000) {
+      return;
+    }
+    progressSavedAtRef.current[fileId] = now;
+    const record = await getFileMetadataIndexedDB(fileId);
+    if (!record) return;
+    await saveFileMetadataIndexedDB({
+      ...record,
+      receivedRanges: toRanges(received),
+      updatedAt: now,
+    });
+  }, []);
 
-      channel.onclose = () => {
-        log("File channel closed");
-        channelsReadyRef.current.file = false;
-      };
+  /**
+   * Writes data of an incoming file to wherever it is going: the file the
+   * user picked (File System Access API), the streaming download or
+   * IndexedDB (fallback).
+   * @param {string} fileId - The incoming transfer.
+   * @param {number} index - The first chunk the data covers.
+   * @param {ArrayBuffer} data - Whole chunks (the file's last may be short).
+   * @returns {Promise<boolean>} False if the streaming download refused the
+   *   data for being too far ahead of what it has written.
+   */
+  const writeIncomingData = useCallback(async (fileId, index, data) => {
+    const { chunkSize } = fileMetaRef.current[fileId];
+    const offset = index * chunkSize;
+    const fw = fileWriterMapRef.current[fileId];
+    const download = downloadStreamsRef.current[fileId];
+    if (fw && fw.writable) {
+      await fw.writable.write({ type: "write", position: offset, data });
+    } else if (download) {
+      return writeDownload(download.downloadId, offset, data);
+    } else {
+      // IndexedDB keeps one record per chunk, so resume can tell exactly
+      // which chunks are stored whatever the frame sizes were
+      const count = Math.ceil(data.byteLength / chunkSize);
+      const pieces =
+        count === 1
+          ? [data]
+          : Array.from({ length: count }, (_, i) =>
+              data.slice(i * chunkSize, (i + 1) * chunkSize),
+            );
+      await storeChunksIndexedDB(fileId, index, pieces);
+    }
+    return true;
+  }, []);
 
-      channel.onerror = (e) => log("File channel error", e);
+  /**
+   * Writes out whatever of a delta transfer's file can be rebuilt so far:
+   * ranges copied from our older copy, up to the next literal data that
+   * hasn't arrived yet.
+   * @param {string} fileId - The incoming transfer.
+   */
+  const drainDeltaOutput = useCallback(
+    async (fileId) => {
+      const { chunkSize } = fileMetaRef.current[fileId];
+      const batch =
+        Math.max(Math.floor(DELTA_OUTPUT_BATCH / chunkSize), 1) * chunkSize;
+      for (;;) {
+        const { index, data } = await readDeltaOutput(fileId, chunkSize, batch);
+        if (!data) return;
+        await writeIncomingData(fileId, index, data);
+      }
+    },
+    [writeIncomingData],
+  );
 
-      // This is the main message handler for the file channel.
-      channel.onmessage = async (ev) => {
+  /**
+   * Prepares where an incoming file will be written.
+   * If the user picked a file with "Save As" when accepting the offer, chunks
+   * stream straight to it (File System Access API). Otherwise they stream
+   * into a browser download through the download service worker, and only
+   * where that isn't available are they stored in IndexedDB until the
+   * transfer completes.
+   * A delta transfer is rebuilt from our older copy as its literal data
+   * arrives, and what can be rebuilt without any is written out right away.
+   * @param {object} meta - The file metadata sent by the peer.
+   */
+  const prepareIncomingFile = useCallback(
+    async (meta) => {
+      const { fileId, delta } = meta;
+      if (delta) {
+        const base = deltaBasesRef.current[fileId];
+        if (!base) throw new Error("Delta transfer without a base file");
+        await openDeltaTarget(fileId, {
+          base,
+          ops: deltaOpsRef.current[fileId] || [],
+          targetSize: delta.targetSize,
+          literalSize: meta.size,
+        });
+        delete deltaOpsRef.current[fileId];
+      } else {
+        // The sender couldn't use our signature; this is the whole file
+        delete deltaBasesRef.current[fileId];
+        delete deltaOpsRef.current[fileId];
+      }
+      const handle = fileWriterMapRef.current[fileId]?.handle || null;
+      let sink = handle ? "fs" : "idb";
+      // A snippet is kept to be shown in the chat, not downloaded
+      if (!handle && !meta.snippet && canStreamDownloads()) {
         try {
-          // --- Handle STRING messages (metadata, ACKs) ---
-          if (typeof ev.data === "string") {
-            const message = JSON.parse(ev.data);
+          const download = await startDownloadStream({
+            name: meta.name,
+            size: delta ? delta.targetSize : meta.size,
+          });
+          await openDownload(download.downloadId, download.port);
+          downloadStreamsRef.current[fileId] = download;
+          sink = "stream";
+        } catch (e) {
+          log("Could not start streaming download, using IndexedDB", e);
+        }
+      }
+      // Save metadata to IndexedDB either way (as backup or primary).
+      // The record (and the file handle, which is cloneable) is what lets us
+      // resume this transfer later.
+      await saveFileMetadataIndexedDB({
+        fileId,
+        meta,
+        room: roomIdRef.current,
+        sink,
+        handle,
+        receivedRanges: [],
+        updatedAt: Date.now(),
+      });
+      if (delta) await drainDeltaOutput(fileId);
+    },
+    [drainDeltaOutput],
+  );
 
-            if (message.type === "file-metadata") {
-              // --- Receiver: Handle incoming file metadata ---
-              const meta = message;
-              log("Received file metadata", meta);
+  /**
+   * Checks that a file about to be received into IndexedDB fits in the
+   * browser's storage quota, and tells the user if it doesn't.
+   * @param {string} name - The file's name, for the error message.
+   * @param {number} bytes - How much of it still has to be stored.
+   * @returns {Promise<boolean>} False if it won't fit.
+   */
+  const ensureStorageFor = useCallback(
+    async (name, bytes) => {
+      const free = await getFreeStorageIndexedDB();
+      if (free == null || bytes <= free) return true;
+      setError(
+        `Not enough browser storage for ${name} (needs ${(bytes / 1024 / 1024).toFixed(1)} MB, ${(free / 1024 / 1024).toFixed(1)} MB free)`,
+      );
+      return false;
+    },
+    [setError],
+  );
 
-              // Initialize state for the new transfer
-              fileMetaRef.current[meta.fileId] = meta;
-              receivedCountRef.current[meta.fileId] = 0;
-              isFinalizingRef.current[meta.fileId] = false;
-              startTimeRef.current = Date.now();
-              maxTimeRef.current = 0;
+  /**
+   * Tells the sender what we're doing with a file between its `file-end`
+   * and our ACK, and keeps repeating it as a heartbeat until the file is
+   * forgotten, so the sender knows we're still at it.
+   * @param {string} fileId - The incoming transfer.
+   * @param {"receiving"|"finalizing"|"verifying"} stage - Waiting for the
+   *   last chunks, writing out the file, or hashing it.
+   * @param {number|null} [progress=null] - How far along the stage is (0-1).
+   */
+  const reportReceiveStage = useCallback((fileId, stage, progress = null) => {
+    const send = () => {
+      const report = receiveStagesRef.current[fileId];
+      const peerId = incomingPeerRef.current[fileId];
+      const channel = peersRef.current.get(peerId)?.fileChannel;
+      if (!report || channel?.readyState !== "open") return;
+      channel.send(
+        JSON.stringify({
+          type: "transfer-progress",
+          fileId,
+          stage: report.stage,
+          progress: report.progress,
+        }),
+      );
+    };
+    receiveStagesRef.current[fileId] ||= {
+      timer: setInterval(send, RECEIVER_HEARTBEAT_INTERVAL),
+    };
+    Object.assign(receiveStagesRef.current[fileId], { stage, progress });
+    send();
+  }, []);
 
-              // Update UI to show transfer progress
-              setTransferStats({
-                fileName: meta.name,
-                totalSize: meta.size,
-                receivedSize: 0,
-                progress: 0,
-                speed: 0,
-                chunks: 0,
-                totalChunks: meta.chunks || 0,
-                compressed: meta.compressed || false,
-              });
-              setSpeedData([]); // Reset speed graph data
-
-              // If the browser supports the File System Access API, use it for direct saving.
-              // This is more memory-efficient as it streams directly to disk.
-              if (window.showSaveFilePicker) {
-                try {
-                  const suggestedName =
-                    meta.compressed && meta.name.endsWith(".zip")
-                      ? meta.name.slice(0, -4) // Suggest original name if compressed
-                      : meta.name;
-                  const handle = await window.showSaveFilePicker({
-                    suggestedName,
-                  });
-                  const writable = await handle.createWritable();
-                  fileWriterMapRef.current[meta.fileId] = { writable, handle };
-                } catch (e) {
-                  // User cancelled the "Save" dialog
-                  log("User cancelled save picker or it's not supported", e);
-                  // We'll fall back to IndexedDB automatically
-                }
-              }
-              // Save metadata to IndexedDB either way (as backup or primary)
-              await saveFileMetadataIndexedDB({ fileId: meta.fileId, meta });
-            } else if (message.type === "transfer-complete-ack") {
-              // --- Sender: Handle transfer completion acknowledgment ---
-              log(`Received ACK for ${message.fileId}`);
-              // Find the 'resolve' function we stored in `waitForAck`
-              const resolve = transferCompletionResolversRef.current.get(
-                message.fileId,
-              );
-              if (resolve) {
-                resolve(); // This resolves the promise in `sendFile`
-                transferCompletionResolversRef.current.delete(message.fileId);
-              }
-            }
-          } else {
-            // --- Receiver: Handle incoming BINARY chunk data ---
-            const buf = ev.data; // This is an ArrayBuffer
-            // Assume the chunk belongs to the file we're currently tracking
-            const fileId = Object.keys(fileMetaRef.current)[0];
-            if (!fileId || !fileMetaRef.current[fileId]) return;
-
-            const meta = fileMetaRef.current[fileId];
-            const currentChunkIndex = receivedCountRef.current[fileId];
-            receivedCountRef.current[fileId]++;
-            const receivedChunks = receivedCountRef.current[fileId];
-
-            // Write chunk to File System (if available) or IndexedDB (fallback)
-            const fw = fileWriterMapRef.current[fileId];
-            if (fw && fw.writable) {
-              await fw.writable.write(new Uint8Array(buf));
-            } else {
-              await storeChunkIndexedDB(fileId, currentChunkIndex, buf);
-            }
+  /**
+   * Stops reporting on an incoming file (see `reportReceiveStage`).
+   * @param {string} fileId - The incoming transfer.
+   */
+  const stopReceiveStage = useCallback((fileId) => {
+    clearInterval(receiveStagesRef.current[fileId]?.timer);
+    delete receiveStagesRef.current[fileId];
+  }, []);
 
-            // --- Update progress stats for the UI ---
-            setTransferStats((prevStats) => {
-              if (!prevStats) return prevStats;
-              const newReceived = prevStats.receivedSize + buf.byteLength;
-              const totalSize = meta.compressed
-                ? meta.compressedSize
-                : meta.size;
-              const elapsed = (Date.now() - startTimeRef.current) / 1000;
-              return {
-                ...prevStats,
-                receivedSize: newReceived,
-                progress: (newReceived / totalSize) * 100,
-                speed: newReceived / Math.max(elapsed, 0.001), // (bytes / sec)
-                chunks: receivedChunks,
-              };
-            });
+  /**
+   * Drops all in-memory state we keep for an incoming file.
+   * @param {string} fileId - The incoming transfer.
+   */
+  const forgetIncomingFile = useCallback(
+    (fileId) => {
+      stopReceiveStage(fileId);
+      const meta = fileMetaRef.current[fileId];
+      const peerId = incomingPeerRef.current[fileId];
+      if (meta && peerId) {
+        streamRoutesRef.current.delete(`${peerId}:${meta.streamId}`);
+      }
+      delete fileMetaRef.current[fileId];
+      delete receivedChunksRef.current[fileId];
+      delete incomingPeerRef.current[fileId];
+      delete progressSavedAtRef.current[fileId];
+      delete fileEndRef.current[fileId];
+      delete fileWriterMapRef.current[fileId];
+      downloadStreamsRef.current[fileId]?.close();
+      delete downloadStreamsRef.current[fileId];
+      delete isFinalizingRef.current[fileId];
+      delete startTimeRef.current[fileId];
+      delete writeQueueRef.current[fileId];
+      delete writingChunksRef.current[fileId];
+      interruptedRef.current.delete(fileId);
+      if (deltaBasesRef.current[fileId]) {
+        closeDeltaTarget(fileId).catch((e) =>
+          log("Could not close delta target", e),
+        );
+      }
+      delete deltaBasesRef.current[fileId];
+      delete deltaOpsRef.current[fileId];
+      delete offerPreviewsRef.current[fileId];
+    },
+    [stopReceiveStage],
+  );
 
-            // --- Finalize file if all chunks are received ---
-            if (
-              receivedChunks >= meta.chunks &&
-              !isFinalizingRef.current[fileId]
-            ) {
-              isFinalizingRef.current[fileId] = true; // Set flag to prevent double-call
-              log("All chunks received, finalizing file...", { fileId });
+  /**
+   * Called by the UI to give up on an unfinished incoming transfer.
+   * Deletes any stored chunks and closes a half-written file or download.
+   * @param {string} fileId - The unfinished transfer to discard.
+   */
+  const discardPendingTransfer = useCallback(
+    async (fileId) => {
+      const fw = fileWriterMapRef.current[fileId];
+      if (fw?.writable) {
+        try {
+          await fw.writable.abort();
+        } catch (e) {
+          log("Could not abort file writer", e);
+        }
+      }
+      const download = downloadStreamsRef.current[fileId];
+      if (download) await abortDownload(download.downloadId);
+      forgetIncomingFile(fileId);
+      await deleteFileIndexedDB(fileId);
+      refreshPendingTransfers();
+    },
+    [forgetIncomingFile, refreshPendingTransfers],
+  );
 
-              try {
-                let finalBlob;
-                let actualSize = 0;
-
-                if (fw && fw.writable) {
-                  // --- Finalize with File System Access API ---
-                  await fw.writable.close();
-                  const file = await fw.handle.getFile();
-                  actualSize = file.size;
-
-                  // Handle decompression if needed
-                  if (meta.compressed) {
-                    setMessages((p) => [
-                      ...p,
-                      { type: "system", text: "Decompressing file..." },
-                    ]);
-                    const arrayBuffer = await file.arrayBuffer();
-                    const decompressed = pako.inflate(
-                      new Uint8Array(arrayBuffer),
-                    );
-                    actualSize = decompressed.length;
-
-                    // Ask user to save the *decompressed* file
-                    const newHandle = await window.showSaveFilePicker({
-                      suggestedName: meta.name.slice(0, -4),
-                    });
-                    const newWritable = await newHandle.createWritable();
-                    await newWritable.write(decompressed);
-                    await newWritable.close();
-                    await fw.handle.remove(); // Clean up the compressed temp file
-                  }
-                } else {
-                  // --- Finalize with IndexedDB ---
-                  const chunksArr = await readAllChunksIndexedDB(fileId);
-                  if (chunksArr.length !== meta.chunks) {
-                    throw new Error(
-                      `Incomplete transfer: Expected ${meta.chunks}, got ${chunksArr.length}`,
-                    );
-                  }
-
-                  let blobData = chunksArr;
-                  // Handle decompression if needed
-                  if (meta.compressed) {
-                    setMessages((p) => [
-                      ...p,
-                      { type: "system", text: "Decompressing file..." },
-                    ]);
-                    // Combine all chunks into one Uint8Array
-                    const totalSize = chunksArr.reduce(
-                      (s, c) => s + c.byteLength,
-                      0,
-                    );
-                    const combined = new Uint8Array(totalSize);
-                    let offset = 0;
-                    chunksArr.forEach((chunk) => {
-                      combined.set(new Uint8Array(chunk), offset);
-                      offset += chunk.byteLength;
-                    });
-                    const decompressed = pako.inflate(combined);
-                    blobData = [decompressed.buffer];
-                  }
-
-                  // Create a Blob from the chunks (or decompressed data)
-                  finalBlob = new Blob(blobData, { type: meta.mimeType });
-                  actualSize = finalBlob.size;
-
-                  // Trigger a browser download
-                  const url = URL.createObjectURL(finalBlob);
-                  const a = document.createElement("a");
-                  a.href = url;
-                  a.download = meta.compressed
-                    ? meta.name.slice(0, -4) // Use original name
-                    : meta.name;
-                  a.click();
-                  setTimeout(() => URL.revokeObjectURL(url), 100);
+  /**
+   * Stops an incoming transfer for good (cancelled by either side) and
+   * deletes whatever of it was already saved.
+   * @param {string} fileId - The incoming transfer.
+   */
+  const cancelIncomingFile = useCallback(
+    async (fileId) => {
+      const meta = fileMetaRef.current[fileId];
+      const peerId = incomingPeerRef.current[fileId];
+      const startedAt = startTimeRef.current[fileId];
+      // Stop taking chunks, and let writes in flight land before the writer is aborted
+      delete receivedChunksRef.current[fileId];
+      await writeQueueRef.current[fileId]?.catch(() => {});
+      await discardPendingTransfer(fileId);
+      // Frames still on the wire for this stream are dropped, not held back
+      if (meta && peerId) {
+        streamRoutesRef.current.set(`${peerId}:${meta.streamId}`, null);
+      }
+      // Cancelling any file of a folder stops the rest of it
+      const folder = meta && acceptedFoldersRef.current.get(meta.folderId);
+      if (folder) acceptedFoldersRef.current.delete(meta.folderId);
+      if (meta && (!meta.folderId || folder)) {
+        recordHistory(
+          createHistoryEntry(
+            folder
+              ? {
+                  direction: "received",
+                  kind: "folder",
+                  name: folder.name,
+                  size: folder.size,
+                  startedAt: folder.startedAt,
+                  status: "cancelled",
+                  room: roomIdRef.current,
+                  peers: [folder.peerId],
                 }
+              : {
+                  direction: "received",
+                  name: meta.name,
+                  size: meta.size,
+                  startedAt,
+                  status: "cancelled",
+                  room: roomIdRef.current,
+                  peers: [peerId],
+                },
+            { fileCount: folder ? folder.fileCount : 1 },
+          ),
+        );
+      }
+      showTransferCard(
+        fileId,
+        { status: "cancelled", text: `Cancelled: ${meta?.name}` },
+        false,
+      );
+      dismissTransfer(fileId, 0);
+    },
+    [discardPendingTransfer, dismissTransfer, recordHistory, showTransferCard],
+  );
 
-                // --- Validate and send ACK to sender ---
-                validateTransfer(
-                  meta.size,
-                  actualSize,
-                  meta.chunks,
-                  receivedChunks,
-                );
-                setMessages((p) => [
-                  ...p,
-                  { type: "system", text: `Downloaded: ${meta.name}` },
-                ]);
-
-                if (fileChannelRef.current?.readyState === "open") {
-                  // Tell the sender we got the file
-                  fileChannelRef.current.send(
-                    JSON.stringify({ type: "transfer-complete-ack", fileId }),
-                  );
-                  log("Sent transfer completion ACK");
-                }
-              } catch (processingError) {
-                log("Error finalizing file", processingError);
-                setError("File processing error: " + processingError.message);
-              } finally {
-                // --- Cleanup after transfer ---
-                await deleteFileIndexedDB(fileId);
-                delete fileMetaRef.current[fileId];
-                delete receivedCountRef.current[fileId];
-                delete fileWriterMapRef.current[fileId];
-                delete isFinalizingRef.current[fileId];
-                setTimeout(() => setTransferStats(null), 3000); // Hide stats UI after 3s
-              }
-            }
-          }
-        } catch (e) {
-          log("Error in file channel onmessage", e);
-          setError("File receive error: " + e.message);
+  /**
+   * Assembles a fully received file, checks it against the sender's
+   * whole-file digest and acknowledges it (with the result) to the sender.
+   * @param {string} peerId - The peer that sent the file.
+   * @param {RTCDataChannel} channel - The file channel to send the ACK on.
+   * @param {string} fileId - The completed transfer.
+   */
+  const finalizeIncomingFile = useCallback(
+    async (peerId, channel, fileId) => {
+      const meta = fileMetaRef.current[fileId];
+      const fw = fileWriterMapRef.current[fileId];
+      const download = downloadStreamsRef.current[fileId];
+      const receivedChunks = receivedChunksRef.current[fileId].size;
+      const expectedDigest = fileEndRef.current[fileId]?.digest;
+      log("All chunks received, finalizing file...", { fileId });
+      let status = "failed";
+
+      try {
+        let finalBlob;
+        let actualSize = 0;
+        let actualDigest;
+
+        if (fw && fw.writable) {
+          // --- Finalize with File System Access API ---
+          await fw.writable.close();
+          const file = await fw.handle.getFile();
+          actualSize = file.size;
+          updateTransfer(
+            fileId,
+            (prev) => prev && { ...prev, status: "verifying" },
+          );
+          reportReceiveStage(fileId, "verifying", 0);
+          actualDigest = await hashFile(file, (progress) =>
+            reportReceiveStage(fileId, "verifying", progress),
+          );
+        } else if (download) {
+          // --- Finalize a streaming download (hashed as it was written) ---
+          ({ digest: actualDigest, size: actualSize } = await finishDownload(
+            download.downloadId,
+          ));
+        } else {
+          // --- Finalize with IndexedDB ---
+          const chunksArr = await readAllChunksIndexedDB(fileId);
+          // A delta transfer stores the rebuilt file, not the chunks it received
+          const storedChunks = meta.delta
+            ? Math.ceil(meta.delta.targetSize / meta.chunkSize)
+            : meta.chunks;
+          if (chunksArr.length !== storedChunks) {
+            throw new Error(
+              `Incomplete transfer: Expected ${storedChunks}, got ${chunksArr.length}`,
+            );
+          }
+
+          // Create a Blob from the (already decompressed) chunks
+          finalBlob = new Blob(chunksArr, { type: meta.mimeType });
+          actualSize = finalBlob.size;
+          updateTransfer(
+            fileId,
+            (prev) => prev && { ...prev, status: "verifying" },
+          );
+          reportReceiveStage(fileId, "verifying", 0);
+          actualDigest = await hashFile(finalBlob, (progress) =>
+            reportReceiveStage(fileId, "verifying", progress),
+          );
+
+          // Trigger a browser download (snippets go to the chat instead)
+          if (!meta.snippet) {
+            const url = URL.createObjectURL(finalBlob);
+            const a = document.createElement("a");
+            a.href = url;
+            a.download = meta.name;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 100);
+          }
+        }
+
+        // --- Validate, verify the digest and send ACK to sender ---
+        const sizesMatch = validateTransfer(
+          meta.delta ? meta.delta.targetSize : meta.size,
+          actualSize,
+          meta.chunks,
+          receivedChunks,
+        );
+        const verified = sizesMatch && actualDigest === expectedDigest;
+        status = verified ? "verified" : "mismatch";
+        if (!verified) {
+          log("Whole-file digest mismatch", { expectedDigest, actualDigest });
+          setError(`Integrity check failed for ${meta.name}`);
+        }
+        updateTransfer(
+          fileId,
+          (prev) =>
+            prev && { ...prev, status: verified ? "verified" : "mismatch" },
+        );
+        if (meta.folderId) {
+          settleFolderFile(meta.folderId, verified);
+        } else if (meta.snippet && finalBlob && verified) {
+          setMessages((p) => [
+            ...p,
+            { type: "snippet", from: peerId, text: meta.name, blob: finalBlob },
+          ]);
+        } else {
+          showTransferCard(fileId, {
+            direction: "received",
+            from: peerId,
+            name: meta.name,
+            size: actualSize,
+            mimeType: meta.mimeType,
+            preview: offerPreviewsRef.current[fileId] || null,
+            status,
+            text: `Downloaded: ${meta.name} (from ${shortPeerId(peerId)}, ${status})`,
+            // Where to open it from again; a streamed download can't be
+            blob: finalBlob,
+            handle: fw?.handle,
+          });
+        }
+
+        // Tell the sender we got the file, and whether it checked out
+        const key =
+          await peersRef.current.get(peerId)?.encryption.ready.promise;
+        const ack = await encodeFileMessage(key, {
+          type: "transfer-complete-ack",
+          fileId,
+          verified,
+          digest: actualDigest,
+        });
+        if (channel.readyState === "open") {
+          channel.send(ack);
+          log("Sent transfer completion ACK", { verified });
+        }
+      } catch (processingError) {
+        log("Error finalizing file", processingError);
+        setError("File processing error: " + processingError.message);
+        if (meta.folderId) {
+          settleFolderFile(meta.folderId, false);
+        } else {
+          showTransferCard(
+            fileId,
+            { status: "failed", text: `Failed: ${meta.name}` },
+            false,
+          );
+        }
+      } finally {
+        // Files of a folder are recorded with the folder
+        if (!meta.folderId) {
+          recordHistory(
+            createHistoryEntry(
+              {
+                direction: "received",
+                name: meta.name,
+                size: meta.delta ? meta.delta.targetSize : meta.size,
+                startedAt: startTimeRef.current[fileId],
+                status,
+                room: roomIdRef.current,
+                peers: [peerId],
+              },
+              {
+                mimeType: meta.mimeType,
+                compressed: meta.compressed || false,
+                compressionRatio: meta.compressionRatio ?? null,
+                // Lets the history re-send a file saved to disk
+                handle: fw?.handle,
+              },
+            ),
+          );
+        }
+        // --- Cleanup after transfer ---
+        await deleteFileIndexedDB(fileId);
+        forgetIncomingFile(fileId);
+        dismissTransfer(fileId); // Hide stats UI after 3s
+        refreshPendingTransfers();
+      }
+    },
+    [
+      validateTransfer,
+      updateTransfer,
+      reportReceiveStage,
+      settleFolderFile,
+      recordHistory,
+      forgetIncomingFile,
+      dismissTransfer,
+      refreshPendingTransfers,
+      showTransferCard,
+      setMessages,
+      setError,
+    ],
+  );
+
+  /**
+   * Finalizes an incoming file once every chunk is in and the sender's
+   * `file-end` message (carrying the whole-file digest) has arrived.
+   * Either can come last, so both call this.
+   * @param {string} peerId - The peer sending the file.
+   * @param {RTCDataChannel} channel - The channel to send the ACK on.
+   * @param {string} fileId - The incoming transfer.
+   */
+  const maybeFinalizeIncomingFile = useCallback(
+    async (peerId, channel, fileId) => {
+      const meta = fileMetaRef.current[fileId];
+      const received = receivedChunksRef.current[fileId];
+      if (
+        !meta ||
+        !received ||
+        received.size < meta.chunks ||
+        !fileEndRef.current[fileId] ||
+        isFinalizingRef.current[fileId]
+      ) {
+        return;
+      }
+      isFinalizingRef.current[fileId] = true; // Set flag to prevent double-call
+      reportReceiveStage(fileId, "finalizing");
+      try {
+        await writeQueueRef.current[fileId]; // Let pending writes land first
+      } catch (e) {
+        // The file has a hole we can't fill: give up on it rather than
+        // leave it finalizing forever
+        delete isFinalizingRef.current[fileId];
+        if (!receivedChunksRef.current[fileId]) return; // Already cancelled
+        log("Could not finish writing file, cancelling transfer", {
+          fileId,
+          e,
+        });
+        setError(`Could not save ${meta.name}: ${e.message}`);
+        if (channel.readyState === "open") {
+          channel.send(
+            JSON.stringify({
+              type: "transfer-control",
+              fileId,
+              action: "cancel",
+            }),
+          );
+        }
+        await cancelIncomingFile(fileId);
+        return;
+      }
+      await finalizeIncomingFile(peerId, channel, fileId);
+    },
+    [reportReceiveStage, finalizeIncomingFile, cancelIncomingFile, setError],
+  );
+
+  /**
+   * Handles one framed binary chunk from a peer's file channel.
+   * The frame header tells us which transfer the chunk belongs to, and
+   * which run of consecutive chunks (one or more) its payload covers.
+   * @param {string} peerId - The peer that sent the chunk.
+   * @param {RTCDataChannel} channel - The channel it arrived on.
+   * @param {ArrayBuffer} buffer - The raw frame.
+   */
+  const handleChunkFrame = useCallback(
+    async (peerId, channel, buffer) => {
+      const frame = decodeChunkFrame(buffer);
+      const routeKey = `${peerId}:${frame.streamId}`;
+      const fileId = streamRoutesRef.current.get(routeKey);
+      const meta = fileId && fileMetaRef.current[fileId];
+      if (!meta) {
+        // Frames of a cancelled transfer can still be on the wire
+        if (streamRoutesRef.current.has(routeKey)) return;
+        // With striping, a frame can overtake its transfer's metadata
+        const early = earlyFramesRef.current.get(routeKey) || [];
+        if (early.length < MAX_EARLY_FRAMES) {
+          early.push(buffer);
+          earlyFramesRef.current.set(routeKey, early);
+        } else {
+          log("Dropping chunk for unknown stream", {
+            peerId,
+            streamId: frame.streamId,
+          });
+        }
+        return;
+      }
+
+      const indices = Array.from(
+        { length: frame.count },
+        (_, i) => frame.index + i,
+      );
+
+      // The worker checks the digest and inflates compressed chunks right
+      // away, so they are written at their original offset and the saved
+      // file never needs a second pass. A damaged frame is dropped and its
+      // chunks requested again.
+      const unpacked = await unpackFrame(buffer, meta);
+      if (unpacked.resend) {
+        log(`${unpacked.resend}, requesting resend`, { fileId, indices });
+        if (channel.readyState === "open") {
+          channel.send(
+            JSON.stringify({ type: "chunk-resend-request", fileId, indices }),
+          );
+        }
+        return;
+      }
+      const { data } = unpacked;
+      // Nothing past the end the sender announced (and we accepted) is kept
+      const start = meta.delta ? frame.offset : frame.index * meta.chunkSize;
+      if (
+        frame.index + frame.count > meta.chunks ||
+        start + data.byteLength > meta.size
+      ) {
+        log("Dropping chunk past the end of the file", { fileId, indices });
+        return;
+      }
+
+      const received = receivedChunksRef.current[fileId];
+      if (!received) return;
+      if (!writingChunksRef.current[fileId]) {
+        writingChunksRef.current[fileId] = new Set();
+      }
+      const writing = writingChunksRef.current[fileId];
+      const fresh = indices.filter((i) => !received.has(i) && !writing.has(i));
+      if (fresh.length === 0) return; // Duplicate (e.g. re-sent after a resume)
+      fresh.forEach((i) => writing.add(i));
+      const freshBytes = fresh.reduce(
+        (sum, i) =>
+          sum + Math.min(meta.chunkSize, meta.size - i * meta.chunkSize),
+        0,
+      );
+
+      // Writes are chained per file, behind the save-picker setup for that
+      // file; one failing doesn't stop the ones after it from running. A
+      // delta transfer's chunks are literal data for rebuilding the file,
+      // which is written out as far as they let it get.
+      const previous = (
+        writeQueueRef.current[fileId] || Promise.resolve()
+      ).catch(() => {});
+      const write = previous.then(async () => {
+        if (meta.delta) {
+          await writeDeltaLiteral(fileId, frame.offset, data);
+          await drainDeltaOutput(fileId);
+          return true;
+        }
+        return writeIncomingData(fileId, frame.index, data);
+      });
+      writeQueueRef.current[fileId] = write;
+      try {
+        if (!(await write)) {
+          // Too far ahead of a gap for the download to hold: ask for it
+          // again rather than buffer it
+          fresh.forEach((i) => writing.delete(i));
+          if (channel.readyState === "open") {
+            channel.send(
+              JSON.stringify({
+                type: "chunk-resend-request",
+                fileId,
+                indices: fresh,
+              }),
+            );
+          }
+          return;
+        }
+        // Only chunks that made it to storage count as received
+        fresh.forEach((i) => {
+          writing.delete(i);
+          received.add(i);
+        });
+      } catch (e) {
+        fresh.forEach((i) => writing.delete(i));
+        if (!receivedChunksRef.current[fileId]) return; // Already handled
+        // A chunk we couldn't save would leave a hole in the file, so the
+        // transfer stops here; for a streamed download it means the user
+        // cancelled it in the browser
+        if (downloadStreamsRef.current[fileId]) {
+          log("Streaming download stopped", e);
+        } else {
+          log("Could not save chunk, cancelling transfer", { fileId, e });
+          setError(`Could not save ${meta.name}: ${e.message}`);
+        }
+        if (channel.readyState === "open") {
+          channel.send(
+            JSON.stringify({
+              type: "transfer-control",
+              fileId,
+              action: "cancel",
+            }),
+          );
+        }
+        await cancelIncomingFile(fileId); // Its card says it was cancelled
+        return;
+      }
+      const receivedChunks = received.size;
+      persistReceiveProgress(fileId);
+
+      // --- Update progress stats for the UI ---
+      updateTransfer(fileId, (prevStats) => {
+        if (!prevStats) return prevStats;
+        const newReceived = prevStats.receivedSize + freshBytes;
+        const elapsed = (Date.now() - startTimeRef.current[fileId]) / 1000;
+        const speed = newReceived / Math.max(elapsed, 0.001); // (bytes / sec)
+        return {
+          ...prevStats,
+          receivedSize: newReceived,
+          progress: (newReceived / meta.size) * 100,
+          speed,
+          speedData: appendSpeedSample(prevStats.speedData, elapsed, speed),
+          chunks: receivedChunks,
+        };
+      });
+
+      // --- Finalize file if all chunks are received ---
+      await maybeFinalizeIncomingFile(peerId, channel, fileId);
+    },
+    [
+      writeIncomingData,
+      drainDeltaOutput,
+      updateTransfer,
+      persistReceiveProgress,
+      maybeFinalizeIncomingFile,
+      cancelIncomingFile,
+      setError,
+    ],
+  );
+
+  /**
+   * Replays frames that arrived before their transfer's metadata.
+   * Call right after a stream is routed to its file.
+   * @param {string} peerId - The sending peer.
+   * @param {number} streamId - The stream that was just routed.
+   * @param {RTCDataChannel} channel - The peer's main file channel.
+   */
+  const flushEarlyFrames = useCallback(
+    async (peerId, streamId, channel) => {
+      const routeKey = `${peerId}:${streamId}`;
+      const early = earlyFramesRef.current.get(routeKey);
+      if (!early) return;
+      earlyFramesRef.current.delete(routeKey);
+      log("Replaying early frames", { peerId, streamId, count: early.length });
+      for (const buffer of early) {
+        await handleChunkFrame(peerId, channel, buffer);
+      }
+    },
+    [handleChunkFrame],
+  );
+
+  /**
+   * Marks every file we were receiving from a peer as interrupted, after
+   * its file channel closed. Progress is persisted so the transfer can be
+   * resumed once the sender reconnects to the room.
+   * @param {string} peerId - The peer whose channel closed.
+   */
+  const markIncomingInterrupted = useCallback(
+    async (peerId) => {
+      const fileIds = Object.keys(incomingPeerRef.current).filter(
+        (fileId) =>
+          incomingPeerRef.current[fileId] === peerId &&
+          !isFinalizingRef.current[fileId],
+      );
+      if (fileIds.length === 0) return;
+      for (const fileId of fileIds) {
+        const meta = fileMetaRef.current[fileId];
+        log("Incoming transfer interrupted", { fileId, peerId });
+        interruptedRef.current.add(fileId);
+        stopReceiveStage(fileId);
+        delete incomingPeerRef.current[fileId];
+        streamRoutesRef.current.delete(`${peerId}:${meta.streamId}`);
+        dismissTransfer(fileId, 0); // Now listed with the unfinished transfers
+        await persistReceiveProgress(fileId, true);
+        showTransferCard(
+          fileId,
+          { status: "interrupted", text: `Interrupted: ${meta.name}` },
+          false,
+        );
+        setMessages((p) => [
+          ...p,
+          {
+            type: "system",
+            text: `Transfer interrupted: ${meta.name}. It will resume when the sender reconnects.`,
+          },
+        ]);
+      }
+      refreshPendingTransfers();
+    },
+    [
+      dismissTransfer,
+      persistReceiveProgress,
+      refreshPendingTransfers,
+      stopReceiveStage,
+      showTransferCard,
+      setMessages,
+    ],
+  );
+
+  /**
+   * Asks a peer to resume one of our unfinished incoming transfers,
+   * telling it which chunks we already hold.
+   * @param {string} peerId - The peer to ask.
+   * @param {object} record - The transfer's IndexedDB metadata record.
+   */
+  const requestResume = useCallback(async (peerId, record) => {
+    const channel = peersRef.current.get(peerId)?.fileChannel;
+    if (channel?.readyState !== "open") return;
+    let have;
+    if (record.sink === "idb" && !record.meta.delta) {
+      // IndexedDB holds the chunks themselves, so it is the source of truth
+      // (except for a delta transfer, which stores the rebuilt file instead)
+      have = toRanges(await getStoredChunkIndicesIndexedDB(record.fileId));
+    } else if (receivedChunksRef.current[record.fileId]) {
+      have = toRanges(receivedChunksRef.current[record.fileId]);
+    } else {
+      have = record.receivedRanges || [];
+    }
+    log("Requesting resume", { peerId, fileId: record.fileId });
+    channel.send(
+      JSON.stringify({
+        type: "resume-request",
+        fileId: record.fileId,
+        have,
+        // Which of the sender's delta streams we were receiving, if any
+        delta: record.meta.delta?.key,
+      }),
+    );
+  }, []);
+
+  /**
+   * Asks a newly connected peer to resume any unfinished transfers for this room.
+   * Peer IDs change when someone reconnects, so we ask every new peer and only
+   * the one that still has the file will answer with data.
+   * @param {string} peerId - The peer whose file channel just opened.
+   */
+  const requestPendingResumes = useCallback(
+    async (peerId) => {
+      const records = await listFileMetadataIndexedDB();
+      for (const record of records) {
+        const active =
+          fileMetaRef.current[record.fileId] &&
+          !interruptedRef.current.has(record.fileId);
+        if (active || record.room !== roomIdRef.current) continue;
+        // A file being written to disk can only resume automatically while we
+        // still hold its writer; after a reload the user has to click "Resume".
+        if (record.sink === "fs" && !fileWriterMapRef.current[record.fileId]) {
+          continue;
+        }
+        // Likewise a streaming download only lives as long as the page,
+        // and so does what a delta transfer is rebuilt from
+        if (
+          record.sink === "stream" &&
+          !downloadStreamsRef.current[record.fileId]
+        ) {
+          continue;
+        }
+        if (record.meta.delta && !fileMetaRef.current[record.fileId]) continue;
+        await requestResume(peerId, record);
+      }
+    },
+    [requestResume],
+  );
+
+  /**
+   * Picks an interrupted incoming transfer back up after its sender agreed
+   * to resume it (the sender re-sends its metadata with `resume: true`).
+   * @param {string} peerId - The peer resuming the transfer.
+   * @param {RTCDataChannel} channel - The channel the chunks will arrive on.
+   * @param {object} meta - The file metadata, re-sent by the sender.
+   */
+  const resumeIncomingFile = useCallback(
+    async (peerId, channel, meta) => {
+      const { fileId } = meta;
+      if (incomingPeerRef.current[fileId]) {
+        log("Transfer is already being resumed by another peer", { fileId });
+        return;
+      }
+      const record = await getFileMetadataIndexedDB(fileId);
+      if (!record) {
+        log("No stored record for resumed transfer", { fileId });
+        return;
+      }
+      // What we already hold was written at offsets this metadata fixed
+      if (
+        !metadataMatches(record.meta, meta, [
+          "name",
+          "size",
+          "chunkSize",
+          "chunks",
+        ]) ||
+        record.meta.delta?.key !== meta.delta?.key
+      ) {
+        log("Resumed metadata doesn't match the stored transfer", { fileId });
+        setError(`Could not resume ${record.meta.name}: the file changed`);
+        if (channel.readyState === "open") {
+          channel.send(
+            JSON.stringify({
+              type: "transfer-control",
+              fileId,
+              action: "cancel",
+            }),
+          );
+        }
+        return;
+      }
+      if (!receivedChunksRef.current[fileId]) {
+        // First resume since a page reload: restore what we already hold
+        receivedChunksRef.current[fileId] =
+          record.sink === "idb"
+            ? new Set(await getStoredChunkIndicesIndexedDB(fileId))
+            : fromRanges(record.receivedRanges);
+      }
+      const received = receivedChunksRef.current[fileId];
+
+      fileMetaRef.current[fileId] = meta;
+      isFinalizingRef.current[fileId] = false;
+      startTimeRef.current[fileId] = Date.now();
+      incomingPeerRef.current[fileId] = peerId;
+      interruptedRef.current.delete(fileId);
+      streamRoutesRef.current.set(`${peerId}:${meta.streamId}`, fileId);
+      writeQueueRef.current[fileId] = Promise.resolve();
+
+      const receivedSize = Math.min(received.size * meta.chunkSize, meta.size);
+      updateTransfer(fileId, () => ({
+        direction: "receive",
+        peerId,
+        fileName: meta.name,
+        totalSize: meta.size,
+        receivedSize,
+        progress: meta.size ? (receivedSize / meta.size) * 100 : 0,
+        speed: 0,
+        chunks: received.size,
+        totalChunks: meta.chunks || 0,
+        compressed: meta.compressed || false,
+        compressionStrategy: meta.compressionStrategy,
+        compressionRatio: meta.compressionRatio,
+        delta: describeDelta(meta),
+        resumed: true,
+      }));
+      setMessages((p) => [
+        ...p,
+        {
+          type: "system",
+          text: `Resuming ${meta.name} from ${shortPeerId(peerId)} (${received.size}/${meta.chunks} chunks already here)`,
+        },
+      ]);
+      showTransferCard(
+        fileId,
+        { status: "receiving", text: `Receiving: ${meta.name}` },
+        false,
+      );
+      refreshPendingTransfers();
+
+      // We may already hold everything (e.g. we dropped right before the
+      // ACK); the sender's `file-end` then finalizes the file right away.
+      delete fileEndRef.current[fileId];
+      await flushEarlyFrames(peerId, meta.streamId, channel);
+    },
+    [
+      updateTransfer,
+      refreshPendingTransfers,
+      flushEarlyFrames,
+      showTransferCard,
+      setMessages,
+      setError,
+    ],
+  );
+
+  /**
+   * Updates one receiver's progress inside an outgoing transfer's UI entry.
+   * Recreates the entry from the outgoing record if it was already removed,
+   * which happens when a receiver resumes after the first attempt ended.
+   * @param {string} fileId - The outgoing transfer.
+   * @param {string} peerId - The receiving peer.
+   * @param {object} patch - Fields to merge into that receiver's progress.
+   */
+  const updateReceiverProgress = useCallback(
+    (fileId, peerId, patch) => {
+      const outgoing = outgoingTransfersRef.current.get(fileId);
+      updateTransfer(fileId, (prev) => {
+        const base =
+          prev ||
+          (outgoing && {
+            direction: "send",
+            fileName: outgoing.metadata.name,
+            totalSize: outgoing.metadata.size,
+            sentSize: 0,
+            progress: 0,
+            speed: 0,
+            chunks: 0,
+            totalChunks: outgoing.metadata.chunks,
+            compressed: outgoing.metadata.compressed,
+            compressionStrategy: outgoing.metadata.compressionStrategy,
+            compressionRatio: outgoing.metadata.compressionRatio,
+            receivers: {},
+          });
+        if (!base) return prev;
+        const receivers = {
+          ...base.receivers,
+          [peerId]: {
+            sentSize: 0,
+            progress: 0,
+            speed: 0,
+            chunks: 0,
+            ...base.receivers[peerId],
+            ...patch,
+          },
+        };
+        const summary = summarizeReceivers(receivers);
+        const elapsed = (Date.now() - (outgoing?.startedAt || 0)) / 1000;
+        return {
+          ...base,
+          ...summary,
+          receivers,
+          speedData: appendSpeedSample(base.speedData, elapsed, summary.speed),
+        };
+      });
+    },
+    [updateTransfer],
+  );
+
+  /**
+   * Reads a run of chunks of an outgoing file and frames them with their
+   * SHA-256 digest, in the transfer worker. When the transfer is compressed,
+   * the run is deflated on its own; a run that doesn't get smaller is sent
+   * as-is. Digests are cached per source, so a fan-out to several peers
+   * hashes a run once when the frames line up.
+   * @param {object} outgoing - The outgoing transfer record.
+   * @param {number} index - The first chunk index.
+   * @param {number} [count=1] - How many consecutive chunks to include.
+   * @param {boolean} [fresh=false] - Hash the run again rather than trusting the cache.
+   * @returns {Promise<ArrayBuffer>} The encoded frame.
+   */
+  const readChunkFrame = useCallback(
+    (outgoing, index, count = 1, fresh = false) => {
+      const { sourceId, metadata } = outgoing;
+      return readSourceFrame(sourceId, {
+        streamId: metadata.streamId,
+        index,
+        count,
+        chunkSize: metadata.chunkSize,
+        compress: metadata.compressed,
+        fresh,
+      });
+    },
+    [],
+  );
+
+  /**
+   * Re-sends chunks that a receiver rejected because their digest didn't match.
+   * @param {string} peerId - The receiving peer.
+   * @param {string} fileId - The outgoing transfer.
+   * @param {number[]} indices - Chunk indices to send again.
+   */
+  const resendChunks = useCallback(
+    async (peerId, fileId, indices) => {
+      const outgoing = outgoingTransfersRef.current.get(fileId);
+      const peer = peersRef.current.get(peerId);
+      const channel = peer?.fileChannel;
+      if (!outgoing || !channel) return;
+      // A receiver of a delta has a literal stream of its own
+      const stream =
+        [...outgoing.deltas.values()].find((d) => d.peerId === peerId) ||
+        outgoing;
+      const key = await peer.encryption.ready.promise;
+      log("Re-sending rejected chunks", { peerId, fileId, indices });
+      for (const index of indices) {
+        if (index < 0 || index >= stream.metadata.chunks) continue;
+        // Read and hash the chunk afresh rather than trusting the cache
+        const frame = await readChunkFrame(stream, index, 1, true);
+        await sendWithBackpressure(
+          channel,
+          key ? await seal(key, frame) : frame,
+        );
+      }
+    },
+    [readChunkFrame, sendWithBackpressure],
+  );
+
+  /**
+   * Offers an outgoing file to a peer and waits for the answer. The offer
+   * carries the file's name, size and type plus a small preview, all sealed
+   * when the connection is encrypted.
+   * @param {string} peerId - The receiving peer.
+   * @param {RTCDataChannel} channel - The peer's main file channel.
+   * @param {object} outgoing - The outgoing transfer record.
+   * @param {object} control - The stream's pause/cancel state; cancelling
+   *   withdraws the offer.
+   * @param {CryptoKey|null} key - The session key, if encrypted.
+   * @returns {Promise<"accepted"|"delta"|"declined"|"withdrawn">} The
+   *   outcome; "delta" if the receiver wants to update an older copy (its
+   *   signature is in `deltaSignaturesRef`), "withdrawn" if we cancelled or
+   *   the channel closed first.
+   */
+  const offerFile = useCallback(
+    async (peerId, channel, outgoing, control, key) => {
+      const { metadata, preview } = outgoing;
+      const offer = {
+        type: "file-offer",
+        fileId: metadata.fileId,
+        name: metadata.name,
+        size: metadata.size,
+        mimeType: metadata.mimeType,
+        folderId: metadata.folderId,
+        path: metadata.path,
+        snippet: metadata.snippet,
+        preview,
+      };
+      const text = await encodeFileMessage(key, offer);
+      const resolverKey = `${peerId}:${metadata.fileId}`;
+      let onClose;
+      const answer = new Promise((resolve) => {
+        onClose = () => resolve("withdrawn");
+        channel.addEventListener("close", onClose);
+        control.wake = () => control.cancelled && resolve("withdrawn");
+        offerResolversRef.current.set(resolverKey, (response) => {
+          if (!response.accepted) resolve("declined");
+          else resolve(response.delta ? "delta" : "accepted");
+        });
+      });
+      log("Offering file", { peerId, fileId: metadata.fileId });
+      channel.send(text);
+      try {
+        return await answer;
+      } finally {
+        channel.removeEventListener("close", onClose);
+        control.wake = null;
+        offerResolversRef.current.delete(resolverKey);
+      }
+    },
+    [],
+  );
+
+  /**
+   * Collects the signature a receiver sends, page by page, before answering
+   * our offer with a request for a delta transfer.
+   * @param {string} peerId - The receiving peer.
+   * @param {object} message - One `delta-signature` page.
+   */
+  const receiveDeltaSignature = useCallback((peerId, message) => {
+    const { fileId, blockSize, baseSize, page, last } = message;
+    if (!outgoingTransfersRef.current.has(fileId)) return;
+    const key = `${peerId}:${fileId}`;
+    const signature = deltaSignaturesRef.current.get(key) || {
+      blockSize,
+      baseSize,
+      pages: [],
+      complete: false,
+    };
+    signature.pages.push(page);
+    signature.complete = !!last;
+    deltaSignaturesRef.current.set(key, signature);
+  }, []);
+
+  /**
+   * Sets up a delta transfer for a receiver that asked to update an older
+   * copy: matches the file against its signature and registers what it is
+   * missing as a stream of its own, with its own metadata.
+   * @param {string} peerId - The receiving peer.
+   * @param {object} outgoing - The outgoing transfer record.
+   * @returns {Promise<object>} The receiver's stream, `{ sourceId, metadata,
+   *   ops, peerId }`, or the outgoing record itself (the whole file) if the
+   *   signature is missing or unusable.
+   */
+  const openDeltaStream = useCallback(async (peerId, outgoing) => {
+    const { metadata } = outgoing;
+    const key = `${peerId}:${metadata.fileId}`;
+    const signature = deltaSignaturesRef.current.get(key);
+    deltaSignaturesRef.current.delete(key);
+    try {
+      if (!signature?.complete) throw new Error("Signature incomplete");
+      const { blockSize, baseSize } = signature;
+      const delta = await openDeltaSource(outgoing.sourceId, {
+        blockSize,
+        baseSize,
+        signature: joinSignature(signature.pages),
+      });
+      log("Delta computed", {
+        peerId,
+        fileId: metadata.fileId,
+        literalSize: delta.size,
+        size: metadata.size,
+      });
+      const stream = {
+        sourceId: delta.sourceId,
+        ops: delta.ops,
+        peerId,
+        metadata: {
+          ...metadata,
+          // Chunks and size are those of the literal stream
+          size: delta.size,
+          chunks: Math.ceil(delta.size / metadata.chunkSize),
+          delta: {
+            key: delta.sourceId, // Names this stream in resume requests
+            targetSize: metadata.size,
+            blockSize,
+            baseSize,
+          },
+        },
+      };
+      outgoing.deltas.set(delta.sourceId, stream);
+      return stream;
+    } catch (e) {
+      log("Cannot send a delta, sending the whole file", { peerId, e });
+      return outgoing;
+    }
+  }, []);
+
+  /**
+   * Streams an outgoing file to one peer and waits for its ACK.
+   * A fresh transfer is offered first and only streamed once accepted.
+   * For a resume, chunks the receiver already holds are skipped.
+   * A receiver that updates an older copy only gets the literal stream of
+   * its delta (see `openDeltaStream`), preceded by the ops to rebuild the file.
+   * @param {string} peerId - The receiving peer.
+   * @param {string} fileId - The outgoing transfer (must be in `outgoingTransfersRef`).
+   * @param {Array<[number, number]>|null} [have=null] - Chunk ranges the receiver
+   *   already holds, or null for a fresh transfer.
+   * @param {number|null} [deltaKey=null] - The delta stream being resumed, if any.
+   * @returns {Promise<object>} The receiver's ACK.
+   */
+  const streamFileToPeer = useCallback(
+    async (peerId, fileId, have = null, deltaKey = null) => {
+      const outgoing = outgoingTransfersRef.current.get(fileId);
+      let stream = deltaKey == null ? outgoing : outgoing.deltas.get(deltaKey);
+      if (!stream) throw new Error("Delta transfer is no longer available");
+      const peer = peersRef.current.get(peerId);
+      const channel = peer?.fileChannel;
+      if (!channel || channel.readyState !== "open") {
+        throw new Error("File channel closed before transfer");
+      }
+      // Nothing goes out until the encryption handshake has settled
+      const key = await peer.encryption.ready.promise;
+      const isResume = have !== null;
+      const skip = fromRanges(have || []);
+      const { pc } = peer;
+      // A fresh stream (also after a resume) starts unpaused
+      outgoing.controls.delete(peerId);
+      const control = getStreamControl(outgoing, peerId);
+      if (!isResume) {
+        // --- Nothing flows until the receiver accepts the offer ---
+        updateReceiverProgress(fileId, peerId, { status: "offered" });
+        const answer = await offerFile(peerId, channel, outgoing, control, key);
+        if (answer === "delta") {
+          stream = await openDeltaStream(peerId, outgoing);
+        } else if (answer !== "accepted") {
+          control.cancelled = true;
+          control.declined = answer === "declined";
+          throw new Error(
+            control.declined ? "Declined by receiver" : "Offer withdrawn",
+          );
+        }
+      }
+      const { metadata } = stream;
+      const { chunkSize, chunks: totalChunks, size: fileSize } = metadata;
+      if (stream !== outgoing) stream.peerId = peerId; // It may have reconnected
+      updateReceiverProgress(fileId, peerId, {
+        status: "sending",
+        delta: describeDelta(metadata),
+      });
+      // Frames go to whichever open file channel has the least queued,
+      // which stripes the transfer when the peer has extra channels
+      const pickChannel = () =>
+        peer.stripeChannels
+          .filter((c) => c.readyState === "open")
+          .reduce(
+            (best, c) => (c.bufferedAmount < best.bufferedAmount ? c : best),
+            channel,
+          );
+      const flow = createFlowController({
+        mode: metadata.chunkMode,
+        chunkSize,
+        maxPayload: getMaxFramePayload(pc),
+      });
+      if (metadata.delta && !isResume) {
+        // The receiver needs the ops before the literal data makes sense
+        for (const ops of splitDeltaOps(stream.ops)) {
+          const page = await encodeFileMessage(key, {
+            type: "delta-ops",
+            fileId,
+            ops,
+          });
+          if (channel.readyState !== "open") {
+            throw new Error("File channel closed before transfer");
+          }
+          channel.send(page);
+        }
+      }
+      log("Sending file metadata", { peerId, resume: isResume, ...metadata });
+      // Send metadata as a JSON string
+      channel.send(
+        await encodeFileMessage(
+          key,
+          isResume ? { ...metadata, resume: true } : metadata,
+        ),
+      );
+
+      const startTime = Date.now();
+      let sentBytes = 0; // Bytes actually sent in this attempt (for speed)
+      let doneBytes = 0; // Bytes the receiver holds, including skipped chunks
+      let doneChunks = 0;
+
+      // In auto mode the RTT feeds the flow controller's buffer sizing
+      const rttTimer =
+        metadata.chunkMode === CHUNK_MODES.AUTO && pc
+          ? setInterval(() => {
+              measureRtt(pc)
+                .then(flow.setRtt)
+                .catch((e) => log("Could not read RTT", e));
+            }, 1000)
+          : null;
+
+      // --- Loop through the file, one frame (a run of chunks) at a time ---
+      try {
+        let index = 0;
+        while (index < totalChunks) {
+          await waitWhilePaused(control, channel);
+          if (control.cancelled || outgoing.cancelled) {
+            throw new Error("Transfer cancelled");
+          }
+          if (channel.readyState !== "open") {
+            throw new Error("File channel closed during transfer");
+          }
+          const offset = index * chunkSize;
+          if (skip.has(index)) {
+            // The receiver already has this chunk from an earlier attempt
+            doneBytes += Math.min(chunkSize, fileSize - offset);
+            doneChunks++;
+            index++;
+            continue;
+          }
+          // Fill the frame with chunks the receiver still needs
+          let count = 1;
+          while (
+            count < flow.chunksPerFrame &&
+            index + count < totalChunks &&
+            !skip.has(index + count)
+          ) {
+            count++;
+          }
+          const plainFrame = await readChunkFrame(stream, index, count);
+          const frame = key ? await seal(key, plainFrame) : plainFrame;
+
+          // Send frame, respecting backpressure
+          const target = pickChannel();
+          await sendWithBackpressure(target, frame, flow);
+          flow.onSent(frame.byteLength);
+          recordChannelTraffic(peer, target.label, "sent", frame.byteLength);
+
+          const payloadSize = Math.min(count * chunkSize, fileSize - offset);
+          sentBytes += payloadSize;
+          doneBytes += payloadSize;
+          doneChunks += count;
+          index += count;
+          // Update UI stats
+          updateReceiverProgress(fileId, peerId, {
+            sentSize: doneBytes,
+            progress: (doneBytes / fileSize) * 100,
+            speed: sentBytes / ((Date.now() - startTime) / 1000 || 1),
+            chunks: doneChunks,
+            flow: flow.snapshot(),
+          });
+        }
+      } finally {
+        clearInterval(rttTimer);
+      }
+
+      // --- Close the stream with the digest of the whole original file ---
+      const digest = await outgoing.fileDigest;
+      const fileEnd = await encodeFileMessage(key, {
+        type: "file-end",
+        fileId,
+        chunks: totalChunks,
+        algorithm: DIGEST_ALGORITHM,
+        digest,
+      });
+      if (channel.readyState !== "open") {
+        throw new Error("File channel closed during transfer");
+      }
+      channel.send(fileEnd);
+
+      log(
+        `All chunks sent for ${metadata.name} to ${peerId}. Waiting for ACK...`,
+      );
+      updateReceiverProgress(fileId, peerId, {
+        sentSize: fileSize,
+        progress: 100,
+        chunks: totalChunks,
+        status: "waiting",
+        stage: null,
+      });
+
+      // --- Wait for the receiver to confirm they've saved the file ---
+      let ack;
+      try {
+        ack = await waitForAck(peerId, fileId);
+      } finally {
+        transferCompletionResolversRef.current.delete(`${peerId}:${fileId}`);
+      }
+      updateReceiverProgress(fileId, peerId, {
+        status: ack.verified ? "done" : "mismatch",
+      });
+      return ack;
+    },
+    [
+      offerFile,
+      openDeltaStream,
+      readChunkFrame,
+      sendWithBackpressure,
+      waitForAck,
+      updateReceiverProgress,
+    ],
+  );
+
+  /**
+   * Records that one receiver of an outgoing file is finished with it
+   * (confirmed, or failed for good). Once no receiver is left that might
+   * still resume, the file is released and its UI entry hidden.
+   * @param {string} fileId - The outgoing transfer.
+   */
+  const settleOutgoingReceiver = useCallback(
+    (fileId) => {
+      const outgoing = outgoingTransfersRef.current.get(fileId);
+      if (!outgoing) return;
+      outgoing.pendingReceivers--;
+      if (outgoing.pendingReceivers <= 0) {
+        outgoingTransfersRef.current.delete(fileId);
+        closeSource(outgoing.sourceId);
+        outgoing.deltas.forEach((stream) => closeSource(stream.sourceId));
+        dismissTransfer(fileId); // Hide stats UI
+      }
+    },
+    [dismissTransfer],
+  );
+
+  /**
+   * Tells whether a send to a peer failed because its connection dropped
+   * (resumable) rather than for some other reason.
+   * @param {string} peerId - The receiving peer.
+   */
+  const isPeerChannelClosed = useCallback(
+    (peerId) =>
+      peersRef.current.get(peerId)?.fileChannel?.readyState !== "open",
+    [],
+  );
+
+  /**
+   * Tells whether a send to a peer stopped because either side cancelled it.
+   * @param {string} fileId - The outgoing transfer.
+   * @param {string} peerId - The receiving peer.
+   */
+  const isStreamCancelled = useCallback((fileId, peerId) => {
+    const outgoing = outgoingTransfersRef.current.get(fileId);
+    // The sender cancelling drops the record altogether
+    return !outgoing || !!outgoing.controls.get(peerId)?.cancelled;
+  }, []);
+
+  /**
+   * Sender side of the resume handshake: continues an outgoing file for a
+   * receiver that reconnected, skipping the chunks it already holds.
+   * @param {string} peerId - The (possibly new) ID of the receiving peer.
+   * @param {string} fileId - The outgoing transfer to resume.
+   * @param {Array<[number, number]>} have - Chunk ranges the receiver holds.
+   * @param {number} [deltaKey] - The receiver's delta stream, if it gets one.
+   */
+  const resumeOutgoingTransfer = useCallback(
+    async (peerId, fileId, have, deltaKey = null) => {
+      const { metadata } = outgoingTransfersRef.current.get(fileId);
+      setMessages((p) => [
+        ...p,
+        {
+          type: "system",
+          text: `Resuming ${metadata.name} for ${shortPeerId(peerId)}...`,
+        },
+      ]);
+      updateReceiverProgress(fileId, peerId, { status: "sending" });
+      try {
+        const ack = await streamFileToPeer(peerId, fileId, have, deltaKey);
+        setMessages((p) => [
+          ...p,
+          {
+            type: "system",
+            text: `Transfer completed: ${metadata.name} (resumed by ${shortPeerId(peerId)}, ${ack.verified ? "verified" : "mismatch"})`,
+          },
+        ]);
+        if (!ack.verified) {
+          setError(
+            `Integrity mismatch reported by ${shortPeerId(peerId)} for ${metadata.name}`,
+          );
+        }
+        settleOutgoingReceiver(fileId);
+      } catch (e) {
+        log("Resumed transfer failed", { peerId, fileId, e });
+        if (isStreamCancelled(fileId, peerId)) {
+          updateReceiverProgress(fileId, peerId, { status: "cancelled" });
+          settleOutgoingReceiver(fileId);
+        } else if (isPeerChannelClosed(peerId)) {
+          // Dropped again: it can be resumed once more
+          updateReceiverProgress(fileId, peerId, { status: "interrupted" });
+        } else {
+          updateReceiverProgress(fileId, peerId, { status: "failed" });
+          setError("Failed to resume file: " + e.message);
+          settleOutgoingReceiver(fileId);
+        }
+      }
+    },
+    [
+      streamFileToPeer,
+      updateReceiverProgress,
+      settleOutgoingReceiver,
+      isPeerChannelClosed,
+      isStreamCancelled,
+      setMessages,
+      setError,
+    ],
+  );
+
+  /**
+   * Sends a pause, resume or cancel message for a transfer to a peer.
+   * @param {string} peerId - The other end of the transfer.
+   * @param {string} fileId - The transfer.
+   * @param {"pause"|"resume"|"cancel"} action - What to do.
+   */
+  const sendTransferControl = useCallback((peerId, fileId, action) => {
+    const channel = peersRef.current.get(peerId)?.fileChannel;
+    if (channel?.readyState !== "open") return;
+    channel.send(JSON.stringify({ type: "transfer-control", fileId, action }));
+  }, []);
+
+  /**
+   * Applies a pause, resume or cancel sent by the other end of a transfer.
+   * A receiver's message only affects its own stream of an outgoing file;
+   * a sender's affects the whole incoming file.
+   * @param {string} peerId - The peer that sent the message.
+   * @param {object} message - The `transfer-control` message.
+   */
+  const handleTransferControl = useCallback(
+    async (peerId, { fileId, action }) => {
+      const verb = { pause: "paused", resume: "resumed", cancel: "cancelled" }[
+        action
+      ];
+      if (!verb) return;
+      const outgoing = outgoingTransfersRef.current.get(fileId);
+      const control = outgoing?.controls.get(peerId);
+      let name;
+      if (control) {
+        // --- Sender: one receiver paused, resumed or cancelled its stream ---
+        if (action === "cancel") control.cancelled = true;
+        else control.paused = action === "pause";
+        control.wake?.();
+        updateReceiverProgress(fileId, peerId, {
+          status: { pause: "paused", resume: "sending", cancel: "cancelled" }[
+            action
+          ],
+        });
+        name = outgoing.metadata.name;
+      } else if (
+        action === "cancel" &&
+        incomingOffersRef.current.get(fileId)?.peerId === peerId
+      ) {
+        // --- Receiver: the sender withdrew an offer we hadn't answered ---
+        name = incomingOffersRef.current.get(fileId).name;
+        removeOffer(fileId);
+      } else if (incomingPeerRef.current[fileId] === peerId) {
+        // --- Receiver: the sender paused, resumed or cancelled the file ---
+        name = fileMetaRef.current[fileId].name;
+        if (action === "cancel") {
+          await cancelIncomingFile(fileId);
+        } else {
+          updateTransfer(
+            fileId,
+            (prev) => prev && { ...prev, paused: action === "pause" },
+          );
+        }
+      } else {
+        return;
+      }
+      log(`Transfer ${verb} by peer`, { peerId, fileId });
+      setMessages((p) => [
+        ...p,
+        {
+          type: "system",
+          text: `${shortPeerId(peerId)} ${verb} ${name}`,
+        },
+      ]);
+    },
+    [
+      updateReceiverProgress,
+      cancelIncomingFile,
+      removeOffer,
+      updateTransfer,
+      setMessages,
+    ],
+  );
+
+  /**
+   * Accepts a file of a folder we already accepted, without asking again.
+   * In tree mode the file is created at its path inside the folder's
+   * directory and streams straight to it.
+   * @param {string} peerId - The sending peer.
+   * @param {object} message - The `file-offer` message.
+   * @param {object} folder - The folder's entry in `acceptedFoldersRef`.
+   */
+  const acceptFolderFile = useCallback(
+    async (peerId, message, folder) => {
+      const { fileId, folderId, path } = message;
+      let accepted = true;
+      if (folder.mode === "tree") {
+        try {
+          // Only paths from the manifest the user accepted get written
+          if (!folder.paths.has(path)) {
+            throw new Error("File is not in the folder's manifest");
+          }
+          const handle = await createFileAtPath(folder.directory, path);
+          const writable = await handle.createWritable();
+          fileWriterMapRef.current[fileId] = { writable, handle };
+        } catch (e) {
+          log("Could not create file in folder", { folderId, path, e });
+          setError(`Could not save ${path}: ${e.message}`);
+          settleFolderFile(folderId, false);
+          accepted = false;
+        }
+      }
+      if (accepted) {
+        acceptedOffersRef.current.set(fileId, {
+          peerId,
+          name: message.name,
+          size: message.size,
+          snippet: false,
+          folderId,
+        });
+      }
+      const channel = peersRef.current.get(peerId)?.fileChannel;
+      if (channel?.readyState === "open") {
+        channel.send(
+          JSON.stringify({ type: "file-offer-response", fileId, accepted }),
+        );
+      }
+    },
+    [settleFolderFile, setError],
+  );
+
+  /**
+   * Lists a file a peer offered us, so the user can accept or decline it.
+   * Files of a folder we accepted, and snippets, are taken without asking.
+   * If we saved a file of the same name before, the offer points at it so
+   * the user can update that copy with a delta transfer.
+   * @param {string} peerId - The offering peer.
+   * @param {object} message - The `file-offer` message.
+   */
+  const receiveOffer = useCallback(
+    async (peerId, message) => {
+      const { fileId, name, size, mimeType } = message;
+      const folder = acceptedFoldersRef.current.get(message.folderId);
+      if (folder?.peerId === peerId) {
+        await acceptFolderFile(peerId, message, folder);
+        return;
+      }
+      // Snippets are small and land in the chat, like messages
+      if (message.snippet && size <= MAX_SNIPPET_SIZE) {
+        log("Accepting snippet", { peerId, fileId, mimeType });
+        acceptedOffersRef.current.set(fileId, {
+          peerId,
+          name,
+          size,
+          snippet: true,
+        });
+        const channel = peersRef.current.get(peerId)?.fileChannel;
+        if (channel?.readyState === "open") {
+          channel.send(
+            JSON.stringify({
+              type: "file-offer-response",
+              fileId,
+              accepted: true,
+            }),
+          );
+        }
+        return;
+      }
+      const preview = sanitizePreview(message.preview); // It's rendered, so only what we'd send
+      let deltaBase = null;
+      try {
+        const saved = (await listHistoryIndexedDB()).find(
+          (entry) =>
+            entry.direction === "received" &&
+            entry.name === name &&
+            entry.status === "verified" &&
+            entry.handle,
+        );
+        deltaBase = saved?.id ?? null;
+      } catch (e) {
+        log("Could not look for an older copy", e);
+      }
+      log("Received file offer", { peerId, fileId, name, size });
+      incomingOffersRef.current.set(fileId, {
+        fileId,
+        peerId,
+        name,
+        size,
+        mimeType,
+        preview,
+        deltaBase, // History entry of our older copy, if any
+      });
+      setOffers(Array.from(incomingOffersRef.current.values()));
+      setMessages((p) => [
+        ...p,
+        {
+          type: "system",
+          text: `${shortPeerId(peerId)} wants to send you ${name} (${(size / 1024 / 1024).toFixed(2)} MB)`,
+        },
+      ]);
+    },
+    [acceptFolderFile, setMessages],
+  );
+
+  /**
+   * Collects a folder manifest a peer sends page by page, and lists the
+   * folder for the user to accept or decline once the last page is in.
+   * @param {string} peerId - The offering peer.
+   * @param {object} message - One `folder-offer` page.
+   */
+  const receiveFolderOffer = useCallback(
+    (peerId, message) => {
+      const { folderId, name, fileCount, size } = message;
+      const key = `${peerId}:${folderId}`;
+      let entries = partialFolderOffersRef.current.get(key);
+      if (!entries) {
+        entries = [];
+        partialFolderOffersRef.current.set(key, entries);
+      }
+      entries.push(...message.entries);
+      if (!message.last) return;
+      partialFolderOffersRef.current.delete(key);
+
+      log("Received folder offer", { peerId, folderId, name, fileCount });
+      incomingOffersRef.current.set(folderId, {
+        kind: "folder",
+        fileId: folderId,
+        peerId,
+        name,
+        size,
+        fileCount,
+        entries,
+      });
+      setOffers(Array.from(incomingOffersRef.current.values()));
+      setMessages((p) => [
+        ...p,
+        {
+          type: "system",
+          text: `${shortPeerId(peerId)} wants to send you the folder ${name} (${fileCount} files, ${(size / 1024 / 1024).toFixed(2)} MB)`,
+        },
+      ]);
+    },
+    [setMessages],
+  );
+
+  /**
+   * Closes the connection to a single peer and forgets about it.
+   * @param {string} peerId - The socket ID of the peer to drop.
+   */
+  const closePeer = useCallback(
+    (peerId) => {
+      const peer = peersRef.current.get(peerId);
+      delete pendingIceCandidatesRef.current[peerId];
+      if (!peer) return;
+      log("Closing P2P connection", { peerId });
+      peersRef.current.delete(peerId);
+      if (peer.chatChannel) peer.chatChannel.close();
+      if (peer.fileChannel) peer.fileChannel.close();
+      peer.stripeChannels.forEach((channel) => channel.close());
+      for (const key of earlyFramesRef.current.keys()) {
+        if (key.startsWith(`${peerId}:`)) earlyFramesRef.current.delete(key);
+      }
+      peer.pc.close();
+      syncPeerState();
+    },
+    [syncPeerState],
+  );
+
+  /**
+   * Drops a peer whose encryption handshake or data didn't check out: the
+   * sides disagree on encryption, derived different keys (which an honest
+   * server would have stopped at the password check) or the data was tampered
+   * with. Any of these is reported in the chat rather than just logged.
+   * @param {string} peerId - The peer to drop.
+   * @param {string} reason - What went wrong.
+   */
+  const failEncryption = useCallback(
+    (peerId, reason) => {
+      const peer = peersRef.current.get(peerId);
+      if (!peer) return;
+      const error = new Error(
+        `End-to-end encryption with ${shortPeerId(peerId)} failed: ${reason}`,
+      );
+      log("Encryption failure", { peerId, reason });
+      peer.encryption.key.reject(error);
+      peer.encryption.ready.reject(error);
+      setError(error.message);
+      setMessages((p) => [
+        ...p,
+        { type: "system", text: `${error.message}. Connection closed.` },
+      ]);
+      closePeer(peerId);
+    },
+    [closePeer, setError, setMessages],
+  );
+
+  /**
+   * Decrypts a binary message from one of a peer's file channels when the
+   * connection is encrypted.
+   * @param {string} peerId - The sending peer.
+   * @param {ArrayBuffer} buffer - The message as received.
+   * @returns {Promise<ArrayBuffer|null>} The chunk frame, or null if it
+   *   couldn't be decrypted (the peer has been dropped).
+   */
+  const openFrame = useCallback(
+    async (peerId, buffer) => {
+      const key = await peersRef.current.get(peerId)?.encryption.key.promise;
+      if (!key) return buffer;
+      try {
+        return await unseal(key, buffer);
+      } catch (e) {
+        failEncryption(peerId, e.message);
+        return null;
+      }
+    },
+    [failEncryption],
+  );
+
+  /**
+   * Checks new file metadata against the offer we accepted for it: the
+   * sender has to send the file the user agreed to, under the same name and
+   * size (or, for a snippet taken without asking, something small enough to
+   * be one). Anything else is cancelled.
+   * @param {string} peerId - The sending peer.
+   * @param {RTCDataChannel} channel - The peer's main file channel.
+   * @param {object} meta - The `file-metadata` message.
+   * @returns {boolean} Whether to receive the file.
+   */
+  const takeAcceptedMetadata = useCallback(
+    (peerId, channel, meta) => {
+      const { fileId } = meta;
+      const offer = acceptedOffersRef.current.get(fileId);
+      if (!offer || offer.peerId !== peerId) {
+        log("Ignoring metadata for a file we didn't accept", {
+          peerId,
+          fileId,
+        });
+        return false;
+      }
+      acceptedOffersRef.current.delete(fileId);
+      const matches =
+        Number.isSafeInteger(meta.size) &&
+        meta.size >= 0 &&
+        Number.isSafeInteger(meta.chunkSize) &&
+        meta.chunkSize > 0 &&
+        meta.chunks === Math.ceil(meta.size / meta.chunkSize) &&
+        meta.name === offer.name &&
+        // A delta stream's size is that of its literal data
+        (meta.delta ? meta.delta.targetSize : meta.size) === offer.size &&
+        Boolean(meta.delta) === Boolean(offer.delta) &&
+        Boolean(meta.snippet) === offer.snippet &&
+        meta.folderId === offer.folderId &&
+        (!offer.snippet || meta.size <= MAX_SNIPPET_SIZE);
+      if (matches) return true;
+      log("Metadata doesn't match the accepted offer", { peerId, fileId });
+      setError(
+        `${shortPeerId(peerId)} tried to send something other than ${offer.name}; cancelled`,
+      );
+      if (channel.readyState === "open") {
+        channel.send(
+          JSON.stringify({
+            type: "transfer-control",
+            fileId,
+            action: "cancel",
+          }),
+        );
+      }
+      if (offer.folderId) settleFolderFile(offer.folderId, false);
+      fileWriterMapRef.current[fileId]?.writable.abort();
+      delete fileWriterMapRef.current[fileId];
+      showTransferCard(
+        fileId,
+        { status: "cancelled", text: `Cancelled: ${offer.name}` },
+        false,
+      );
+      return false;
+    },
+    [settleFolderFile, showTransferCard, setError],
+  );
+
+  /**
+   * Sets up a peer's file data channel and its event listeners.
+   * This is where incoming files and chunks are processed.
+   * @param {string} peerId - The remote peer this channel belongs to.
+   * @param {RTCDataChannel} channel - The newly created file data channel.
+   */
+  const setupFileChannel = useCallback(
+    (peerId, channel) => {
+      log("Setting up file channel", { peerId });
+      const peer = peersRef.current.get(peerId);
+      if (peer) peer.fileChannel = channel;
+      channel.binaryType = "arraybuffer"; // We'll be receiving binary data
+
+      channel.onopen = () => {
+        log("File channel opened", { peerId });
+        if (peer) peer.channelsReady.file = true;
+        syncPeerState();
+        setMessages((p) => [
+          ...p,
+          {
+            type: "system",
+            text: `File transfer ready with ${shortPeerId(peerId)}`,
+          },
+        ]);
+        // Pick up anything that was cut off last time we were in this room
+        requestPendingResumes(peerId).catch((e) =>
+          log("Could not request resumes", e),
+        );
+      };
+
+      channel.onclose = () => {
+        log("File channel closed", { peerId });
+        if (peer) peer.channelsReady.file = false;
+        syncPeerState();
+        markIncomingInterrupted(peerId);
+        // Offers from this peer can't be answered anymore
+        incomingOffersRef.current.forEach((offer) => {
+          if (offer.peerId === peerId) removeOffer(offer.fileId);
+        });
+        for (const key of partialFolderOffersRef.current.keys()) {
+          if (key.startsWith(`${peerId}:`)) {
+            partialFolderOffersRef.current.delete(key);
+          }
+        }
+      };
+
+      channel.onerror = (e) => log("File channel error", e);
+
+      // Sealed messages take a moment to open; every text message waits
+      // for the ones before it, so they're handled in the order they came
+      // (null for one that doesn't check out; the peer is dropped then)
+      let opening = Promise.resolve();
+      const openMessage = async (text) => {
+        const message = JSON.parse(text);
+        const key = await peer?.encryption.key.promise;
+        if (!message.sealed) {
+          if (key && SEALED_FILE_MESSAGES.has(message.type)) {
+            failEncryption(peerId, `they sent an unsealed ${message.type}`);
+            return null;
+          }
+          return message;
+        }
+        if (!key) {
+          failEncryption(peerId, "they sent an encrypted message");
+          return null;
+        }
+        try {
+          return await unsealJsonFromBase64(key, message.sealed);
+        } catch (e) {
+          failEncryption(peerId, e.message);
+          return null;
+        }
+      };
+
+      // This is the main message handler for the file channel.
+      channel.onmessage = async (ev) => {
+        try {
+          // --- Handle STRING messages (metadata, ACKs) ---
+          if (typeof ev.data === "string") {
+            const opened = opening.then(() => openMessage(ev.data));
+            opening = opened.catch(() => {});
+            const message = await opened;
+            if (!message) return;
+
+            if (message.type === "file-offer") {
+              // --- Receiver: A peer wants to send us a file; ask the user ---
+              await receiveOffer(peerId, message);
+            } else if (message.type === "file-offer-response") {
+              // --- Sender: The receiver accepted or declined our offer ---
+              const resolve = offerResolversRef.current.get(
+                `${peerId}:${message.fileId}`,
+              );
+              if (resolve) resolve(message);
+            } else if (message.type === "delta-signature") {
+              // --- Sender: A page of the signature of the receiver's older copy ---
+              receiveDeltaSignature(peerId, message);
+            } else if (message.type === "delta-ops") {
+              // --- Receiver: A page of how to rebuild the file from our older copy ---
+              if (deltaBasesRef.current[message.fileId]) {
+                (deltaOpsRef.current[message.fileId] ||= []).push(
+                  ...message.ops,
+                );
+              }
+            } else if (message.type === "folder-offer") {
+              // --- Receiver: A page of a folder manifest; ask once it's whole ---
+              receiveFolderOffer(peerId, message);
+            } else if (message.type === "folder-offer-response") {
+              // --- Sender: The receiver took the folder as a tree, a zip, or not at all ---
+              const resolve = offerResolversRef.current.get(
+                `${peerId}:${message.folderId}`,
+              );
+              if (resolve) resolve(message);
+            } else if (
+              message.type === "file-metadata" &&
+              !message.resume &&
+              !takeAcceptedMetadata(peerId, channel, message)
+            ) {
+              // Not a file we agreed to; already dealt with
+            } else if (message.type === "file-metadata" && message.resume) {
+              // --- Receiver: The sender is resuming an interrupted transfer ---
+              log("Received resumed file metadata", message);
+              await resumeIncomingFile(peerId, channel, message);
+            } else if (message.type === "file-metadata") {
+              // --- Receiver: Handle incoming file metadata ---
+              const meta = message;
+              log("Received file metadata", meta);
+
+              // Initialize state for the new transfer
+              fileMetaRef.current[meta.fileId] = meta;
+              receivedChunksRef.current[meta.fileId] = new Set();
+              incomingPeerRef.current[meta.fileId] = peerId;
+              isFinalizingRef.current[meta.fileId] = false;
+              startTimeRef.current[meta.fileId] = Date.now();
+              streamRoutesRef.current.set(
+                `${peerId}:${meta.streamId}`,
+                meta.fileId,
+              );
+
+              // Update UI to show transfer progress
+              updateTransfer(meta.fileId, () => ({
+                direction: "receive",
+                peerId,
+                fileName: meta.name,
+                totalSize: meta.size,
+                receivedSize: 0,
+                progress: 0,
+                speed: 0,
+                chunks: 0,
+                totalChunks: meta.chunks || 0,
+                compressed: meta.compressed || false,
+                compressionStrategy: meta.compressionStrategy,
+                compressionRatio: meta.compressionRatio,
+                delta: describeDelta(meta),
+              }));
+
+              // Chunks that arrive while the save picker is open queue up behind it
+              const ready = prepareIncomingFile(meta);
+              writeQueueRef.current[meta.fileId] = ready;
+              await ready;
+              await flushEarlyFrames(peerId, meta.streamId, channel);
+            } else if (message.type === "file-end") {
+              // --- Receiver: All chunks are out; this carries the file digest ---
+              log("Received file end", message);
+              if (fileMetaRef.current[message.fileId]) {
+                fileEndRef.current[message.fileId] = message;
+                // Until the ACK, the sender only knows we're alive from these
+                const received = receivedChunksRef.current[message.fileId];
+                const { chunks } = fileMetaRef.current[message.fileId];
+                reportReceiveStage(
+                  message.fileId,
+                  "receiving",
+                  chunks ? (received?.size || 0) / chunks : 1,
+                );
+                await maybeFinalizeIncomingFile(
+                  peerId,
+                  channel,
+                  message.fileId,
+                );
+              }
+            } else if (message.type === "chunk-resend-request") {
+              // --- Sender: The receiver rejected chunks (corrupted, or too early) ---
+              transferCompletionResolversRef.current
+                .get(`${peerId}:${message.fileId}`)
+                ?.keepAlive();
+              await resendChunks(peerId, message.fileId, message.indices);
+            } else if (message.type === "transfer-complete-ack") {
+              // --- Sender: Handle transfer completion acknowledgment ---
+              log(`Received ACK for ${message.fileId}`, { peerId });
+              // Find the entry we stored in `waitForAck`
+              const key = `${peerId}:${message.fileId}`;
+              const waiting = transferCompletionResolversRef.current.get(key);
+              if (waiting) {
+                waiting.resolve(message); // This resolves the promise in `sendFile`
+                transferCompletionResolversRef.current.delete(key);
+              }
+            } else if (message.type === "transfer-progress") {
+              // --- Sender: The receiver is still finishing the file ---
+              const waiting = transferCompletionResolversRef.current.get(
+                `${peerId}:${message.fileId}`,
+              );
+              // A last heartbeat can cross the ACK; ignore it then
+              if (waiting) {
+                waiting.keepAlive();
+                updateReceiverProgress(message.fileId, peerId, {
+                  stage: { name: message.stage, progress: message.progress },
+                });
+              }
+            } else if (message.type === "resume-request") {
+              // --- Sender: A reconnected receiver wants the rest of a file ---
+              log("Received resume request", {
+                peerId,
+                fileId: message.fileId,
+              });
+              const outgoing = outgoingTransfersRef.current.get(message.fileId);
+              // A delta stream is only resumable while we still have its ops
+              if (
+                outgoing &&
+                (message.delta == null || outgoing.deltas.has(message.delta))
+              ) {
+                resumeOutgoingTransfer(
+                  peerId,
+                  message.fileId,
+                  message.have,
+                  message.delta,
+                );
+              } else {
+                // Not ours, or we no longer have the file (e.g. we reloaded)
+                channel.send(
+                  JSON.stringify({
+                    type: "resume-unavailable",
+                    fileId: message.fileId,
+                  }),
+                );
+              }
+            } else if (message.type === "transfer-control") {
+              // --- Either side: the peer paused, resumed or cancelled a transfer ---
+              await handleTransferControl(peerId, message);
+            } else if (message.type === "resume-unavailable") {
+              // --- Receiver: This peer can't resume the file; another might ---
+              log("Peer cannot resume transfer", {
+                peerId,
+                fileId: message.fileId,
+              });
+            }
+          } else {
+            // --- Receiver: Handle incoming BINARY chunk frames ---
+            if (peer) {
+              recordChannelTraffic(
+                peer,
+                channel.label,
+                "received",
+                ev.data.byteLength,
+              );
+            }
+            const frame = await openFrame(peerId, ev.data);
+            if (frame) await handleChunkFrame(peerId, channel, frame);
+          }
+        } catch (e) {
+          log("Error in file channel onmessage", e);
+          setError("File receive error: " + e.message);
+        }
+      };
+    },
+    [
+      receiveOffer,
+      receiveDeltaSignature,
+      receiveFolderOffer,
+      removeOffer,
+      takeAcceptedMetadata,
+      prepareIncomingFile,
+      openFrame,
+      failEncryption,
+      handleChunkFrame,
+      flushEarlyFrames,
+      maybeFinalizeIncomingFile,
+      resendChunks,
+      resumeIncomingFile,
+      resumeOutgoingTransfer,
+      handleTransferControl,
+      requestPendingResumes,
+      markIncomingInterrupted,
+      reportReceiveStage,
+      updateTransfer,
+      updateReceiverProgress,
+      syncPeerState,
+      setMessages,
+      setError,
+    ], // Dependencies for useCallback
+  );
+
+  /**
+   * Sets up one of a peer's extra file channels. These only carry chunk
+   * frames of striped transfers; replies go out on the main file channel.
+   * @param {string} peerId - The remote peer this channel belongs to.
+   * @param {RTCDataChannel} channel - The newly created stripe channel.
+   */
+  const setupStripeChannel = useCallback(
+    (peerId, channel) => {
+      log("Setting up stripe channel", { peerId, label: channel.label });
+      const peer = peersRef.current.get(peerId);
+      if (peer) peer.stripeChannels.push(channel);
+      channel.binaryType = "arraybuffer";
+      channel.onopen = () =>
+        log("Stripe channel opened", { peerId, label: channel.label });
+      channel.onclose = () =>
+        log("Stripe channel closed", { peerId, label: channel.label });
+      channel.onerror = (e) => log("Stripe channel error", e);
+      channel.onmessage = async (ev) => {
+        if (typeof ev.data === "string") return; // Control messages use the main channel
+        try {
+          if (peer) {
+            recordChannelTraffic(
+              peer,
+              channel.label,
+              "received",
+              ev.data.byteLength,
+            );
+          }
+          const frame = await openFrame(peerId, ev.data);
+          const mainChannel = peersRef.current.get(peerId)?.fileChannel;
+          if (!frame || !mainChannel) return;
+          await handleChunkFrame(peerId, mainChannel, frame);
+        } catch (e) {
+          log("Error in stripe channel onmessage", e);
+          setError("File receive error: " + e.message);
+        }
+      };
+    },
+    [openFrame, handleChunkFrame, setError],
+  );
+
+  /**
+   * Sends one chat envelope to a peer, sealed once its encryption handshake
+   * has settled. Envelopes go out in the order they were given.
+   * @param {string} peerId - The recipient.
+   * @param {object} envelope - See services/chatProtocol.js.
+   * @returns {Promise<boolean>} Whether it went out (the chat channel was open).
+   */
+  const sendChatEnvelope = useCallback((peerId, envelope) => {
+    const peer = peersRef.current.get(peerId);
+    if (peer?.chatChannel?.readyState !== "open") return Promise.resolve(false);
+    const { chatChannel, encryption } = peer;
+    const sent = encryption.chatQueue
+      .then(() => encryption.ready.promise)
+      .then(async (key) => {
+        const payload = key
+          ? await sealJson(key, envelope)
+          : JSON.stringify(envelope);
+        if (chatChannel.readyState !== "open") return false;
+        chatChannel.send(payload);
+        return true;
+      })
+      .catch((e) => {
+        log("Could not send chat message", { peerId, error: e.message });
+        return false;
+      });
+    encryption.chatQueue = sent;
+    return sent;
+  }, []);
+
+  /**
+   * Shows a sent message's ticks as its receipts stand, and stops tracking
+   * it once everyone it went to has read it.
+   * @param {{envelope: object, recipients: string[], sentTo: string[], receipts: object}} record
+   */
+  const updateChatStatus = useCallback(
+    (record) => {
+      const { id } = record.envelope;
+      const status = summarizeReceipts(
+        record.recipients,
+        record.sentTo,
+        record.receipts,
+      );
+      if (status === "read") chatOutboxRef.current.delete(id);
+      setMessages((p) =>
+        p.map((m) => (m.type === "sent" && m.id === id ? { ...m, status } : m)),
+      );
+    },
+    [setMessages],
+  );
+
+  /**
+   * Sends one of our messages to a peer, and notes that it went out.
+   * @param {string} peerId - The recipient.
+   * @param {{envelope: object, recipients: string[], sentTo: string[], receipts: object}} record
+   */
+  const dispatchChatMessage = useCallback(
+    async (peerId, record) => {
+      if (!(await sendChatEnvelope(peerId, record.envelope))) return;
+      if (!record.sentTo.includes(peerId)) record.sentTo.push(peerId);
+      updateChatStatus(record);
+    },
+    [sendChatEnvelope, updateChatStatus],
+  );
+
+  /**
+   * Sends a peer whose chat channel just opened what it's missing: the
+   * outbox, and any message meant for it that it never confirmed (never
+   * sent, or lost while the channel was down; it drops the ones it already
+   * has).
+   * @param {string} peerId - The peer.
+   */
+  const flushChatOutbox = useCallback(
+    (peerId) => {
+      chatOutboxRef.current.forEach((record) => {
+        if (record.recipients.length === 0) record.recipients.push(peerId);
+        if (record.recipients.includes(peerId) && !record.receipts[peerId]) {
+          dispatchChatMessage(peerId, record);
+        }
+      });
+    },
+    [dispatchChatMessage],
+  );
+
+  /**
+   * Shows or stops showing a peer as typing. It stops by itself if the peer
+   * goes quiet for TYPING_TIMEOUT.
+   * @param {string} peerId - The peer.
+   * @param {boolean} active - Whether it's typing.
+   */
+  const setPeerTyping = useCallback((peerId, active) => {
+    clearTimeout(typingTimersRef.current[peerId]);
+    delete typingTimersRef.current[peerId];
+    if (active) {
+      typingTimersRef.current[peerId] = setTimeout(
+        () => setPeerTyping(peerId, false),
+        TYPING_TIMEOUT,
+      );
+    }
+    setTypingPeers((p) => {
+      if (active) return p.includes(peerId) ? p : [...p, peerId];
+      return p.includes(peerId) ? p.filter((id) => id !== peerId) : p;
+    });
+  }, []);
+
+  /**
+   * Tells senders we've read the messages that came in while the page was
+   * hidden, once it's visible.
+   */
+  const sendReadReceipts = useCallback(() => {
+    if (document.visibilityState !== "visible") return;
+    unreadChatRef.current.forEach((ids, peerId) =>
+      sendChatEnvelope(peerId, createReceipt(ids, "read")),
+    );
+    unreadChatRef.current.clear();
+  }, [sendChatEnvelope]);
+
+  /**
+   * Sets up a peer's chat data channel and its event listeners.
+   * @param {string} peerId - The remote peer this channel belongs to.
+   * @param {RTCDataChannel} channel - The newly created chat data channel.
+   */
+  const setupChatChannel = useCallback(
+    (peerId, channel) => {
+      log("Setting up chat channel", { peerId });
+      const peer = peersRef.current.get(peerId);
+      if (peer) peer.chatChannel = channel;
+      channel.binaryType = "arraybuffer"; // Sealed messages arrive as binary
+      channel.onopen = () => {
+        log("Chat channel opened", { peerId });
+        if (peer) peer.channelsReady.chat = true;
+        syncPeerState();
+        setMessages((p) => [
+          ...p,
+          { type: "system", text: `Chat ready with ${shortPeerId(peerId)}` },
+        ]);
+        // Start the encryption handshake: both sides say whether they
+        // encrypt and send their half of the key salt
+        if (peer) {
+          channel.send(
+            JSON.stringify({
+              type: "e2e-hello",
+              encrypted: !!roomKeyRef.current,
+              salt: peer.encryption.salt,
+            }),
+          );
+          // Goes out once the handshake settles
+          flushChatOutbox(peerId);
+        }
+      };
+      channel.onmessage = async (ev) => {
+        if (!peer) return;
+        const { encryption } = peer;
+        try {
+          let data;
+          if (typeof ev.data === "string") {
+            data = JSON.parse(ev.data);
+            if (data.type === "e2e-hello") {
+              const roomKey = roomKeyRef.current;
+              if (data.encrypted !== !!roomKey) {
+                failEncryption(
+                  peerId,
+                  data.encrypted
+                    ? "they joined with encryption on and we didn't"
+                    : "they joined without encryption",
+                );
+                return;
+              }
+              if (!roomKey) {
+                encryption.key.resolve(null);
+                encryption.ready.resolve(null);
+                return;
+              }
+              let key;
+              try {
+                key = await deriveSessionKey(
+                  roomKey,
+                  encryption.salt,
+                  data.salt,
+                );
+              } catch (e) {
+                failEncryption(peerId, e.message);
+                return;
+              }
+              encryption.key.resolve(key);
+              // Our first sealed message lets the peer check that we
+              // derived the same key
+              channel.send(await sealJson(key, { type: "e2e-check" }));
+              return;
+            }
+            if (await encryption.key.promise) {
+              failEncryption(peerId, "they sent an unencrypted message");
+              return;
+            }
+          } else {
+            const key = await encryption.key.promise;
+            if (!key) {
+              failEncryption(peerId, "they sent an encrypted message");
+              return;
+            }
+            try {
+              data = await unsealJson(key, ev.data);
+            } catch (e) {
+              failEncryption(peerId, e.message);
+              return;
+            }
+            if (data.type === "e2e-check") {
+              encryption.ready.resolve(key);
+              setMessages((p) => [
+                ...p,
+                {
+                  type: "system",
+                  text: `Chat and files with ${shortPeerId(peerId)} are end-to-end encrypted`,
+                },
+              ]);
+              return;
+            }
+          }
+          if (data.type === "message") {
+            // The chat renders the text, so anything else would take it down
+            if (typeof data.text !== "string") {
+              log("Dropping chat message without text", { peerId });
+              return;
+            }
+            // Confirm it (again, if it's a duplicate: our receipt may be
+            // what got lost); a page in the background only got it
+            if (data.id) {
+              const visible = document.visibilityState === "visible";
+              sendChatEnvelope(
+                peerId,
+                createReceipt([data.id], visible ? "read" : "delivered"),
+              );
+              if (seenChatIdsRef.current.has(data.id)) return;
+              seenChatIdsRef.current.add(data.id);
+              if (!visible) {
+                const unread = unreadChatRef.current.get(peerId) || [];
+                unreadChatRef.current.set(peerId, [...unread, data.id]);
+              }
+            }
+            setPeerTyping(peerId, false);
+            // Add received message to the chat UI
+            setMessages((p) => [
+              ...p,
+              {
+                type: "received",
+                id: data.id,
+                text: data.text,
+                from: peerId,
+                sentAt: Number.isFinite(data.sentAt) ? data.sentAt : undefined,
+              },
+            ]);
+          } else if (data.type === "receipt") {
+            if (!Array.isArray(data.ids)) return;
+            data.ids.forEach((id) => {
+              const record = chatOutboxRef.current.get(id);
+              if (!record) return;
+              record.receipts[peerId] = advanceStatus(
+                record.receipts[peerId],
+                data.status,
+              );
+              updateChatStatus(record);
+            });
+          } else if (data.type === "typing") {
+            setPeerTyping(peerId, data.active);
+          }
+        } catch (e) {
+          log("Error handling chat message", e);
+        }
+      };
+      channel.onclose = () => {
+        if (peer) peer.channelsReady.chat = false;
+        setPeerTyping(peerId, false);
+        syncPeerState();
+      };
+      channel.onerror = (e) => log("Chat channel error", e);
+    },
+    [
+      syncPeerState,
+      failEncryption,
+      flushChatOutbox,
+      sendChatEnvelope,
+      updateChatStatus,
+      setPeerTyping,
+      setMessages,
+    ], // Dependencies for useCallback
+  );
+
+  /**
+   * Creates and configures the RTCPeerConnection to one remote peer.
+   * This is the core of the WebRTC logic.
+   * @param {string} peerId - The socket ID of the remote peer.
+   * @param {boolean} isOfferer - True if this client should create the offer.
+   */
+  const createPeerConnection = useCallback(
+    async (peerId, isOfferer) => {
+      // Close any existing connection to this peer
+      const existing = peersRef.current.get(peerId);
+      if (existing) existing.pc.close();
+
+      // Create the peer connection with STUN servers
+      // (STUN servers help find a path between peers)
+      const pc = new RTCPeerConnection({
+        iceServers: [
+          { urls: "stun:stun.l.google.com:19302" },
+          { urls: "stun:stun1.l.google.com:19302" },
+        ],
+      });
+      peersRef.current.set(peerId, {
+        pc,
+        chatChannel: null,
+        fileChannel: null,
+        stripeChannels: [],
+        channelStats: {},
+        channelsReady: { chat: false, file: false },
+        encryption: createEncryptionState(),
+        iceRestarts: 0, // How often we restarted ICE, for the diagnostics
+      });
+      syncPeerState();
+
+      // This event fires when a new ICE candidate is found
+      pc.onicecandidate = (event) => {
+        if (event.candidate) {
+          // Send the candidate to the remote peer via the signaling server
+          socketRef.current.emit("ice-candidate", {
+            roomId: roomIdRef.current,
+            targetId: peerId,
+            candidate: event.candidate,
+          });
+        }
+      };
+
+      // Update UI based on connection state changes.
+      pc.onconnectionstatechange = () => {
+        log("Connection state changed", { peerId, state: pc.connectionState });
+        // Ignore events from a connection that has since been replaced
+        if (peersRef.current.get(peerId)?.pc !== pc) return;
+        syncPeerState(); // Update UI
+        if (pc.connectionState === "connected") {
+          setError(""); // Clear any "connecting" errors
+          setMessages((p) => [
+            ...p,
+            {
+              type: "system",
+              text: `P2P Connection Established with ${shortPeerId(peerId)}`,
+            },
+          ]);
+        } else if (
+          ["disconnected", "failed", "closed"].includes(pc.connectionState)
+        ) {
+          // Handle connection loss
+          const peer = peersRef.current.get(peerId);
+          peer.channelsReady = { chat: false, file: false };
+          syncPeerState();
+          if (pc.connectionState !== "closed") {
+            setError(`Connection lost with ${shortPeerId(peerId)}`);
+          }
+        }
+      };
+
+      // Handle ICE connection failures (e.g., network change)
+      pc.oniceconnectionstatechange = () => {
+        if (pc.iceConnectionState === "failed") {
+          log("ICE connection failed, restarting ICE.", { peerId });
+          const peer = peersRef.current.get(peerId);
+          if (peer?.pc === pc) peer.iceRestarts++;
+          pc.restartIce(); // Attempt to reconnect
+        }
+      };
+
+      if (isOfferer) {
+        // --- Offerer logic ---
+        // The peer that was already in the room creates the data channels.
+        const chatChannel = pc.createDataChannel("chat");
+        setupChatChannel(peerId, chatChannel);
+
+        const fileChannel = pc.createDataChannel("file", { ordered: true });
+        // Set a threshold to trigger 'bufferedamountlow' event
+        fileChannel.bufferedAmountLowThreshold = settings.chunkSize * 4;
+        setupFileChannel(peerId, fileChannel);
+
+        // Extra channels to stripe transfers across (the offerer's setting wins)
+        for (let i = 1; i < settings.fileChannels; i++) {
+          const stripe = pc.createDataChannel(`file-${i}`, { ordered: true });
+          stripe.bufferedAmountLowThreshold = settings.chunkSize * 4;
+          setupStripeChannel(peerId, stripe);
+        }
+
+        // Create and send the offer to the remote peer
+        const offer = await pc.createOffer();
+        await pc.setLocalDescription(offer);
+        socketRef.current.emit("offer", {
+          roomId: roomIdRef.current,
+          targetId: peerId,
+          offer: pc.localDescription,
+        });
+        log("Offer created and sent", { peerId });
+      } else {
+        // --- Answerer logic ---
+        // The newcomer waits for the data channels to be created by the offerer.
+        pc.ondatachannel = (event) => {
+          if (event.channel.label === "chat") {
+            setupChatChannel(peerId, event.channel);
+          } else if (event.channel.label === "file") {
+            event.channel.bufferedAmountLowThreshold = settings.chunkSize * 4;
+            setupFileChannel(peerId, event.channel);
+          } else if (event.channel.label.startsWith("file-")) {
+            event.channel.bufferedAmountLowThreshold = settings.chunkSize * 4;
+            setupStripeChannel(peerId, event.channel);
+          }
+        };
+      }
+    },
+    [
+      setupFileChannel,
+      setupStripeChannel,
+      setupChatChannel,
+      syncPeerState,
+      settings.chunkSize,
+      settings.fileChannels,
+      setMessages,
+      setError,
+    ], // Dependencies for useCallback
+  );
+
+  /**
+   * Gracefully closes all connections and resets P2P state.
+   */
+  const cleanupPeerConnection = useCallback(() => {
+    log("Cleaning up P2P connections");
+    Array.from(peersRef.current.keys()).forEach(closePeer);
+    pendingIceCandidatesRef.current = {};
+    setPeerConnected(false);
+    channelsReadyRef.current = { chat: false, file: false };
+  }, [closePeer]);
+
+  /**
+   * Returns the IDs of all peers whose file channel is currently open.
+   */
+  const getFileReadyPeers = useCallback(
+    () =>
+      Array.from(peersRef.current.entries())
+        .filter(([, peer]) => peer.fileChannel?.readyState === "open")
+        .map(([id]) => id),
+    [],
+  );
+
+  /**
+   * Snapshot of every peer connection for the diagnostics view: the
+   * candidate pair in use and each channel's traffic, from `getStats()`
+   * (see services/connectionStats.js), next to our own chunk counts.
+   * @returns {Promise<Array<object>>} One entry per peer, with the raw
+   *   stats report as `stats` for saving.
+   */
+  const getDiagnostics = useCallback(
+    () =>
+      Promise.all(
+        Array.from(peersRef.current.entries()).map(async ([id, peer]) => {
+          let report = null;
+          try {
+            report = await peer.pc.getStats();
+          } catch (e) {
+            log("Could not read connection stats", { peerId: id, e });
+          }
+          const summary = report && summarizeStats(report);
+          return {
+            id,
+            connectionState: peer.pc.connectionState,
+            iceConnectionState: peer.pc.iceConnectionState,
+            iceRestarts: peer.iceRestarts,
+            candidatePair: summary?.pair ?? null,
+            channels: [
+              peer.chatChannel,
+              peer.fileChannel,
+              ...peer.stripeChannels,
+            ]
+              .filter(Boolean)
+              .map((channel) => ({
+                label: channel.label,
+                readyState: channel.readyState,
+                bufferedAmount: channel.bufferedAmount,
+                framesSent: 0,
+                bytesSent: 0,
+                framesReceived: 0,
+                bytesReceived: 0,
+                ...peer.channelStats[channel.label],
+                // Everything the channel carried, chat and control messages too
+                transport: summary?.dataChannels[channel.label] ?? null,
+              })),
+            stats: report ? statsToJson(report) : [],
+          };
+        }),
+      ),
+    [],
+  );
+
+  /**
+   * The main file sending function.
+   * Handles metadata sending and chunking; compression happens per chunk.
+   * The file is prepared once and then streamed to every target peer in parallel;
+   * reading, compressing and hashing it happen in the transfer worker.
+   * It stays registered until every receiver confirms it, so a receiver whose
+   * connection drops can resume from where it left off.
+   * @param {File|{files: File[], folderName: string}} file - The file to send,
+   *   or a folder's files to send as one zip, archived while it is sent.
+   * @param {string[]} [targetPeerIds] - Peers to send to (defaults to every connected peer).
+   * @param {{folderId: string, path: string|null}} [folder] - Set when the
+   *   file is part of a folder transfer; the receivers accept it with the
+   *   folder, and the folder reports progress instead of each file.
+   * @param {boolean} [snippet=false] - The file is a snippet (see
+   *   services/clipboard.js); receivers take it without asking and show it
+   *   in the chat.
+   * @returns {Promise<{peers: string[], status: string}>} The targets that
+   *   didn't cancel the transfer, and how it ended (as in the history).
+   */
+  const sendFile = useCallback(
+    async (file, targetPeerIds, folder = null, snippet = false) => {
+      const readyPeers = getFileReadyPeers();
+      const targets = targetPeerIds
+        ? targetPeerIds.filter((id) => readyPeers.includes(id))
+        : readyPeers;
+      if (targets.length === 0) {
+        setError("File channel not ready for transfer.");
+        return { peers: [], status: "failed" };
+      }
+      const source = await openSource(file);
+      const { sourceId } = source;
+      log("Starting file transfer", {
+        name: source.name,
+        size: source.size,
+        peers: targets.length,
+      });
+
+      // Only compress when it pays off: known compressed formats are skipped
+      // and anything else is judged by deflating a few samples. Chunks are
+      // then deflated one at a time as they are sent.
+      const compression = await chooseSourceCompression(sourceId, {
+        enabled: settings.compression,
+      });
+      log("Compression decision", compression);
+      const preview = folder || snippet ? null : await createFilePreview(file);
+
+      // Auto mode indexes the file in small units and lets each receiver's
+      // flow controller pick the frame size; fixed mode sends one chunk of
+      // the configured size per frame (capped so it fits one message).
+      const maxPayload = Math.min(
+        ...targets.map((id) =>
+          getMaxFramePayload(peersRef.current.get(id)?.pc),
+        ),
+      );
+      const chunkSize =
+        settings.chunkMode === CHUNK_MODES.FIXED
+          ? Math.min(settings.chunkSize, maxPayload)
+          : AUTO_CHUNK_UNIT;
+      if (
+        settings.chunkMode === CHUNK_MODES.FIXED &&
+        chunkSize < settings.chunkSize
+      ) {
+        log("Chunk size capped to the SCTP max message size", { chunkSize });
+      }
+
+      const totalChunks = Math.ceil(source.size / chunkSize);
+      const startedAt = Date.now();
+      // Unique ID for this transfer; it travels unsealed, so no name in it
+      const fileId = `${startedAt}-${crypto.randomUUID()}`;
+      const streamId = createStreamId(); // Tags every chunk frame of this transfer
+
+      // --- Prepare file metadata ---
+      const metadata = {
+        type: "file-metadata",
+        fileId,
+        streamId,
+        name: source.name,
+        size: source.size,
+        mimeType: source.type,
+        chunks: totalChunks,
+        chunkSize, // Fixed for the life of the transfer, resumes included
+        chunkMode: settings.chunkMode,
+        digestAlgorithm: DIGEST_ALGORITHM, // Every frame carries its chunk's digest
+        compressed: compression.compress,
+        compression: compression.compress ? COMPRESSION_FORMAT : null,
+        compressionStrategy: compression.strategy, // Why we did or didn't compress
+        compressionRatio: compression.ratio, // Sampled compressed/original size, if measured
+        folderId: folder?.folderId, // Only set for files of a folder transfer
+        path: folder?.path, // Where the file goes inside that folder
+        snippet, // Clipboard contents or a text snippet, for the receiver's chat
+      };
+      outgoingTransfersRef.current.set(fileId, {
+        sourceId, // The file as registered with the transfer worker
+        metadata,
+        startedAt,
+        pendingReceivers: targets.length,
+        // Whole-file digest, hashed in the background while chunks go out
+        fileDigest: hashSource(sourceId),
+        preview, // Shown to receivers in the offer
+        controls: new Map(), // peerId -> pause/cancel state of its stream
+        // Delta key -> literal stream of a receiver updating an older copy
+        deltas: new Map(),
+        cancelled: false, // Set when we cancel the whole transfer
+      });
+
+      // Update UI to show sending progress, with a separate entry per receiver
+      targets.forEach((id) =>
+        updateReceiverProgress(fileId, id, { status: "sending" }),
+      );
+      // A streamed folder archive is written as it is read; show how far
+      // along that is next to the sending progress
+      onSourceProgress(sourceId, (archive) =>
+        updateTransfer(fileId, (prev) => prev && { ...prev, archive }),
+      );
+
+      if (!folder) {
+        showTransferCard(fileId, {
+          direction: "sent",
+          to: targets,
+          name: source.name,
+          size: source.size,
+          mimeType: source.type,
+          preview,
+          status: "sending",
+          text: `Sending: ${source.name} to ${targets.length} peer(s)`,
+          file, // Lets the card open what we sent
+        });
+      }
+
+      // --- Fan out to every target peer in parallel ---
+      const results = await Promise.allSettled(
+        targets.map((id) => streamFileToPeer(id, fileId)),
+      );
+      const failed = [];
+      const mismatched = [];
+      const kept = [];
+      let interrupted = 0;
+      let cancelled = 0;
+      results.forEach((result, i) => {
+        const peerId = targets[i];
+        if (result.status === "fulfilled") {
+          if (!result.value.verified) mismatched.push(shortPeerId(peerId));
+          kept.push(peerId);
+          settleOutgoingReceiver(fileId);
+        } else if (isStreamCancelled(fileId, peerId)) {
+          const declined = outgoingTransfersRef.current
+            .get(fileId)
+            ?.controls.get(peerId)?.declined;
+          log(`File transfer ${declined ? "declined" : "cancelled"}`, {
+            peerId,
+          });
+          updateReceiverProgress(fileId, peerId, {
+            status: declined ? "declined" : "cancelled",
+          });
+          if (declined) kept.push(peerId);
+          cancelled++;
+          settleOutgoingReceiver(fileId);
+        } else if (isPeerChannelClosed(peerId)) {
+          // The connection dropped: keep the file so the receiver can resume
+          log("File transfer interrupted", { peerId, e: result.reason });
+          updateReceiverProgress(fileId, peerId, { status: "interrupted" });
+          kept.push(peerId);
+          interrupted++;
+        } else {
+          log("File transfer failed", { peerId, e: result.reason });
+          updateReceiverProgress(fileId, peerId, { status: "failed" });
+          kept.push(peerId);
+          failed.push(
+            `${shortPeerId(peerId)}: ${result.reason?.message || result.reason}`,
+          );
+          settleOutgoingReceiver(fileId);
+        }
+      });
+      const delivered =
+        targets.length - failed.length - interrupted - cancelled;
+      const status =
+        cancelled === targets.length
+          ? "cancelled"
+          : failed.length > 0
+            ? "failed"
+            : interrupted > 0
+              ? "interrupted"
+              : mismatched.length > 0
+                ? "mismatch"
+                : "verified";
+
+      log(`Transfer for ${source.name} finished`, {
+        delivered,
+        interrupted,
+        cancelled,
+        failed,
+        mismatched,
+      });
+      // Update the card to the final outcome
+      if (!folder) {
+        showTransferCard(
+          fileId,
+          {
+            status,
+            delivered,
+            text:
+              cancelled === targets.length
+                ? `Transfer not delivered: ${source.name} (cancelled or declined)`
+                : interrupted > 0
+                  ? `Transfer paused: ${source.name} (${delivered}/${targets.length} peers done, ${interrupted} will resume on reconnect)`
+                  : `Transfer completed: ${source.name} (${delivered}/${targets.length} peers, ${mismatched.length ? "mismatch" : "verified"})`,
+          },
+          false,
+        );
+      }
+      if (failed.length > 0) {
+        setError("Failed to send file: " + failed.join("; "));
+      } else if (mismatched.length > 0) {
+        setError(
+          `Integrity mismatch reported by ${mismatched.join(", ")} for ${source.name}`,
+        );
+      }
+      // Files of a folder are recorded with the folder
+      if (!folder) {
+        recordHistory(
+          createHistoryEntry(
+            {
+              direction: "sent",
+              name: source.name,
+              size: source.size,
+              startedAt,
+              status,
+              room: roomIdRef.current,
+              peers: targets,
+            },
+            {
+              mimeType: source.type,
+              compressed: compression.compress,
+              compressionRatio: compression.ratio ?? null,
+            },
+          ),
+          file,
+        );
+      }
+      return { peers: kept, status };
+    },
+    [
+      settings.chunkMode,
+      settings.chunkSize,
+      settings.compression,
+      getFileReadyPeers,
+      streamFileToPeer,
+      updateTransfer,
+      updateReceiverProgress,
+      settleOutgoingReceiver,
+      isPeerChannelClosed,
+      isStreamCancelled,
+      recordHistory,
+      showTransferCard,
+      setError,
+    ],
+  );
+
+  /**
+   * Offers a folder to one peer: sends its manifest page by page and waits
+   * for the answer.
+   * @param {string} peerId - The receiving peer.
+   * @param {object} offer - `folderId`, `name`, `size` and the manifest `entries`.
+   * @returns {Promise<"tree"|"zip"|"declined">} How the peer takes the folder;
+   *   "declined" also if the channel closed first.
+   */
+  const offerFolder = useCallback(async (peerId, offer) => {
+    const peer = peersRef.current.get(peerId);
+    const channel = peer?.fileChannel;
+    if (channel?.readyState !== "open") return "declined";
+    const key = await peer.encryption.ready.promise;
+    const { folderId, name, size, entries } = offer;
+    const resolverKey = `${peerId}:${folderId}`;
+    let onClose;
+    const answer = new Promise((resolve) => {
+      onClose = () => resolve("declined");
+      channel.addEventListener("close", onClose);
+      offerResolversRef.current.set(resolverKey, (response) =>
+        resolve(
+          !response.accepted
+            ? "declined"
+            : response.mode === "tree"
+              ? "tree"
+              : "zip",
+        ),
+      );
+    });
+    log("Offering folder", { peerId, folderId, files: entries.length });
+    const pages = splitManifest(entries);
+    for (const [i, page] of pages.entries()) {
+      const text = await encodeFileMessage(key, {
+        type: "folder-offer",
+        folderId,
+        name,
+        size,
+        fileCount: entries.length,
+        entries: page,
+        last: i === pages.length - 1,
+      });
+      if (channel.readyState !== "open") break;
+      channel.send(text);
+    }
+    try {
+      return await answer;
+    } finally {
+      channel.removeEventListener("close", onClose);
+      offerResolversRef.current.delete(resolverKey);
+    }
+  }, []);
+
+  /**
+   * Sends a folder with its directory tree intact. Each receiver first gets
+   * a manifest of relative paths, sizes and modification times; once
+   * accepted, the files are streamed one after another and the receiver
+   * writes each into the tree. Receivers whose browser can't write
+   * directories get a zip of the folder instead, which is also the only
+   * way modification times survive (the File System Access API can't set them).
+   * The zip is written while it is sent, so it starts flowing right away.
+   * @param {FileList|File[]} files - The folder's files (from a directory input or a drop).
+   */
+  const sendFolder = useCallback(
+    async (files) => {
+      const list = Array.from(files || []);
+      const targets = getFileReadyPeers();
+      if (list.length === 0) {
+        log("No files in folder");
+        return;
+      }
+      if (targets.length === 0) {
+        setError("File channel not ready for transfer.");
+        return;
+      }
+      const name = getFolderName(list);
+      const startedAt = Date.now();
+      const folderId = `${startedAt}-${crypto.randomUUID()}`;
+      const entries = buildFolderManifest(list);
+      const size = list.reduce((total, file) => total + file.size, 0);
+      const progressText = `Sending folder: ${name} (`;
+      const showProgress = (text) =>
+        setMessages((p) => {
+          const index = p.findIndex((m) => m.text.startsWith(progressText));
+          if (index === -1) return [...p, { type: "system", text }];
+          const newMessages = [...p];
+          newMessages[index] = { type: "system", text };
+          return newMessages;
+        });
+
+      showProgress(
+        `${progressText}${list.length} files) to ${targets.length} peer(s). Waiting for confirmation...`,
+      );
+      const answers = await Promise.all(
+        targets.map((id) => offerFolder(id, { folderId, name, size, entries })),
+      );
+      const treePeers = targets.filter((_, i) => answers[i] === "tree");
+      const zipPeers = targets.filter((_, i) => answers[i] === "zip");
+      log("Folder offer answered", {
+        folderId,
+        tree: treePeers.length,
+        zip: zipPeers.length,
+      });
+
+      // Files (or the zip) that didn't reach every receiver verified
+      let problems = 0;
+      const sendTree = async () => {
+        // One file at a time, each to every receiver still taking the folder
+        let receivers = treePeers;
+        for (let i = 0; i < list.length && receivers.length > 0; i++) {
+          showProgress(`${progressText}${i + 1}/${list.length} files)...`);
+          const result = await sendFile(list[i], receivers, {
+            folderId,
+            path: entries[i].path,
+          });
+          if (result.status !== "verified") problems++;
+          receivers = result.peers;
+        }
+        return receivers.length;
+      };
+      const sendZip = async () => {
+        const result = await sendFile(
+          { files: list, folderName: name },
+          zipPeers,
+          {
+            folderId,
+            path: null,
+          },
+        );
+        if (result.status !== "verified") problems++;
+        return result.peers.length;
+      };
+      const [treeDone, zipDone] = await Promise.all([
+        treePeers.length ? sendTree() : 0,
+        zipPeers.length ? sendZip() : 0,
+      ]);
+
+      showProgress(
+        treePeers.length + zipPeers.length === 0
+          ? `${progressText}${list.length} files) declined by every peer`
+          : `${progressText}${list.length} files) done: ${treeDone} peer(s) as a folder, ${zipDone} as a zip`,
+      );
+      recordHistory(
+        createHistoryEntry(
+          {
+            direction: "sent",
+            kind: "folder",
+            name,
+            size,
+            startedAt,
+            status:
+              treePeers.length + zipPeers.length === 0
+                ? "declined"
+                : treeDone + zipDone === 0
+                  ? "cancelled"
+                  : problems > 0
+                    ? "incomplete"
+                    : "verified",
+            room: roomIdRef.current,
+            peers: targets,
+          },
+          { fileCount: list.length },
+        ),
+        { files: list },
+      );
+    },
+    [
+      getFileReadyPeers,
+      offerFolder,
+      sendFile,
+      recordHistory,
+      setMessages,
+      setError,
+    ],
+  );
+
+  /**
+   * Called by the UI to send a file or folder from the history again, to
+   * every connected peer. Files sent this session are still in memory;
+   * received files saved to disk are read back through their file handle,
+   * which needs read permission again after a reload.
+   * @param {number} entryId - The history entry.
+   */
+  const resendFromHistory = useCallback(
+    async (entryId) => {
+      const source = historySourcesRef.current.get(entryId);
+      if (source?.files) {
+        await sendFolder(source.files);
+        return;
+      }
+      if (source) {
+        await sendFile(source);
+        return;
+      }
+      const entry = await getHistoryEntryIndexedDB(entryId);
+      if (!entry?.handle) {
+        setError("That file is no longer available to re-send.");
+        return;
+      }
+      try {
+        await sendFile(await reopenSavedFile(entry.handle));
+      } catch (e) {
+        log("Could not reopen file to re-send", e);
+        setError("Cannot reopen the saved file: " + e.message);
+      }
+    },
+    [sendFile, sendFolder, setError],
+  );
+
+  /**
+   * Called by the UI to send a snippet to every connected peer.
+   * @param {string|Blob} content - Text, or a Blob typed with its MIME type.
+   * @param {string} [label="snippet"] - Start of the snippet's file name.
+   */
+  const sendSnippet = useCallback(
+    async (content, label = "snippet") => {
+      const blob =
+        typeof content === "string"
+          ? new Blob([content], { type: "text/plain" })
+          : content;
+      if (blob.size > MAX_SNIPPET_SIZE) {
+        setError(
+          `Too big for a snippet (${MAX_SNIPPET_SIZE / 1024 / 1024} MB max); send it as a file instead.`,
+        );
+        return;
+      }
+      await sendFile(createSnippetFile(blob, label), null, null, true);
+    },
+    [sendFile, setError],
+  );
+
+  /**
+   * Called by the UI to send what's on the clipboard to every connected
+   * peer. Call it from a click: browsers only allow reading the clipboard
+   * in response to one.
+   */
+  const shareClipboard = useCallback(async () => {
+    let blob;
+    try {
+      blob = await readClipboard();
+    } catch (e) {
+      log("Could not read the clipboard", e);
+      setError("Cannot read the clipboard: " + e.message);
+      return;
+    }
+    await sendSnippet(blob, "clipboard");
+  }, [sendSnippet, setError]);
+
+  /**
+   * Called by the UI to delete the whole transfer history.
+   */
+  const clearHistory = useCallback(async () => {
+    await clearHistoryIndexedDB();
+    historySourcesRef.current.clear();
+    refreshHistory();
+  }, [refreshHistory]);
+
+  /**
+   * Accepts an offer as an update of an older copy: signs that copy and
+   * sends the signature ahead of the answer, so the sender can work out
+   * which blocks we're missing.
+   * @param {object} offer - The offer being answered.
+   * @param {File|null} baseFile - The older copy the user picked, or null for
+   *   the saved one the offer points at.
+   */
+  const requestDelta = useCallback(
+    async (offer, baseFile) => {
+      const { fileId, peerId, name, size } = offer;
+      let base = baseFile;
+      try {
+        if (!base) {
+          const entry = await getHistoryEntryIndexedDB(offer.deltaBase);
+          if (!entry?.handle) throw new Error("it is no longer in the history");
+          base = await reopenSavedFile(entry.handle);
         }
+      } catch (e) {
+        log("Could not open the older copy", e);
+        setError("Cannot open the older copy: " + e.message);
+        return;
+      }
+      if (!canStreamDownloads() && !(await ensureStorageFor(name, size))) {
+        return;
+      }
+      removeOffer(fileId);
+      acceptedOffersRef.current.set(fileId, {
+        peerId,
+        name,
+        size,
+        snippet: false,
+        delta: true,
+      });
+      deltaBasesRef.current[fileId] = base;
+      setMessages((p) => [
+        ...p,
+        { type: "system", text: `Comparing ${name} with ${base.name}...` },
+      ]);
+      const channel = peersRef.current.get(peerId)?.fileChannel;
+      const respond = (response) => {
+        if (channel?.readyState !== "open") return;
+        channel.send(
+          JSON.stringify({ type: "file-offer-response", fileId, ...response }),
+        );
       };
+      let signature;
+      try {
+        signature = await computeBaseSignature(base);
+      } catch (e) {
+        // Take the whole file instead
+        log("Could not sign the older copy", e);
+        delete deltaBasesRef.current[fileId];
+        respond({ accepted: true });
+        return;
+      }
+      const key = await peersRef.current.get(peerId)?.encryption.ready.promise;
+      const pages = splitSignature(signature.signature);
+      for (const [i, page] of pages.entries()) {
+        const text = await encodeFileMessage(key, {
+          type: "delta-signature",
+          fileId,
+          blockSize: signature.blockSize,
+          baseSize: signature.baseSize,
+          page,
+          last: i === pages.length - 1,
+        });
+        if (channel?.readyState !== "open") return;
+        channel.send(text);
+      }
+      respond({ accepted: true, delta: true });
+      log("Offer accepted as a delta", { fileId, base: base.name });
     },
-    [validateTransfer, setMessages, setError], // Dependencies for useCallback
+    [removeOffer, ensureStorageFor, setMessages, setError],
   );
 
   /**
-   * Sets up the chat data channel and its event listeners.
-   * @param {RTCDataChannel} channel - The newly created chat data channel.
+   * Called by the UI to answer a file or folder offer.
+   * "save-as" opens the save picker first (it needs the click's user
+   * gesture), so the file streams straight to disk; "accept" streams it
+   * into a browser download (or IndexedDB, where that isn't possible).
+   * Accepting a folder asks where to recreate its tree; browsers that can't
+   * write directories get it as a zip instead.
+   * "delta" updates an older copy of the file (one the user picked, or the
+   * one the offer points at): we send its signature and only the changed
+   * blocks come over, then the file is saved as with "accept".
+   * @param {string} fileId - The offered file (or folder).
+   * @param {"accept"|"save-as"|"delta"|"decline"} choice - The user's answer.
+   * @param {File} [baseFile] - For "delta", the older copy the user picked.
    */
-  const setupChatChannel = useCallback(
-    (channel) => {
-      log("Setting up chat channel");
-      dataChannelRef.current = channel;
-      channel.onopen = () => {
-        log("Chat channel opened");
-        channelsReadyRef.current.chat = true;
-        setMessages((p) => [...p, { type: "system", text: "Chat ready" }]);
-      };
-      channel.onmessage = (ev) => {
-        try {
-          const data = JSON.parse(ev.data);
-          if (data.type === "message") {
-            // Add received message to the chat UI
-            setMessages((p) => [...p, { type: "received", text: data.text }]);
+  const respondToOffer = useCallback(
+    async (fileId, choice, baseFile = null) => {
+      const offer = incomingOffersRef.current.get(fileId);
+      if (!offer) return;
+      if (offer.kind === "folder") {
+        const accepted = choice !== "decline";
+        let mode = "zip";
+        let directory = null;
+        if (accepted && typeof window.showDirectoryPicker === "function") {
+          try {
+            const parent = await window.showDirectoryPicker({
+              mode: "readwrite",
+            });
+            directory = await createDirectoryAtPath(parent, offer.name);
+            mode = "tree";
+          } catch (e) {
+            // Cancelling the dialog leaves the offer open
+            log("No directory picked for folder", e);
+            return;
           }
+        }
+        // The zip lands in IndexedDB unless it can stream into a download
+        if (
+          accepted &&
+          mode === "zip" &&
+          !canStreamDownloads() &&
+          !(await ensureStorageFor(offer.name, offer.size))
+        ) {
+          return;
+        }
+        removeOffer(fileId);
+        if (accepted) {
+          acceptedFoldersRef.current.set(fileId, {
+            peerId: offer.peerId,
+            name: offer.name,
+            size: offer.size,
+            mode,
+            directory,
+            paths: new Set(offer.entries.map((entry) => entry.path)),
+            fileCount: offer.fileCount,
+            // A zip arrives as one file
+            remaining: mode === "tree" ? offer.fileCount : 1,
+            problems: 0,
+            startedAt: Date.now(),
+          });
+        }
+        const channel = peersRef.current.get(offer.peerId)?.fileChannel;
+        if (channel?.readyState === "open") {
+          channel.send(
+            JSON.stringify({
+              type: "folder-offer-response",
+              folderId: fileId,
+              accepted,
+              mode,
+            }),
+          );
+        }
+        log(`Folder offer ${accepted ? "accepted" : "declined"}`, {
+          folderId: fileId,
+          mode,
+        });
+        return;
+      }
+      if (choice === "delta") {
+        await requestDelta(offer, baseFile);
+        return;
+      }
+      if (choice === "save-as") {
+        try {
+          // Chunks are decompressed as they arrive, so this is the final file
+          const handle = await window.showSaveFilePicker({
+            suggestedName: offer.name,
+          });
+          const writable = await handle.createWritable();
+          fileWriterMapRef.current[fileId] = { writable, handle };
         } catch (e) {
-          log("Error parsing chat message", e);
+          // Cancelling the dialog leaves the offer open
+          log("User cancelled save picker", e);
+          return;
         }
-      };
-      channel.onclose = () => (channelsReadyRef.current.chat = false);
-      channel.onerror = (e) => log("Chat channel error", e);
+      }
+      const accepted = choice !== "decline";
+      if (
+        choice === "accept" &&
+        !canStreamDownloads() &&
+        !(await ensureStorageFor(offer.name, offer.size))
+      ) {
+        return;
+      }
+      removeOffer(fileId);
+      if (accepted) {
+        acceptedOffersRef.current.set(fileId, {
+          peerId: offer.peerId,
+          name: offer.name,
+          size: offer.size,
+          snippet: false,
+        });
+        offerPreviewsRef.current[fileId] = offer.preview;
+        showTransferCard(fileId, {
+          direction: "received",
+          from: offer.peerId,
+          name: offer.name,
+          size: offer.size,
+          mimeType: offer.mimeType,
+          preview: offer.preview,
+          status: "receiving",
+          text: `Receiving: ${offer.name}`,
+        });
+      }
+      const channel = peersRef.current.get(offer.peerId)?.fileChannel;
+      if (channel?.readyState === "open") {
+        channel.send(
+          JSON.stringify({ type: "file-offer-response", fileId, accepted }),
+        );
+      }
+      log(`Offer ${accepted ? "accepted" : "declined"}`, { fileId, choice });
     },
-    [setMessages], // Dependency for useCallback
+    [removeOffer, ensureStorageFor, requestDelta, showTransferCard],
   );
 
   /**
-   * Creates and configures the RTCPeerConnection object.
-   * This is the core of the WebRTC logic.
-   * @param {boolean} isOfferer - True if this client should create the offer.
+   * Called by the UI to pause or resume an in-progress transfer.
+   * As the sender this applies to every receiver; as a receiver, to the
+   * sender's stream to us.
+   * @param {string} fileId - The transfer.
+   * @param {boolean} paused - True to pause, false to resume.
    */
-  const createPeerConnection = useCallback(
-    async (isOfferer) => {
-      // Close any existing connection
-      if (peerConnectionRef.current) peerConnectionRef.current.close();
-      channelsReadyRef.current = { chat: false, file: false };
-
-      // Create the peer connection with STUN servers
-      // (STUN servers help find a path between peers)
-      const pc = new RTCPeerConnection({
-        iceServers: [
-          { urls: "stun:stun.l.google.com:19302" },
-          { urls: "stun:stun1.l.google.com:19302" },
-        ],
-      });
-      peerConnectionRef.current = pc;
-
-      // This event fires when a new ICE candidate is found
-      pc.onicecandidate = (event) => {
-        if (event.candidate) {
-          // Send the candidate to the other peer via the signaling server
-          socketRef.current.emit("ice-candidate", {
-            roomId: roomIdRef.current,
-            candidate: event.candidate,
+  const setTransferPaused = useCallback(
+    (fileId, paused) => {
+      const action = paused ? "pause" : "resume";
+      const outgoing = outgoingTransfersRef.current.get(fileId);
+      if (outgoing) {
+        outgoing.controls.forEach((control, peerId) => {
+          if (control.cancelled) return;
+          control.paused = paused;
+          control.wake?.();
+          sendTransferControl(peerId, fileId, action);
+        });
+        updateTransfer(fileId, (prev) => {
+          if (!prev) return prev;
+          const receivers = {};
+          Object.entries(prev.receivers || {}).forEach(([peerId, r]) => {
+            receivers[peerId] = ["sending", "paused"].includes(r.status)
+              ? { ...r, status: paused ? "paused" : "sending" }
+              : r;
           });
-        }
-      };
-
-      // Update UI based on connection state changes.
-      pc.onconnectionstatechange = () => {
-        log("Connection state changed", pc.connectionState);
-        setConnectionState(pc.connectionState); // Update UI
-        if (pc.connectionState === "connected") {
-          setPeerConnected(true);
-          setError(""); // Clear any "connecting" errors
-          setMessages((p) => [
-            ...p,
-            { type: "system", text: "P2P Connection Established" },
-          ]);
-        } else if (
-          ["disconnected", "failed", "closed"].includes(pc.connectionState)
-        ) {
-          // Handle connection loss
-          setPeerConnected(false);
-          channelsReadyRef.current = { chat: false, file: false };
-          if (pc.connectionState !== "closed") setError("Connection lost");
-        }
-      };
-
-      // Handle ICE connection failures (e.g., network change)
-      pc.oniceconnectionstatechange = () => {
-        if (pc.iceConnectionState === "failed") {
-          log("ICE connection failed, restarting ICE.");
-          pc.restartIce(); // Attempt to reconnect
-        }
-      };
-
-      if (isOfferer) {
-        // --- Offerer logic (Peer 1) ---
-        // The first peer in the room creates the data channels.
-        const chatChannel = pc.createDataChannel("chat");
-        setupChatChannel(chatChannel);
-
-        const fileChannel = pc.createDataChannel("file", { ordered: true });
-        // Set a threshold to trigger 'bufferedamountlow' event
-        fileChannel.bufferedAmountLowThreshold = settings.chunkSize * 4;
-        setupFileChannel(fileChannel);
-
-        // Create and send the offer to the other peer
-        const offer = await pc.createOffer();
-        await pc.setLocalDescription(offer);
-        socketRef.current.emit("offer", {
-          roomId: roomIdRef.current,
-          offer: pc.localDescription,
+          return { ...prev, paused, receivers };
         });
-        log("Offer created and sent");
       } else {
-        // --- Answerer logic (Peer 2) ---
-        // The second peer waits for the data channels to be created by the offerer.
-        pc.ondatachannel = (event) => {
-          if (event.channel.label === "chat") {
-            setupChatChannel(event.channel);
-          } else if (event.channel.label === "file") {
-            event.channel.bufferedAmountLowThreshold = settings.chunkSize * 4;
-            setupFileChannel(event.channel);
-          }
-        };
+        const peerId = incomingPeerRef.current[fileId];
+        if (!peerId) return;
+        sendTransferControl(peerId, fileId, action);
+        updateTransfer(fileId, (prev) => prev && { ...prev, paused });
       }
+      log(`Transfer ${paused ? "paused" : "resumed"}`, { fileId });
     },
-    [
-      setupFileChannel,
-      setupChatChannel,
-      settings.chunkSize,
-      setMessages,
-      setError,
-    ], // Dependencies for useCallback
+    [sendTransferControl, updateTransfer],
   );
 
   /**
-   * Gracefully closes all connections and resets P2P state.
+   * Called by the UI to cancel an in-progress transfer. As the sender this
+   * stops every receiver's stream and releases the file; as a receiver it
+   * stops the sender and deletes what we saved so far.
+   * @param {string} fileId - The transfer.
    */
-  const cleanupPeerConnection = () => {
-    log("Cleaning up P2P connection");
-    pendingIceCandidatesRef.current = [];
-    if (dataChannelRef.current) dataChannelRef.current.close();
-    dataChannelRef.current = null;
-    if (fileChannelRef.current) fileChannelRef.current.close();
-    fileChannelRef.current = null;
-    if (peerConnectionRef.current) peerConnectionRef.current.close();
-    peerConnectionRef.current = null;
-    setPeerConnected(false);
-    channelsReadyRef.current = { chat: false, file: false };
-  };
+  const cancelTransfer = useCallback(
+    async (fileId) => {
+      const outgoing = outgoingTransfersRef.current.get(fileId);
+      let name;
+      if (outgoing) {
+        name = outgoing.metadata.name;
+        outgoing.cancelled = true;
+        // Without the record, interrupted receivers can't resume it either
+        outgoingTransfersRef.current.delete(fileId);
+        closeSource(outgoing.sourceId);
+        outgoing.deltas.forEach((stream) => closeSource(stream.sourceId));
+        outgoing.controls.forEach((control, peerId) => {
+          control.cancelled = true;
+          control.wake?.();
+          sendTransferControl(peerId, fileId, "cancel");
+        });
+        dismissTransfer(fileId, 0);
+      } else {
+        const peerId = incomingPeerRef.current[fileId];
+        if (!peerId) return;
+        name = fileMetaRef.current[fileId].name;
+        sendTransferControl(peerId, fileId, "cancel");
+        await cancelIncomingFile(fileId);
+      }
+      log("Transfer cancelled", { fileId });
+      setMessages((p) => [
+        ...p,
+        { type: "system", text: `Cancelled: ${name}` },
+      ]);
+    },
+    [sendTransferControl, cancelIncomingFile, dismissTransfer, setMessages],
+  );
 
   /**
-   * The main file sending function.
-   * Handles compression, metadata sending, and chunking.
-   * @param {File} file - The file object to send.
+   * Called by the UI to resume an unfinished incoming transfer.
+   * Files being saved to disk need write permission again after a reload,
+   * which the browser only grants from a user gesture like this click.
+   * A streaming download can't be continued after a reload, so that file
+   * starts over, into IndexedDB this time. Neither can a delta transfer,
+   * whose older copy and ops were only held in memory.
+   * @param {string} fileId - The unfinished transfer to resume.
    */
-  const sendFile = useCallback(
-    async (file) => {
-      if (
-        !fileChannelRef.current ||
-        fileChannelRef.current.readyState !== "open"
-      ) {
-        setError("File channel not ready for transfer.");
+  const resumeTransfer = useCallback(
+    async (fileId) => {
+      let record = await getFileMetadataIndexedDB(fileId);
+      if (!record) {
+        refreshPendingTransfers();
         return;
       }
-      log("Starting file transfer", { name: file.name, size: file.size });
-
-      let fileToSend = file;
-      let isCompressed = false;
-      const originalSize = file.size;
-
-      // --- Compress the file (if enabled) ---
-      if (settings.compression && file.type !== "application/zip") {
+      if (record.meta.delta && !fileMetaRef.current[fileId]) {
+        setError(
+          `The update of ${record.meta.name} can't be resumed after a reload; discard it and have it sent again.`,
+        );
+        return;
+      }
+      if (record.sink === "stream" && !downloadStreamsRef.current[fileId]) {
+        record = { ...record, sink: "idb", receivedRanges: [] };
+        await saveFileMetadataIndexedDB(record);
+        delete receivedChunksRef.current[fileId];
+      }
+      if (record.sink === "idb") {
+        const { size, chunkSize } = record.meta;
+        const stored = countRanges(record.receivedRanges) * chunkSize;
+        if (!(await ensureStorageFor(record.meta.name, size - stored))) return;
+      }
+      if (record.sink === "fs" && !fileWriterMapRef.current[fileId]) {
         try {
-          setMessages((p) => [
-            ...p,
-            { type: "system", text: "Compressing file..." },
-          ]);
-          const arrayBuffer = await file.arrayBuffer();
-          const compressed = pako.deflate(new Uint8Array(arrayBuffer));
-          fileToSend = new File([compressed], file.name + ".zip", {
-            type: "application/octet-stream",
+          const permission = await record.handle.requestPermission({
+            mode: "readwrite",
           });
-          isCompressed = true;
-          log("File compressed", {
-            original: originalSize,
-            compressed: fileToSend.size,
+          if (permission !== "granted") {
+            throw new Error("write permission was not granted");
+          }
+          // Keep what was already written; chunks are written by offset
+          const writable = await record.handle.createWritable({
+            keepExistingData: true,
           });
+          fileWriterMapRef.current[fileId] = {
+            writable,
+            handle: record.handle,
+          };
         } catch (e) {
-          log("Compression failed, sending uncompressed", e);
+          log("Could not reopen file for resume", e);
+          setError("Cannot reopen the partially saved file: " + e.message);
+          return;
         }
       }
-
-      const totalChunks = Math.ceil(fileToSend.size / settings.chunkSize);
-      const fileId = `${Date.now()}-${file.name}`; // Unique ID for this transfer
-
-      // --- Prepare file metadata ---
-      const metadata = {
-        type: "file-metadata",
-        fileId,
-        name: file.name, // Original name
-        size: originalSize, // Original size
-        mimeType: file.type, // Original MIME type
-        chunks: totalChunks,
-        compressed: isCompressed,
-        compressedSize: fileToSend.size, // Size of the file being sent
-      };
-
-      try {
-        log("Sending file metadata", metadata);
-        // Send metadata as a JSON string
-        fileChannelRef.current.send(JSON.stringify(metadata));
-
-        const startTime = Date.now();
-        let sentBytes = 0;
-        // Update UI to show sending progress
-        setTransferStats({
-          fileName: file.name,
-          totalSize: originalSize,
-          sentSize: 0,
-          progress: 0,
-          speed: 0,
-          chunks: 0,
-          totalChunks,
-          compressed: isCompressed,
-        });
-        setSpeedData([]); // Reset speed graph
-
-        // --- Loop through the file, sending one chunk at a time ---
-        for (let index = 0; index < totalChunks; index++) {
-          if (fileChannelRef.current.readyState !== "open") {
-            throw new Error("File channel closed during transfer");
-          }
-          const offset = index * settings.chunkSize;
-          const slice = fileToSend.slice(offset, offset + settings.chunkSize);
-          const arrayBuffer = await slice.arrayBuffer();
-
-          // Send chunk, respecting backpressure
-          await sendWithBackpressure(fileChannelRef.current, arrayBuffer);
-
-          sentBytes += arrayBuffer.byteLength;
-          // Update UI stats
-          setTransferStats((prev) => ({
-            ...prev,
-            sentSize: sentBytes,
-            progress: (sentBytes / fileToSend.size) * 100,
-            speed: sentBytes / ((Date.now() - startTime) / 1000 || 1),
-            chunks: index + 1,
-          }));
-        }
-
-        log(
-          `All chunks sent for ${file.name}. Waiting for receiver acknowledgment...`,
-        );
-        setMessages((p) => [
-          ...p,
-          {
-            type: "system",
-            text: `Sent: ${file.name}. Waiting for confirmation...`,
-          },
-        ]);
-
-        // --- Wait for the receiver to confirm they've saved the file ---
-        await waitForAck(fileId);
-
-        log(`ACK received. Transfer for ${file.name} is complete.`);
-        // Update "Waiting" message to "Completed"
-        setMessages((p) => {
-          const newMessages = [...p];
-          const lastMsgIndex = newMessages.findIndex((m) =>
-            m.text.includes(`Waiting for confirmation...`),
-          );
-          if (lastMsgIndex > -1) {
-            newMessages[lastMsgIndex] = {
-              type: "system",
-              text: `Transfer completed: ${file.name}`,
-            };
-          }
-          return newMessages;
-        });
-      } catch (e) {
-        log("File transfer failed", e);
-        setError("Failed to send file: " + e.message);
-      } finally {
-        setTimeout(() => setTransferStats(null), 3000); // Hide stats UI
-        transferCompletionResolversRef.current.delete(fileId);
+      const targets = getFileReadyPeers();
+      if (targets.length === 0) {
+        setError("Connect to a peer in the same room to resume.");
+        return;
       }
+      await Promise.all(targets.map((id) => requestResume(id, record)));
+      setMessages((p) => [
+        ...p,
+        {
+          type: "system",
+          text: `Asked ${targets.length} peer(s) to resume ${record.meta.name}`,
+        },
+      ]);
     },
     [
-      settings.chunkSize,
-      settings.compression,
-      sendWithBackpressure,
-      waitForAck,
+      getFileReadyPeers,
+      requestResume,
+      refreshPendingTransfers,
+      ensureStorageFor,
       setMessages,
       setError,
     ],
@@ -705,92 +4377,104 @@ export function usePeerConnection(settings) {
     });
 
     // Server says room is full
-    socket.on("room-full", () => {
-      log("Room full");
-      setError("Room is full.");
+    socket.on("room-full", ({ capacity } = {}) => {
+      log("Room full", { capacity });
+      setError(
+        capacity ? `Room is full (${capacity} peers max).` : "Room is full.",
+      );
       setIsConnected(false);
     });
 
     // Server confirms we joined a room
-    socket.on("joined-room", ({ room }) => {
-      log("Joined room", { room });
+    socket.on("joined-room", ({ room, capacity, peers: existingPeers }) => {
+      log("Joined room", { room, capacity, peers: existingPeers });
       setIsConnected(true);
       roomIdRef.current = room; // Store the room name
+      setChatRoom(room);
+      if (capacity) setRoomCapacity(capacity);
+      if (existingPeers?.length) {
+        setError(`Connecting to ${existingPeers.length} peer(s)...`);
+        setConnectionState("connecting");
+      }
     });
 
-    // A peer has joined our room, we (as offerer) should start P2P
-    socket.on("user-connected", () => {
-      log("Peer connected to room, creating offer");
+    // A peer has joined our room, we (as offerer) should start P2P with them
+    socket.on("user-connected", ({ userId }) => {
+      log("Peer connected to room, creating offer", { peerId: userId });
       setError("Peer joined. Establishing P2P...");
-      setConnectionState("connecting");
-      createPeerConnection(true); // Create as offerer
+      createPeerConnection(userId, true); // Create as offerer
     });
 
-    // Received an offer from the other peer
-    socket.on("offer", async ({ offer }) => {
-      log("Received WebRTC offer");
+    /**
+     * Adds any ICE candidates that arrived before the remote description.
+     * @param {string} peerId - The peer whose cached candidates to flush.
+     */
+    const flushPendingIceCandidates = async (peerId) => {
+      const pc = peersRef.current.get(peerId)?.pc;
+      const pending = pendingIceCandidatesRef.current[peerId] || [];
+      delete pendingIceCandidatesRef.current[peerId];
+      for (const candidate of pending) {
+        await pc.addIceCandidate(new RTCIceCandidate(candidate));
+      }
+    };
+
+    // Received an offer from a peer already in the room
+    socket.on("offer", async ({ from, offer }) => {
+      log("Received WebRTC offer", { peerId: from });
       setError("Received connection request...");
-      setConnectionState("connecting");
-      if (!peerConnectionRef.current) {
-        await createPeerConnection(false); // Create as answerer
+      if (!peersRef.current.has(from)) {
+        await createPeerConnection(from, false); // Create as answerer
       }
-      await peerConnectionRef.current.setRemoteDescription(
-        new RTCSessionDescription(offer),
-      );
+      const pc = peersRef.current.get(from).pc;
+      await pc.setRemoteDescription(new RTCSessionDescription(offer));
       // Add any pending ICE candidates
-      for (const candidate of pendingIceCandidatesRef.current) {
-        await peerConnectionRef.current.addIceCandidate(
-          new RTCIceCandidate(candidate),
-        );
-      }
-      pendingIceCandidatesRef.current = [];
+      await flushPendingIceCandidates(from);
       // Create and send the answer
-      const answer = await peerConnectionRef.current.createAnswer();
-      await peerConnectionRef.current.setLocalDescription(answer);
-      socket.emit("answer", { roomId: roomIdRef.current, answer });
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      socket.emit("answer", {
+        roomId: roomIdRef.current,
+        targetId: from,
+        answer,
+      });
     });
 
-    // Received an answer from the other peer
-    socket.on("answer", async ({ answer }) => {
-      log("Received WebRTC answer");
-      if (peerConnectionRef.current) {
-        await peerConnectionRef.current.setRemoteDescription(
-          new RTCSessionDescription(answer),
-        );
+    // Received an answer from a peer we sent an offer to
+    socket.on("answer", async ({ from, answer }) => {
+      log("Received WebRTC answer", { peerId: from });
+      const pc = peersRef.current.get(from)?.pc;
+      if (pc) {
+        await pc.setRemoteDescription(new RTCSessionDescription(answer));
         // Add any pending ICE candidates
-        for (const candidate of pendingIceCandidatesRef.current) {
-          await peerConnectionRef.current.addIceCandidate(
-            new RTCIceCandidate(candidate),
-          );
-        }
-        pendingIceCandidatesRef.current = [];
+        await flushPendingIceCandidates(from);
       }
     });
 
-    // Received an ICE candidate from the other peer
-    socket.on("ice-candidate", async ({ candidate }) => {
+    // Received an ICE candidate from a peer
+    socket.on("ice-candidate", async ({ from, candidate }) => {
       if (!candidate) return;
       try {
-        if (peerConnectionRef.current?.remoteDescription) {
+        const pc = peersRef.current.get(from)?.pc;
+        if (pc?.remoteDescription) {
           // If remote description is set, add candidate immediately
-          await peerConnectionRef.current.addIceCandidate(
-            new RTCIceCandidate(candidate),
-          );
+          await pc.addIceCandidate(new RTCIceCandidate(candidate));
         } else {
           // Otherwise, cache it
-          pendingIceCandidatesRef.current.push(candidate);
+          (pendingIceCandidatesRef.current[from] ||= []).push(candidate);
         }
       } catch (e) {
         log("Error adding received ICE candidate", e.message);
       }
     });
 
-    // The other peer disconnected from the room
-    socket.on("user-disconnected", () => {
-      log("User disconnected");
-      setPeerConnected(false);
-      setMessages((p) => [...p, { type: "system", text: "Peer disconnected" }]);
-      cleanupPeerConnection(); // Clean up our P2P connection
+    // A peer disconnected from the room
+    socket.on("user-disconnected", ({ userId }) => {
+      log("User disconnected", { peerId: userId });
+      setMessages((p) => [
+        ...p,
+        { type: "system", text: `Peer ${shortPeerId(userId)} disconnected` },
+      ]);
+      closePeer(userId); // Clean up our P2P connection to them
     });
 
     // Server reports an error joining (e.g., bad password)
@@ -808,7 +4492,81 @@ export function usePeerConnection(settings) {
       }
       cleanupPeerConnection();
     };
-  }, [createPeerConnection, setMessages, setError]); // Dependencies for useEffect
+  }, [
+    createPeerConnection,
+    closePeer,
+    cleanupPeerConnection,
+    setMessages,
+    setError,
+  ]); // Dependencies for useEffect
+
+  // --- Unfinished Transfers Effect ---
+  // Lists transfers left over from an earlier session (e.g. before a reload)
+  // after purging what crashed or abandoned sessions left in IndexedDB
+  useEffect(() => {
+    purgeStaleTransfersIndexedDB()
+      .then((purged) => {
+        if (purged) log("Purged stale transfers from IndexedDB", { purged });
+      })
+      .catch((e) => log("Could not purge stale transfers", e))
+      .then(refreshPendingTransfers);
+  }, [refreshPendingTransfers]);
+
+  // --- Download Service Worker Effect ---
+  // Lets files stream into browser downloads (see services/downloadStream.js)
+  useEffect(() => {
+    registerDownloadWorker();
+  }, []);
+
+  // --- Transfer History Effect ---
+  useEffect(() => {
+    refreshHistory();
+  }, [refreshHistory]);
+
+  // --- Chat History Effects (see services/chatHistory.js) ---
+  // Restores a room's saved chat when we join it; having one means the
+  // user wants it kept
+  useEffect(() => {
+    if (!chatRoom) return;
+    let active = true;
+    getChatHistoryIndexedDB(chatRoom)
+      .then((saved) => {
+        if (!active) return;
+        setChatHistoryEnabled(!!saved);
+        if (!saved?.messages.length) return;
+        setMessages((p) => [
+          ...saved.messages,
+          {
+            type: "system",
+            text: `Restored ${saved.messages.length} message(s) saved in this room`,
+          },
+          ...p,
+        ]);
+      })
+      .catch((e) => log("Could not read chat history", e));
+    return () => {
+      active = false;
+    };
+  }, [chatRoom]);
+
+  // ...and saves it as it changes while that's on
+  useEffect(() => {
+    if (!chatRoom || !chatHistoryEnabled) return;
+    const timer = setTimeout(() => {
+      saveChatHistoryIndexedDB(chatRoom, toSavedMessages(messages)).catch((e) =>
+        log("Could not save chat history", e),
+      );
+    }, CHAT_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [chatRoom, chatHistoryEnabled, messages]);
+
+  // --- Read Receipts Effect ---
+  // Messages that arrived while the page was hidden are read when it's back
+  useEffect(() => {
+    document.addEventListener("visibilitychange", sendReadReceipts);
+    return () =>
+      document.removeEventListener("visibilitychange", sendReadReceipts);
+  }, [sendReadReceipts]);
 
   // --- Server Health Check Effect ---
   // Periodically checks if the signaling server is online
@@ -839,19 +4597,38 @@ export function usePeerConnection(settings) {
 
   /**
    * Called by the UI to join a room.
-   * Now accepts a password.
+   * Now accepts a password and the capacity to use if the room is new.
    * @param {string} roomPassword - The password for the room (can be empty string or null).
+   * @param {number} [capacity] - Max peers for the room (only applies when creating it).
+   * @param {boolean} [encrypt=false] - Encrypt chat and files end-to-end with
+   *   a key derived from the password, which is then required.
    */
   const joinRoom = useCallback(
-    (roomPassword) => {
+    async (roomPassword, capacity, encrypt = false) => {
       if (!roomName.trim() || !serverOnline) return;
+      // Joining unencrypted would quietly drop what the user asked for
+      if (encrypt && !roomPassword) {
+        setError("End-to-end encryption needs a room password.");
+        return;
+      }
+      // The server only gets a token derived from the password, so it can't
+      // work out the end-to-end key
+      let accessToken = null;
+      roomKeyRef.current = null;
+      if (roomPassword) {
+        setError("Deriving room key...");
+        const secrets = await deriveRoomSecrets(roomPassword, roomName);
+        accessToken = secrets.accessToken;
+        if (encrypt) roomKeyRef.current = secrets.roomKey;
+      }
       const socket = socketRef.current;
       if (!socket || !socket.connected) socket.connect();
-      // Send roomName, userId, and password to the server
+      // Send roomName, userId, and password token to the server
       socket.emit("join-room", {
         roomId: roomName,
         userId: socket.id,
-        password: roomPassword || null, // Send null if password is empty
+        password: accessToken, // null if there is no password
+        capacity,
       });
       setError("Joining room...");
     },
@@ -867,42 +4644,130 @@ export function usePeerConnection(settings) {
       socketRef.current.disconnect();
     }
     cleanupPeerConnection(); // Clean up P2P
+    roomKeyRef.current = null;
     // Reset all state
     setIsConnected(false);
     setPeerConnected(false);
     setRoomName("");
+    setRoomCapacity(null);
     setMessages([]);
+    setChatRoom(null);
+    setChatHistoryEnabled(false);
+    chatOutboxRef.current.clear();
+    seenChatIdsRef.current.clear();
+    unreadChatRef.current.clear();
+    typingSentAtRef.current = 0;
+    setTypingPeers([]);
     setError("");
     setConnectionState("idle");
   };
 
   /**
-   * Called by the UI to send a chat message.
+   * Called by the UI to send a chat message to every peer in the room. Peers
+   * whose chat channel isn't open yet get it once it is.
    */
   const sendMessage = useCallback(
     (messageInput, setMessageInput) => {
-      if (!messageInput.trim() || !channelsReadyRef.current.chat) return;
-      dataChannelRef.current.send(
-        JSON.stringify({ type: "message", text: messageInput }),
-      );
+      if (!messageInput.trim()) return;
+      const envelope = createChatMessage(messageInput);
+      const record = {
+        envelope,
+        recipients: Array.from(peersRef.current.keys()),
+        sentTo: [],
+        receipts: {},
+      };
+      chatOutboxRef.current.set(envelope.id, record);
+      typingSentAtRef.current = 0; // Receivers stop showing us as typing
       // Add to local UI immediately
-      setMessages((p) => [...p, { type: "sent", text: messageInput }]);
+      setMessages((p) => [
+        ...p,
+        {
+          type: "sent",
+          id: envelope.id,
+          text: messageInput,
+          sentAt: envelope.sentAt,
+          status: "queued",
+        },
+      ]);
       setMessageInput(""); // Clear the input field
+      peersRef.current.forEach((peer, peerId) =>
+        dispatchChatMessage(peerId, record),
+      );
+    },
+    [dispatchChatMessage, setMessages], // Dependencies for useCallback
+  );
+
+  /**
+   * Called by the UI as the user types a chat message, to show peers we're
+   * typing. Notices go out at most every TYPING_INTERVAL.
+   * @param {boolean} active - False once the input is empty again.
+   */
+  const notifyTyping = useCallback(
+    (active) => {
+      const now = Date.now();
+      if (
+        active
+          ? now - typingSentAtRef.current < TYPING_INTERVAL
+          : !typingSentAtRef.current
+      ) {
+        return;
+      }
+      typingSentAtRef.current = active ? now : 0;
+      peersRef.current.forEach((peer, peerId) =>
+        sendChatEnvelope(peerId, createTypingNotice(active)),
+      );
+    },
+    [sendChatEnvelope],
+  );
+
+  /**
+   * Called by the UI to start or stop saving this room's chat. Stopping
+   * deletes what was saved.
+   * @param {boolean} enabled
+   */
+  const setChatHistoryKept = useCallback(
+    async (enabled) => {
+      setChatHistoryEnabled(enabled);
+      if (enabled || !chatRoom) return;
+      try {
+        await deleteChatHistoryIndexedDB(chatRoom);
+      } catch (e) {
+        log("Could not delete chat history", e);
+      }
     },
-    [setMessages], // Dependency for useCallback
+    [chatRoom],
   );
 
+  /**
+   * Called by the UI to clear the conversation, on screen and saved.
+   */
+  const clearChatHistory = useCallback(async () => {
+    setMessages((p) => p.filter((m) => !isConversationMessage(m)));
+    if (!chatRoom) return;
+    try {
+      await deleteChatHistoryIndexedDB(chatRoom);
+    } catch (e) {
+      log("Could not delete chat history", e);
+    }
+  }, [chatRoom, setMessages]);
+
   // Expose all state and actions to the App component
   return {
     // State
     roomName,
     isConnected,
     peerConnected,
+    peers,
+    roomCapacity,
     messages,
     error,
-    transferStats,
-    speedData,
+    transfers,
+    pendingTransfers,
+    history,
+    offers,
     connectionState,
+    typingPeers,
+    chatHistoryEnabled,
     channelsReady: channelsReadyRef.current,
     serverOnline,
     // Setters & Actions
@@ -911,6 +4776,20 @@ export function usePeerConnection(settings) {
     joinRoom,
     leaveRoom,
     sendMessage,
+    notifyTyping,
+    setChatHistoryKept,
+    clearChatHistory,
     sendFile,
+    sendFolder,
+    resumeTransfer,
+    discardPendingTransfer,
+    respondToOffer,
+    setTransferPaused,
+    cancelTransfer,
+    resendFromHistory,
+    clearHistory,
+    sendSnippet,
+    shareClipboard,
+    getDiagnostics,
   };
 }
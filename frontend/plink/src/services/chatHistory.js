@@ -0,0 +1,82 @@
+/**
+ * Saved chats, kept in IndexedDB (see services/indexedDB.js) for the rooms
+ * where the user turned it on, and restored when they join a room of the
+ * same name again. Only the conversation is saved: system lines, transfer
+ * cards and snippets belong to the session they happened in.
+ */
+import { shortPeerId } from "../utils/format";
+
+// Most messages saved per room; older ones are dropped first
+export const MAX_SAVED_MESSAGES = 2000;
+
+/**
+ * Tells whether a chat entry is part of the conversation.
+ * @param {object} message - An entry of the hook's `messages`.
+ * @returns {boolean}
+ */
+export function isConversationMessage(message) {
+  return message.type === "sent" || message.type === "received";
+}
+
+/**
+ * Picks the conversation out of the chat, in the form it's saved in.
+ * Delivery ticks aren't kept: they only mean something while connected.
+ * @param {object[]} messages - The hook's `messages`.
+ * @returns {{type: string, id?: string, text: string, from?: string, sentAt?: number}[]}
+ */
+export function toSavedMessages(messages) {
+  return messages
+    .filter(isConversationMessage)
+    .slice(-MAX_SAVED_MESSAGES)
+    .map(({ type, id, text, from, sentAt }) => ({
+      type,
+      id,
+      text,
+      from,
+      sentAt,
+    }));
+}
+
+/**
+ * Formats a chat as Markdown. Messages are written in markdown already, so
+ * they go in as they are.
+ * @param {string} room - The room name.
+ * @param {object[]} messages - The hook's `messages`.
+ * @returns {string}
+ */
+export function chatToMarkdown(room, messages) {
+  const lines = [
+    `# Chat in ${room}`,
+    "",
+    `Exported ${new Date().toLocaleString()}`,
+  ];
+  messages.filter(isConversationMessage).forEach((m) => {
+    const sender = m.type === "sent" ? "You" : `Peer ${shortPeerId(m.from)}`;
+    const time = m.sentAt ? ` · ${new Date(m.sentAt).toLocaleString()}` : "";
+    lines.push("", `**${sender}**${time}`, "", m.text);
+  });
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Formats a chat as JSON.
+ * @param {string} room - The room name.
+ * @param {object[]} messages - The hook's `messages`.
+ * @returns {string}
+ */
+export function chatToJson(room, messages) {
+  return JSON.stringify(
+    {
+      room,
+      exportedAt: new Date().toISOString(),
+      messages: messages.filter(isConversationMessage).map((m) => ({
+        direction: m.type,
+        from: m.from ?? null,
+        sentAt: m.sentAt ? new Date(m.sentAt).toISOString() : null,
+        text: m.text,
+      })),
+    },
+    null,
+    2,
+  );
+}
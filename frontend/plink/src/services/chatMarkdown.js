@@ -0,0 +1,122 @@
+/**
+ * The markdown subset chat messages are written in: fenced code blocks,
+ * inline code, **bold**, *italic* or _italic_, [links](https://...) and
+ * bare URLs, which are linked as they are.
+ *
+ * Messages come from peers, so this only ever produces a tree of plain
+ * nodes for React to render as text. Nothing a peer writes is treated as
+ * HTML, and only http(s) and mailto links are made clickable.
+ */
+
+// Link targets we let a click open
+const SAFE_LINK = /^(https?:\/\/|mailto:)/i;
+
+// Inline syntax, in the order alternatives are tried at each position:
+// markdown link, bare URL (trailing punctuation stays outside), bold, italic
+const INLINE_PATTERN = new RegExp(
+  [
+    /\[([^\]\n]+)\]\(([^)\s]+)\)/.source,
+    /((?:https?:\/\/|mailto:)[^\s<>]*[^\s<>.,:;"')\]!?])/.source,
+    /\*\*([^*\n]+)\*\*/.source,
+    /\*([^*\s](?:[^*\n]*[^*\s])?)\*/.source,
+    /(?<!\w)_([^_\n]+)_(?!\w)/.source,
+  ].join("|"),
+  "g",
+);
+
+/**
+ * Parses bold, italic and links, leaving everything else as text.
+ * @param {string} text - Text with no inline code in it.
+ * @returns {object[]} Inline nodes.
+ */
+function parseEmphasis(text) {
+  const nodes = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [whole, label, href, url, bold, star, underscore] = match;
+    if (match.index > last) {
+      nodes.push({ type: "text", text: text.slice(last, match.index) });
+    }
+    if (label !== undefined) {
+      nodes.push(
+        SAFE_LINK.test(href)
+          ? { type: "link", href, children: parseEmphasis(label) }
+          : { type: "text", text: whole },
+      );
+    } else if (url !== undefined) {
+      nodes.push({
+        type: "link",
+        href: url,
+        children: [{ type: "text", text: url }],
+      });
+    } else if (bold !== undefined) {
+      nodes.push({ type: "bold", children: parseEmphasis(bold) });
+    } else {
+      nodes.push({
+        type: "italic",
+        children: parseEmphasis(star ?? underscore),
+      });
+    }
+    last = match.index + whole.length;
+  }
+  if (last < text.length) nodes.push({ type: "text", text: text.slice(last) });
+  return nodes;
+}
+
+/**
+ * Parses one paragraph of text (anything outside code fences).
+ * @param {string} text
+ * @returns {object[]} Inline nodes: `text`, `code`, `bold`, `italic` and
+ *   `link` ({href, children}).
+ */
+function parseInline(text) {
+  const nodes = [];
+  // Code spans first: nothing inside them is markdown
+  text.split(/(`[^`\n]+`)/).forEach((part, i) => {
+    if (i % 2 === 1) nodes.push({ type: "code", text: part.slice(1, -1) });
+    else if (part) nodes.push(...parseEmphasis(part));
+  });
+  return nodes;
+}
+
+/**
+ * Parses a chat message.
+ * @param {string} text - The message as written.
+ * @returns {({type: "code", lang: string, code: string}|{type: "paragraph", children: object[]})[]}
+ *   Its blocks. An unclosed fence runs to the end of the message.
+ */
+export function parseChatMarkdown(text) {
+  const blocks = [];
+  let paragraph = [];
+  let code = null; // Lines of the fenced block we're in, if any
+  let lang = "";
+  const endParagraph = () => {
+    if (paragraph.length) {
+      blocks.push({
+        type: "paragraph",
+        children: parseInline(paragraph.join("\n")),
+      });
+    }
+    paragraph = [];
+  };
+  for (const line of text.split("\n")) {
+    const fence = /^\s*```\s*([\w+#.-]*)\s*$/.exec(line);
+    if (code) {
+      if (fence && !fence[1]) {
+        blocks.push({ type: "code", lang, code: code.join("\n") });
+        code = null;
+      } else {
+        code.push(line);
+      }
+    } else if (fence) {
+      endParagraph();
+      code = [];
+      lang = fence[1];
+    } else {
+      paragraph.push(line);
+    }
+  }
+  if (code) blocks.push({ type: "code", lang, code: code.join("\n") });
+  endParagraph();
+  return blocks;
+}
@@ -0,0 +1,86 @@
+/**
+ * The chat channel's message envelopes. Every message carries the protocol
+ * version, an ID and the sender's clock, so receivers can drop duplicates
+ * (a message may be sent again after the channel drops) and confirm each
+ * one with receipts. Peers that predate the envelope send bare
+ * `{type: "message", text}` messages, which are still shown but can't be
+ * confirmed.
+ */
+
+export const CHAT_PROTOCOL_VERSION = 1;
+
+// How often, at most, we tell peers we're still typing
+export const TYPING_INTERVAL = 3000;
+// How long a peer shows as typing after its last notification
+export const TYPING_TIMEOUT = 5000;
+
+// A sent message's status, in the order it moves through them
+const STATUS_ORDER = ["queued", "sent", "delivered", "read"];
+
+/**
+ * Wraps a chat message for sending.
+ * @param {string} text - What the user wrote.
+ * @returns {{type: "message", v: number, id: string, sentAt: number, text: string}}
+ */
+export function createChatMessage(text) {
+  return {
+    type: "message",
+    v: CHAT_PROTOCOL_VERSION,
+    id: crypto.randomUUID(),
+    sentAt: Date.now(),
+    text,
+  };
+}
+
+/**
+ * Confirms messages to their sender.
+ * @param {string[]} ids - The messages.
+ * @param {"delivered"|"read"} status - How far they got.
+ * @returns {{type: "receipt", v: number, ids: string[], status: string}}
+ */
+export function createReceipt(ids, status) {
+  return { type: "receipt", v: CHAT_PROTOCOL_VERSION, ids, status };
+}
+
+/**
+ * Tells peers we started or stopped typing.
+ * @param {boolean} active
+ * @returns {{type: "typing", v: number, active: boolean}}
+ */
+export function createTypingNotice(active) {
+  return { type: "typing", v: CHAT_PROTOCOL_VERSION, active };
+}
+
+/**
+ * Picks the further of two statuses, so a late "delivered" receipt can't
+ * undo a "read".
+ * @param {string} [current]
+ * @param {string} next
+ * @returns {string}
+ */
+export function advanceStatus(current, next) {
+  return STATUS_ORDER.indexOf(next) > STATUS_ORDER.indexOf(current)
+    ? next
+    : current;
+}
+
+/**
+ * Sums up a sent message's receipts into the status its ticks show: it is
+ * only sent, delivered or read once every peer it was meant for is.
+ * @param {string[]} recipients - The peers in the room when it was written.
+ * @param {string[]} sentTo - The recipients it went out to so far.
+ * @param {Object<string, string>} receipts - peerId -> "delivered" or "read".
+ * @returns {"queued"|"sent"|"delivered"|"read"}
+ */
+export function summarizeReceipts(recipients, sentTo, receipts) {
+  if (recipients.length === 0) return "queued";
+  const lowest = Math.min(
+    ...recipients.map((peerId) =>
+      Math.max(
+        sentTo.includes(peerId) ? 1 : 0,
+        STATUS_ORDER.indexOf(receipts[peerId]),
+      ),
+    ),
+  );
+  return STATUS_ORDER[lowest];
+}
@@ -0,0 +1,103 @@
+/**
+ * Clipboard contents and text snippets, sent like files but shown in the
+ * chat when they arrive, where they can be copied or saved.
+ *
+ * A snippet is one Blob whose type is its MIME type. From the clipboard we
+ * take the richest representation there is: an image, then HTML, then
+ * plain text. Snippets are accepted without asking, so they are capped at
+ * MAX_SNIPPET_SIZE; anything bigger has to go as a file.
+ */
+
+export const MAX_SNIPPET_SIZE = 8 * 1024 * 1024;
+
+// Clipboard representations, most preferred first
+const PREFERRED_TYPES = [/^image\//, /^text\/html$/, /^text\/plain$/];
+
+const EXTENSIONS = {
+  "text/plain": "txt",
+  "text/html": "html",
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+};
+
+/**
+ * Tells whether this browser lets the page read the clipboard (it needs a
+ * secure context, and asks the user the first time).
+ * @returns {boolean}
+ */
+export function canReadClipboard() {
+  return !!(navigator.clipboard?.read || navigator.clipboard?.readText);
+}
+
+/**
+ * Reads the clipboard's richest representation.
+ * @returns {Promise<Blob>} The contents, typed with their MIME type.
+ * @throws {Error} If the clipboard is empty or can't be read.
+ */
+export async function readClipboard() {
+  if (!navigator.clipboard?.read) {
+    const text = await navigator.clipboard.readText();
+    if (!text) throw new Error("The clipboard is empty");
+    return new Blob([text], { type: "text/plain" });
+  }
+  const items = await navigator.clipboard.read();
+  for (const pattern of PREFERRED_TYPES) {
+    for (const item of items) {
+      const type = item.types.find((t) => pattern.test(t));
+      if (type) return item.getType(type);
+    }
+  }
+  throw new Error("The clipboard is empty");
+}
+
+/**
+ * Names a snippet so it can travel, and be saved, as a file.
+ * @param {Blob} blob - The snippet.
+ * @param {string} [label="snippet"] - Start of the file name, e.g. "clipboard".
+ * @returns {File} e.g. `clipboard-2024-05-01T10-20-30.png`.
+ */
+export function createSnippetFile(blob, label = "snippet") {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+  const extension = EXTENSIONS[blob.type] || "bin";
+  return new File([blob], `${label}-${stamp}.${extension}`, {
+    type: blob.type,
+  });
+}
+
+/**
+ * Reads the text of an HTML snippet, for previews and plain-text pastes.
+ * The HTML is parsed, never rendered.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  return doc.body.textContent || "";
+}
+
+/**
+ * Puts a snippet on the clipboard. HTML goes with a plain-text copy, for
+ * apps that can't paste HTML.
+ * @param {Blob} blob - The snippet.
+ * @throws {Error} If the browser refuses (e.g. an image type it can't copy).
+ */
+export async function copySnippet(blob) {
+  if (blob.type === "text/plain" || !window.ClipboardItem) {
+    await navigator.clipboard.writeText(
+      blob.type === "text/html"
+        ? htmlToText(await blob.text())
+        : await blob.text(),
+    );
+    return;
+  }
+  const items = { [blob.type]: blob };
+  if (blob.type === "text/html") {
+    items["text/plain"] = new Blob([htmlToText(await blob.text())], {
+      type: "text/plain",
+    });
+  }
+  await navigator.clipboard.write([new ClipboardItem(items)]);
+}
@@ -0,0 +1,57 @@
+import pako from "pako";
+
+/**
+ * Per-chunk compression for file transfers.
+ *
+ * Each chunk is deflated on its own, so memory use is bounded by the chunk
+ * size whatever the file size, and every chunk can still be decompressed and
+ * written at its original offset as soon as it arrives (which keeps resume,
+ * resends and fan-out working by chunk index).
+ *
+ * We use the browser's CompressionStream when it exists and fall back to
+ * pako otherwise. Both produce raw DEFLATE, so peers can mix the two.
+ */
+
+export const COMPRESSION_FORMAT = "deflate-raw";
+
+const hasCompressionStreams =
+  typeof CompressionStream === "function" &&
+  typeof DecompressionStream === "function";
+
+/**
+ * Runs a chunk through a CompressionStream or DecompressionStream.
+ * @param {Uint8Array} bytes - The input chunk.
+ * @param {TransformStream} transform - The (de)compression stream.
+ * @returns {Promise<Uint8Array>} The transformed chunk.
+ */
+async function pipeChunk(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Deflates one chunk.
+ * @param {ArrayBuffer|Uint8Array} data - The raw chunk.
+ * @returns {Promise<Uint8Array>} The compressed chunk.
+ */
+export async function compressChunk(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (hasCompressionStreams) {
+    return pipeChunk(bytes, new CompressionStream(COMPRESSION_FORMAT));
+  }
+  return pako.deflateRaw(bytes);
+}
+
+/**
+ * Inflates one chunk produced by `compressChunk`.
+ * @param {ArrayBuffer|Uint8Array} data - The compressed chunk.
+ * @returns {Promise<Uint8Array>} The original chunk.
+ * @throws {Error} If the data is not valid raw DEFLATE.
+ */
+export async function decompressChunk(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (hasCompressionStreams) {
+    return pipeChunk(bytes, new DecompressionStream(COMPRESSION_FORMAT));
+  }
+  return pako.inflateRaw(bytes);
+}
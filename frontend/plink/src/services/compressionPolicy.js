@@ -0,0 +1,164 @@
+import { compressChunk } from "./compression";
+
+/**
+ * Decides whether a file is worth compressing before it is sent.
+ *
+ * Most large files people send (photos, videos, archives) are already
+ * compressed, and deflating them again only burns CPU. Files are first
+ * checked against known compressed formats by MIME type and extension;
+ * anything else gets a few samples deflated, and is only compressed when
+ * the samples shrink enough.
+ */
+
+// Files whose MIME type starts with one of these are compressed already
+const COMPRESSED_MIME_PREFIXES = ["video/", "audio/", "font/woff"];
+
+// Exceptions to the prefixes above that do compress well
+const UNCOMPRESSED_MIME_TYPES = new Set([
+  "audio/wav",
+  "audio/x-wav",
+  "audio/aiff",
+  "audio/x-aiff",
+]);
+
+const COMPRESSED_MIME_TYPES = new Set([
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/avif",
+  "image/heic",
+  "image/heif",
+  "application/zip",
+  "application/x-zip-compressed",
+  "application/gzip",
+  "application/x-gzip",
+  "application/x-7z-compressed",
+  "application/x-rar-compressed",
+  "application/vnd.rar",
+  "application/x-bzip2",
+  "application/x-xz",
+  "application/zstd",
+  "application/x-lzip",
+  "application/java-archive",
+  "application/epub+zip",
+  "application/vnd.android.package-archive",
+  "application/x-apple-diskimage",
+]);
+
+// Browsers often leave `file.type` empty, so extensions are checked too
+// prettier-ignore
+const COMPRESSED_EXTENSIONS = new Set([
+  "jpg", "jpeg", "png", "gif", "webp", "avif", "heic", "heif", "jxl",
+  "mp4", "m4v", "mov", "mkv", "webm", "avi", "wmv", "flv",
+  "mp3", "m4a", "aac", "ogg", "oga", "opus", "flac",
+  "zip", "gz", "tgz", "bz2", "tbz2", "xz", "txz", "7z", "rar", "zst", "lz", "lz4", "br",
+  "jar", "apk", "ipa", "epub", "dmg", "cab", "msi",
+  "docx", "xlsx", "pptx", "odt", "ods", "odp",
+  "woff", "woff2",
+]);
+
+// Files smaller than this are sent as-is; compressing them saves next to nothing
+const MIN_COMPRESSIBLE_SIZE = 4 * 1024;
+// Bytes deflated per sample, and how many samples are spread across the file
+const SAMPLE_SIZE = 64 * 1024;
+const SAMPLE_COUNT = 3;
+// Compress only when the samples shrink to at most this fraction of their size
+export const COMPRESSION_RATIO_THRESHOLD = 0.9;
+
+/**
+ * How a transfer's compression was decided. Sent in the file metadata as
+ * `compressionStrategy`.
+ */
+export const COMPRESSION_STRATEGIES = {
+  DEFLATE: "deflate", // Samples compressed well; every chunk is deflated
+  DISABLED: "disabled", // Turned off in the settings
+  SKIPPED_TYPE: "skipped-type", // A known compressed format
+  SKIPPED_SMALL: "skipped-small", // Too small to bother
+  SKIPPED_RATIO: "skipped-ratio", // Samples didn't shrink enough
+};
+
+/**
+ * Tells whether a file is in a format that is compressed already.
+ * @param {File} file - The file to check.
+ * @returns {boolean} True if deflating it again is pointless.
+ */
+export function isKnownCompressed(file) {
+  // Our folder archives store their files as-is (see services/zipStream.js)
+  if (file.isStoredArchive) return false;
+  const type = (file.type || "").toLowerCase();
+  if (COMPRESSED_MIME_TYPES.has(type)) return true;
+  if (
+    !UNCOMPRESSED_MIME_TYPES.has(type) &&
+    COMPRESSED_MIME_PREFIXES.some((prefix) => type.startsWith(prefix))
+  ) {
+    return true;
+  }
+  const dot = file.name.lastIndexOf(".");
+  const extension = dot > 0 ? file.name.slice(dot + 1).toLowerCase() : "";
+  return COMPRESSED_EXTENSIONS.has(extension);
+}
+
+/**
+ * Deflates a few samples from the start, middle and end of a file.
+ * @param {File} file - The file to sample.
+ * @returns {Promise<number>} Compressed size divided by sampled size.
+ */
+export async function sampleCompressionRatio(file) {
+  const count = file.size <= SAMPLE_SIZE * SAMPLE_COUNT ? 1 : SAMPLE_COUNT;
+  const step = count > 1 ? (file.size - SAMPLE_SIZE) / (count - 1) : 0;
+  let original = 0;
+  let compressed = 0;
+  for (let i = 0; i < count; i++) {
+    const start = Math.floor(i * step);
+    const sample = await file.slice(start, start + SAMPLE_SIZE).arrayBuffer();
+    original += sample.byteLength;
+    compressed += (await compressChunk(sample)).byteLength;
+  }
+  return original ? compressed / original : 1;
+}
+
+/**
+ * Picks the compression strategy for a file.
+ * @param {File} file - The file about to be sent.
+ * @param {object} options
+ * @param {boolean} options.enabled - Whether compression is on in the settings.
+ * @param {number} [options.threshold=COMPRESSION_RATIO_THRESHOLD] - Highest
+ *   sampled ratio that still counts as worth compressing.
+ * @returns {Promise<{compress: boolean, strategy: string, ratio: number|null}>}
+ *   The decision, and the sampled ratio when samples were taken.
+ */
+export async function chooseCompression(
+  file,
+  { enabled, threshold = COMPRESSION_RATIO_THRESHOLD },
+) {
+  if (!enabled) {
+    return {
+      compress: false,
+      strategy: COMPRESSION_STRATEGIES.DISABLED,
+      ratio: null,
+    };
+  }
+  if (isKnownCompressed(file)) {
+    return {
+      compress: false,
+      strategy: COMPRESSION_STRATEGIES.SKIPPED_TYPE,
+      ratio: null,
+    };
+  }
+  if (file.size < MIN_COMPRESSIBLE_SIZE) {
+    return {
+      compress: false,
+      strategy: COMPRESSION_STRATEGIES.SKIPPED_SMALL,
+      ratio: null,
+    };
+  }
+  const ratio = await sampleCompressionRatio(file);
+  return ratio <= threshold
+    ? { compress: true, strategy: COMPRESSION_STRATEGIES.DEFLATE, ratio }
+    : {
+        compress: false,
+        strategy: COMPRESSION_STRATEGIES.SKIPPED_RATIO,
+        ratio,
+      };
+}
@@ -0,0 +1,92 @@
+/**
+ * Reads what matters for a slow or flaky connection out of an
+ * `RTCPeerConnection.getStats()` report: which candidate pair carries the
+ * traffic (a "relay" end means it goes through a TURN server), its round
+ * trip time and losses, and each data channel's traffic.
+ *
+ * Browsers differ in what they report, so every field may be missing.
+ */
+
+/**
+ * Finds the candidate pair the connection is using.
+ * @param {RTCStatsReport} report
+ * @returns {object|null} Its `candidate-pair` stats.
+ */
+function findSelectedPair(report) {
+  let transportPairId = null;
+  let fallback = null;
+  report.forEach((stats) => {
+    if (stats.type === "transport" && stats.selectedCandidatePairId) {
+      transportPairId = stats.selectedCandidatePairId;
+    }
+    // Firefox marks the pair instead of naming it on the transport
+    if (
+      stats.type === "candidate-pair" &&
+      (stats.selected || (stats.nominated && stats.state === "succeeded"))
+    ) {
+      fallback = stats;
+    }
+  });
+  return (transportPairId && report.get(transportPairId)) || fallback;
+}
+
+/**
+ * Describes one end of a candidate pair.
+ * @param {object} [candidate] - Its `local-candidate` or `remote-candidate` stats.
+ * @returns {{type: string, protocol: string, relayProtocol: string|null}|null}
+ */
+function describeCandidate(candidate) {
+  if (!candidate) return null;
+  return {
+    type: candidate.candidateType, // "host", "srflx", "prflx" or "relay"
+    protocol: candidate.protocol,
+    relayProtocol: candidate.relayProtocol ?? null, // How we reach the TURN server
+  };
+}
+
+/**
+ * Sums up a stats report.
+ * @param {RTCStatsReport} report - From `RTCPeerConnection.getStats()`.
+ * @returns {{pair: object|null, dataChannels: Object<string, object>}}
+ *   The selected candidate pair (ends, RTT in seconds, bytes and packets)
+ *   and each data channel's traffic, keyed by label.
+ */
+export function summarizeStats(report) {
+  const selected = findSelectedPair(report);
+  const pair = selected && {
+    state: selected.state,
+    local: describeCandidate(report.get(selected.localCandidateId)),
+    remote: describeCandidate(report.get(selected.remoteCandidateId)),
+    rtt: selected.currentRoundTripTime ?? null,
+    availableOutgoingBitrate: selected.availableOutgoingBitrate ?? null,
+    bytesSent: selected.bytesSent ?? null,
+    bytesReceived: selected.bytesReceived ?? null,
+    packetsSent: selected.packetsSent ?? null,
+    packetsReceived: selected.packetsReceived ?? null,
+    packetsDiscardedOnSend: selected.packetsDiscardedOnSend ?? null,
+  };
+
+  const dataChannels = {};
+  report.forEach((stats) => {
+    if (stats.type !== "data-channel") return;
+    // A closed channel may share its label with the one that replaced it
+    if (dataChannels[stats.label]?.state === "open") return;
+    dataChannels[stats.label] = {
+      state: stats.state,
+      bytesSent: stats.bytesSent ?? 0,
+      bytesReceived: stats.bytesReceived ?? 0,
+      messagesSent: stats.messagesSent ?? 0,
+      messagesReceived: stats.messagesReceived ?? 0,
+    };
+  });
+  return { pair, dataChannels };
+}
+
+/**
+ * Lists a stats report's entries as plain objects, for saving as JSON.
+ * @param {RTCStatsReport} report
+ * @returns {object[]}
+ */
+export function statsToJson(report) {
+  return Array.from(report.values(), (stats) => ({ ...stats }));
+}
@@ -0,0 +1,405 @@
+import { sha256 } from "@noble/hashes/sha2.js";
+
+/**
+ * Block-level delta transfers, rsync style, for a receiver that already has
+ * an older version of the file being sent.
+ *
+ * The receiver cuts its base file into fixed-size blocks and sends a
+ * signature: a rolling (weak) and a truncated SHA-256 (strong) checksum per
+ * block. The sender slides a window over the new file, looking each
+ * position's rolling checksum up in the signature and confirming hits with
+ * the strong one, and turns the file into a list of ops: copy a range of the
+ * base, or take the next bytes of the "literal" stream, which holds
+ * everything that matched nothing. Only the literal stream travels; the
+ * receiver rebuilds the file from its base and the ops, and the whole-file
+ * digest checks the result like any other transfer.
+ *
+ * Ops are a flat array of pairs, `[length, baseOffset]`, with a base offset
+ * of -1 for literal data.
+ */
+
+const MIN_BLOCK_SIZE = 2 * 1024;
+const MAX_BLOCK_SIZE = 64 * 1024;
+const STRONG_SIZE = 8; // Bytes of SHA-256 kept per block
+const BLOCK_RECORD_SIZE = 4 + STRONG_SIZE;
+// Signature pages carry this many blocks (16 KB of base64), ops pages this
+// many numbers, so each page stays well under the SCTP message size limit
+const SIGNATURE_PAGE_BLOCKS = 1024;
+const OPS_PAGE_SIZE = 1024;
+// How much of a file is read at once while signing or matching
+const READ_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Picks the block size for a base file: about the square root of its size,
+ * which balances signature size against how much a single change costs.
+ * @param {number} size - Bytes in the base file.
+ * @returns {number} A power of two between 2 KB and 64 KB.
+ */
+export function chooseBlockSize(size) {
+  let blockSize = MIN_BLOCK_SIZE;
+  while (blockSize < MAX_BLOCK_SIZE && blockSize * blockSize < size) {
+    blockSize *= 2;
+  }
+  return blockSize;
+}
+
+/**
+ * The rolling checksum of `bytes[start, end)`: two 16-bit sums, the second
+ * weighting each byte by its distance from the end.
+ * @returns {{a: number, b: number}}
+ */
+function weakChecksum(bytes, start, end) {
+  let a = 0;
+  let b = 0;
+  for (let i = start; i < end; i++) {
+    a += bytes[i];
+    b += (end - i) * bytes[i];
+  }
+  return { a: a & 0xffff, b: b & 0xffff };
+}
+
+const combineWeak = ({ a, b }) => (a | (b << 16)) >>> 0;
+
+function strongChecksum(bytes) {
+  return sha256(bytes).subarray(0, STRONG_SIZE);
+}
+
+/**
+ * Signs a base file, block by block. A trailing partial block is left out;
+ * whatever the new file has there is sent as literal data.
+ * @param {Blob} file - The receiver's base file.
+ * @param {number} [blockSize] - Defaults to `chooseBlockSize(file.size)`.
+ * @returns {Promise<{blockSize: number, baseSize: number, signature: Uint8Array}>}
+ *   The packed signature: a 4-byte weak and an 8-byte strong checksum per block.
+ */
+export async function computeSignature(
+  file,
+  blockSize = chooseBlockSize(file.size),
+) {
+  const blocks = Math.floor(file.size / blockSize);
+  const signature = new Uint8Array(blocks * BLOCK_RECORD_SIZE);
+  const view = new DataView(signature.buffer);
+  const readBlocks = Math.max(Math.floor(READ_SIZE / blockSize), 1);
+  for (let first = 0; first < blocks; first += readBlocks) {
+    const count = Math.min(readBlocks, blocks - first);
+    const bytes = new Uint8Array(
+      await file
+        .slice(first * blockSize, (first + count) * blockSize)
+        .arrayBuffer(),
+    );
+    for (let i = 0; i < count; i++) {
+      const start = i * blockSize;
+      const record = (first + i) * BLOCK_RECORD_SIZE;
+      view.setUint32(
+        record,
+        combineWeak(weakChecksum(bytes, start, start + blockSize)),
+      );
+      signature.set(
+        strongChecksum(bytes.subarray(start, start + blockSize)),
+        record + 4,
+      );
+    }
+  }
+  return { blockSize, baseSize: file.size, signature };
+}
+
+/**
+ * Indexes a packed signature by weak checksum.
+ * @returns {{blocks: Map<number, number[]>, tags: Uint8Array}} Block indices
+ *   per weak checksum, and a 16-bit filter that rules most positions out
+ *   before the Map is consulted.
+ */
+function indexSignature(signature) {
+  const view = new DataView(
+    signature.buffer,
+    signature.byteOffset,
+    signature.byteLength,
+  );
+  const blocks = new Map();
+  const tags = new Uint8Array(0x10000);
+  for (let i = 0; i * BLOCK_RECORD_SIZE < signature.length; i++) {
+    const weak = view.getUint32(i * BLOCK_RECORD_SIZE);
+    if (!blocks.has(weak)) blocks.set(weak, []);
+    blocks.get(weak).push(i);
+    tags[(weak ^ (weak >>> 16)) & 0xffff] = 1;
+  }
+  return { blocks, tags };
+}
+
+function strongMatches(signature, block, strong) {
+  const record = block * BLOCK_RECORD_SIZE + 4;
+  for (let i = 0; i < STRONG_SIZE; i++) {
+    if (signature[record + i] !== strong[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Checks a signature from a peer before matching against it.
+ * @throws {Error} If the block size is out of range or the length doesn't fit.
+ */
+function checkSignature({ blockSize, baseSize, signature }) {
+  const valid =
+    Number.isInteger(blockSize) &&
+    blockSize >= MIN_BLOCK_SIZE &&
+    blockSize <= MAX_BLOCK_SIZE &&
+    Number.isSafeInteger(baseSize) &&
+    baseSize >= 0 &&
+    signature.length === Math.floor(baseSize / blockSize) * BLOCK_RECORD_SIZE;
+  if (!valid) throw new Error("Invalid delta signature");
+}
+
+/**
+ * Works out how to rebuild a file from a base the receiver has signed.
+ * @param {Blob} file - The new file.
+ * @param {{blockSize: number, baseSize: number, signature: Uint8Array}} base
+ *   - The receiver's signature (see `computeSignature`).
+ * @returns {Promise<{ops: number[], literals: Array<[number, number]>, literalSize: number}>}
+ *   The ops, the `[start, end)` ranges of the new file that make up the
+ *   literal stream, in order, and the stream's size.
+ * @throws {Error} If the signature is malformed.
+ */
+export async function computeDelta(file, base) {
+  checkSignature(base);
+  const { blockSize, signature } = base;
+  const { blocks, tags } = indexSignature(signature);
+  const size = file.size;
+  const ops = [];
+  const literals = [];
+  let literalSize = 0;
+
+  const addLiteral = (start, end) => {
+    if (end <= start) return;
+    literalSize += end - start;
+    const last = literals.at(-1);
+    if (last?.[1] === start) last[1] = end;
+    else literals.push([start, end]);
+    if (ops.length && ops.at(-1) === -1) ops[ops.length - 2] += end - start;
+    else ops.push(end - start, -1);
+  };
+  const addCopy = (baseOffset) => {
+    const n = ops.length;
+    if (n && ops[n - 1] >= 0 && ops[n - 1] + ops[n - 2] === baseOffset) {
+      ops[n - 2] += blockSize;
+    } else {
+      ops.push(blockSize, baseOffset);
+    }
+  };
+
+  let literalStart = 0;
+  let position = 0;
+  let sums = null;
+  while (blocks.size && position + blockSize <= size) {
+    // Read a window from here and scan it without awaiting anything
+    const buffer = new Uint8Array(
+      await file
+        .slice(position, Math.min(position + READ_SIZE + blockSize, size))
+        .arrayBuffer(),
+    );
+    const bufferStart = position;
+    const bufferEnd = bufferStart + buffer.length;
+    while (position + blockSize <= bufferEnd) {
+      const start = position - bufferStart;
+      if (!sums) sums = weakChecksum(buffer, start, start + blockSize);
+      const weak = combineWeak(sums);
+      if (tags[(weak ^ (weak >>> 16)) & 0xffff] && blocks.has(weak)) {
+        const strong = strongChecksum(
+          buffer.subarray(start, start + blockSize),
+        );
+        const block = blocks
+          .get(weak)
+          .find((candidate) => strongMatches(signature, candidate, strong));
+        if (block !== undefined) {
+          addLiteral(literalStart, position);
+          addCopy(block * blockSize);
+          position += blockSize;
+          literalStart = position;
+          sums = null;
+          continue;
+        }
+      }
+      // Slide the window one byte, once the next byte has been read
+      if (position + blockSize >= bufferEnd) break;
+      const out = buffer[start];
+      sums.a = (sums.a - out + buffer[start + blockSize]) & 0xffff;
+      sums.b = (sums.b - blockSize * out + sums.a) & 0xffff;
+      position++;
+    }
+    if (position + blockSize >= size) break;
+  }
+  addLiteral(literalStart, size);
+  return { ops, literals, literalSize };
+}
+
+/**
+ * Checks ops from a peer against the files they describe.
+ * @throws {Error} If they don't add up to the target, read past the base or
+ *   use more or less literal data than is coming.
+ */
+function checkOps(ops, { baseSize, targetSize, literalSize }) {
+  let total = 0;
+  let literal = 0;
+  const valid =
+    ops.length % 2 === 0 &&
+    ops.every((value, i) => {
+      if (!Number.isSafeInteger(value)) return false;
+      if (i % 2 === 0) return value > 0;
+      const length = ops[i - 1];
+      total += length;
+      if (value === -1) {
+        literal += length;
+        return true;
+      }
+      return value >= 0 && value + length <= baseSize;
+    });
+  if (!valid || total !== targetSize || literal !== literalSize) {
+    throw new Error("Invalid delta instructions");
+  }
+}
+
+/**
+ * Rebuilds a file from its base, the ops and the literal stream as it
+ * arrives. Literal data may come in any order; output is produced front to
+ * back as soon as the data it needs is there.
+ * @param {object} target
+ * @param {Blob} target.base - The receiver's base file.
+ * @param {number[]} target.ops - From the sender's `computeDelta`.
+ * @param {number} target.targetSize - Bytes in the rebuilt file.
+ * @param {number} target.literalSize - Bytes in the literal stream.
+ * @returns {{addLiteral: function(number, ArrayBuffer): void,
+ *   read: function(number): Promise<Uint8Array>, done: function(): boolean}}
+ *   `read(max)` returns the next bytes of the file, up to `max`, and fewer
+ *   (possibly none) when it has to wait for literal data.
+ * @throws {Error} If the ops don't fit the base and target sizes.
+ */
+export function createDeltaAssembler({ base, ops, targetSize, literalSize }) {
+  checkOps(ops, { baseSize: base.size, targetSize, literalSize });
+  let op = 0; // Index of the current op's length in `ops`
+  let opDone = 0; // Bytes of the current op already produced
+  let produced = 0;
+  // Literal data that arrived ahead of the contiguous part, by offset
+  const pending = new Map();
+  // The contiguous literal data not consumed yet, and where it ends
+  const ready = [];
+  let readyBytes = 0;
+  let literalEnd = 0;
+
+  const takeLiteral = (into, at, length) => {
+    let taken = 0;
+    while (taken < length) {
+      const piece = ready[0];
+      const n = Math.min(piece.length, length - taken);
+      into.set(piece.subarray(0, n), at + taken);
+      if (n === piece.length) ready.shift();
+      else ready[0] = piece.subarray(n);
+      taken += n;
+    }
+    readyBytes -= length;
+  };
+
+  return {
+    addLiteral(offset, data) {
+      if (offset < literalEnd || pending.has(offset)) return; // Already have it
+      pending.set(offset, new Uint8Array(data));
+      while (pending.has(literalEnd)) {
+        const piece = pending.get(literalEnd);
+        pending.delete(literalEnd);
+        ready.push(piece);
+        readyBytes += piece.length;
+        literalEnd += piece.length;
+      }
+    },
+
+    async read(max) {
+      const out = new Uint8Array(Math.min(max, targetSize - produced));
+      let filled = 0;
+      while (filled < out.length) {
+        const length = ops[op];
+        const baseOffset = ops[op + 1];
+        let n = Math.min(length - opDone, out.length - filled);
+        if (baseOffset === -1) {
+          n = Math.min(n, readyBytes);
+          if (!n) break;
+          takeLiteral(out, filled, n);
+        } else {
+          const start = baseOffset + opDone;
+          out.set(
+            new Uint8Array(await base.slice(start, start + n).arrayBuffer()),
+            filled,
+          );
+        }
+        filled += n;
+        opDone += n;
+        if (opDone === length) {
+          op += 2;
+          opDone = 0;
+        }
+      }
+      produced += filled;
+      return out.subarray(0, filled);
+    },
+
+    done: () => produced === targetSize,
+  };
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Splits a packed signature into base64 pages, one message each.
+ * @param {Uint8Array} signature - From `computeSignature`.
+ * @returns {string[]} At least one page.
+ */
+export function splitSignature(signature) {
+  const pageBytes = SIGNATURE_PAGE_BLOCKS * BLOCK_RECORD_SIZE;
+  const pages = [];
+  for (let i = 0; i < signature.length || !pages.length; i += pageBytes) {
+    pages.push(bytesToBase64(signature.subarray(i, i + pageBytes)));
+  }
+  return pages;
+}
+
+/**
+ * Joins the pages of a signature back together.
+ * @param {string[]} pages - From `splitSignature`, in order.
+ * @returns {Uint8Array} The packed signature.
+ * @throws {Error} If a page isn't valid base64.
+ */
+export function joinSignature(pages) {
+  const parts = pages.map(base64ToBytes);
+  const signature = new Uint8Array(
+    parts.reduce((sum, part) => sum + part.length, 0),
+  );
+  let offset = 0;
+  parts.forEach((part) => {
+    signature.set(part, offset);
+    offset += part.length;
+  });
+  return signature;
+}
+
+/**
+ * Splits ops into pages, one message each; a page never splits a pair.
+ * @param {number[]} ops - From `computeDelta`.
+ * @returns {number[][]} At least one page.
+ */
+export function splitDeltaOps(ops) {
+  const pages = [];
+  for (let i = 0; i < ops.length || !pages.length; i += OPS_PAGE_SIZE) {
+    pages.push(ops.slice(i, i + OPS_PAGE_SIZE));
+  }
+  return pages;
+}
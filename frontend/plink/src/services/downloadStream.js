@@ -0,0 +1,97 @@
+import { log } from "../utils/logger";
+
+/**
+ * Streaming downloads through the download service worker
+ * (public/download-sw.js), for browsers without `showSaveFilePicker`.
+ *
+ * Each download gets a MessagePort into the service worker, which answers a
+ * hidden iframe's request with a stream fed by that port. The port is handed
+ * to the transfer worker (see services/transferPipeline.js), which writes
+ * the file to it in order as chunks arrive.
+ *
+ * Such a download can't outlive the page: once it has started, a reload
+ * breaks it. Transfers that must survive one keep using IndexedDB.
+ */
+
+const SERVICE_WORKER_URL = `${import.meta.env.BASE_URL}download-sw.js`;
+const DOWNLOAD_PATH = "plink-download/";
+// Browsers stop idle service workers after a while; ping it while downloads run
+const KEEP_ALIVE_INTERVAL = 10000;
+
+let registration = null;
+let activeDownloads = 0;
+let keepAliveTimer = null;
+
+/**
+ * Registers the download service worker. Streaming downloads are unavailable
+ * until this resolves, and if it fails.
+ * @returns {Promise<void>}
+ */
+export async function registerDownloadWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  try {
+    await navigator.serviceWorker.register(SERVICE_WORKER_URL, {
+      scope: import.meta.env.BASE_URL,
+    });
+    registration = await navigator.serviceWorker.ready;
+    log("Download service worker ready");
+  } catch (e) {
+    log("Could not register download service worker", e);
+  }
+}
+
+/**
+ * Tells whether incoming files can be streamed into browser downloads.
+ * @returns {boolean}
+ */
+export function canStreamDownloads() {
+  return Boolean(registration?.active);
+}
+
+/**
+ * Starts a browser download that is fed as the file arrives.
+ * @param {object} file
+ * @param {string} file.name - Name to save the file under.
+ * @param {number} file.size - The file's size, so the browser can show progress.
+ * @returns {Promise<{downloadId: string, port: MessagePort, close: function(): void}>}
+ *   The port to write the file to (transfer it to the transfer worker), and
+ *   `close` to call once the download has ended either way.
+ */
+export async function startDownloadStream({ name, size }) {
+  const downloadId = crypto.randomUUID();
+  const channel = new MessageChannel();
+  const ready = new Promise((resolve) => {
+    channel.port2.onmessage = ({ data }) => {
+      if (data.type === "ready") resolve();
+    };
+  });
+  registration.active.postMessage(
+    { type: "create-download", id: downloadId, name, size },
+    [channel.port1],
+  );
+  await ready;
+  channel.port2.onmessage = null;
+
+  const iframe = document.createElement("iframe");
+  iframe.hidden = true;
+  iframe.src = `${registration.scope}${DOWNLOAD_PATH}${encodeURIComponent(downloadId)}`;
+  document.body.appendChild(iframe);
+
+  activeDownloads++;
+  keepAliveTimer ||= setInterval(
+    () => registration.active?.postMessage({ type: "keep-alive" }),
+    KEEP_ALIVE_INTERVAL,
+  );
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    iframe.remove();
+    activeDownloads--;
+    if (activeDownloads === 0) {
+      clearInterval(keepAliveTimer);
+      keepAliveTimer = null;
+    }
+  };
+  return { downloadId, port: channel.port2, close };
+}
@@ -0,0 +1,221 @@
+import { bytesToHex, hexToBytes } from "@noble/hashes/utils.js";
+
+/**
+ * Optional end-to-end encryption keyed from the room password.
+ *
+ * DTLS protects the data channels, but the keys it agrees on are only as
+ * trustworthy as the signaling server relaying the SDP. With encryption on,
+ * chat messages and file frames are additionally sealed with AES-GCM under a
+ * key the server never sees:
+ *
+ *   1. PBKDF2 stretches the password (salted with the room name) into a room
+ *      secret. The server only ever receives an access token derived from it
+ *      with HKDF, never the password itself.
+ *   2. Each pair of peers swaps random handshake salts, and HKDF turns the
+ *      room secret plus both salts into a fresh AES-GCM key per connection.
+ *   3. The first sealed message each side sends doubles as a key check: a
+ *      peer that typed a different password can't open it.
+ *
+ * Messages on the file channel that describe a file or come from its
+ * contents are sealed too: offers with their previews, folder manifests,
+ * file metadata, the whole-file digests in `file-end` and the completion
+ * ACK, and a delta transfer's signature and ops. A peer that sends one of
+ * these unsealed on an encrypted connection is dropped. The rest of the
+ * control messages stay readable: offer answers, pause/cancel, progress
+ * reports, resume and resend requests. They carry random transfer IDs,
+ * chunk indices and ranges, and timing, so an observer can still tell
+ * roughly how big a transfer is and how it is going.
+ *
+ * Encryption needs a password: without one there is nothing to derive the
+ * key from, and joining with encryption on is refused rather than falling
+ * back to an unencrypted room.
+ */
+
+const PBKDF2_ITERATIONS = 310000;
+export const HANDSHAKE_SALT_SIZE = 16;
+const IV_SIZE = 12;
+const TAG_SIZE = 16;
+// Bytes a sealed message adds to its plaintext (IV + GCM tag)
+export const SEAL_OVERHEAD = IV_SIZE + TAG_SIZE;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Stretches a room password into the secrets the client needs.
+ * @param {string} password - The room password.
+ * @param {string} roomId - The room name, used as the PBKDF2 salt.
+ * @returns {Promise<{accessToken: string, roomKey: CryptoKey}>} The hex token
+ *   to join the room with, and the HKDF key session keys are derived from.
+ */
+export async function deriveRoomSecrets(password, roomId) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"],
+  );
+  const secret = await crypto.subtle.deriveBits(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: encoder.encode(`plink/room/${roomId}`),
+      iterations: PBKDF2_ITERATIONS,
+    },
+    material,
+    256,
+  );
+  const roomKey = await crypto.subtle.importKey("raw", secret, "HKDF", false, [
+    "deriveBits",
+    "deriveKey",
+  ]);
+  const token = await crypto.subtle.deriveBits(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new Uint8Array(0),
+      info: encoder.encode("plink access token"),
+    },
+    roomKey,
+    256,
+  );
+  return { accessToken: bytesToHex(new Uint8Array(token)), roomKey };
+}
+
+/**
+ * Generates this side's salt for a connection's handshake.
+ * @returns {string} Hex-encoded random salt.
+ */
+export function createHandshakeSalt() {
+  return bytesToHex(
+    crypto.getRandomValues(new Uint8Array(HANDSHAKE_SALT_SIZE)),
+  );
+}
+
+/**
+ * Derives the AES-GCM key for one connection. Both peers get the same key
+ * whichever order they pass the salts in.
+ * @param {CryptoKey} roomKey - From `deriveRoomSecrets`.
+ * @param {string} ownSalt - Our handshake salt (hex).
+ * @param {string} peerSalt - The peer's handshake salt (hex).
+ * @returns {Promise<CryptoKey>} The session key.
+ * @throws {Error} If the peer's salt is malformed.
+ */
+export async function deriveSessionKey(roomKey, ownSalt, peerSalt) {
+  if (
+    typeof peerSalt !== "string" ||
+    peerSalt.length !== HANDSHAKE_SALT_SIZE * 2
+  ) {
+    throw new Error("Malformed handshake salt");
+  }
+  const salts = [ownSalt, peerSalt].sort().map(hexToBytes);
+  const salt = new Uint8Array(HANDSHAKE_SALT_SIZE * 2);
+  salt.set(salts[0]);
+  salt.set(salts[1], HANDSHAKE_SALT_SIZE);
+  return crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt,
+      info: encoder.encode("plink session key"),
+    },
+    roomKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+/**
+ * Encrypts one message.
+ * @param {CryptoKey} key - The session key.
+ * @param {ArrayBuffer|Uint8Array} data - The plaintext.
+ * @returns {Promise<ArrayBuffer>} The random IV followed by the ciphertext.
+ */
+export async function seal(key, data) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_SIZE));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    data,
+  );
+  const sealed = new Uint8Array(IV_SIZE + ciphertext.byteLength);
+  sealed.set(iv);
+  sealed.set(new Uint8Array(ciphertext), IV_SIZE);
+  return sealed.buffer;
+}
+
+/**
+ * Decrypts a message produced by `seal`.
+ * @param {CryptoKey} key - The session key.
+ * @param {ArrayBuffer} sealed - The IV and ciphertext.
+ * @returns {Promise<ArrayBuffer>} The plaintext.
+ * @throws {Error} If the key is wrong or the message was tampered with.
+ */
+export async function unseal(key, sealed) {
+  if (sealed.byteLength < SEAL_OVERHEAD) {
+    throw new Error("Encrypted message is truncated");
+  }
+  try {
+    return await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: new Uint8Array(sealed, 0, IV_SIZE) },
+      key,
+      new Uint8Array(sealed, IV_SIZE),
+    );
+  } catch {
+    // WebCrypto reports a bare OperationError; say what it means for us
+    throw new Error("Could not decrypt message (wrong password?)");
+  }
+}
+
+/**
+ * Seals a JSON message, for the chat channel.
+ * @param {CryptoKey} key - The session key.
+ * @param {object} message - The message to send.
+ * @returns {Promise<ArrayBuffer>} The sealed message.
+ */
+export function sealJson(key, message) {
+  return seal(key, encoder.encode(JSON.stringify(message)));
+}
+
+/**
+ * Opens a message sealed with `sealJson`.
+ * @param {CryptoKey} key - The session key.
+ * @param {ArrayBuffer} sealed - The sealed message.
+ * @returns {Promise<object>} The message.
+ * @throws {Error} If the message can't be decrypted.
+ */
+export async function unsealJson(key, sealed) {
+  return JSON.parse(decoder.decode(await unseal(key, sealed)));
+}
+
+/**
+ * Seals a JSON message into a base64 string, for sealed fields inside
+ * control messages (which are sent as JSON text).
+ * @param {CryptoKey} key - The session key.
+ * @param {object} message - The value to seal.
+ * @returns {Promise<string>} The sealed value, base64-encoded.
+ */
+export async function sealJsonToBase64(key, message) {
+  const bytes = new Uint8Array(await sealJson(key, message));
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Opens a value sealed with `sealJsonToBase64`.
+ * @param {CryptoKey} key - The session key.
+ * @param {string} text - The base64-encoded sealed value.
+ * @returns {Promise<object>} The value.
+ * @throws {Error} If the value can't be decoded or decrypted.
+ */
+export function unsealJsonFromBase64(key, text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return unsealJson(key, bytes.buffer);
+}
@@ -1,90 +1,98 @@
-import { log } from "../utils/logger";
+// Folder manifests are sent in pages so each stays well under the SCTP
+// message size limit (measured in UTF-16 units; UTF-8 can be up to 3x, and
+// a sealed page grows by another third in base64)
+const MANIFEST_PAGE_SIZE = 12 * 1024;
+
+// Path segments a peer's manifest may not contain
+const UNSAFE_SEGMENTS = new Set(["", ".", ".."]);
 
 /**
- * Takes an array of files (from a folder input), zips them, and then
- * initiates a file transfer.
- * @param {FileList} files - The list of files to zip.
- * @param {function} sendFile - The function to call to send the final zipped file.
- * @param {function} setMessages - React state setter to update the UI with progress.
- * @returns {Promise<File>} The generated zip file.
+ * Works out a folder's name from its files.
+ * @param {File[]} files - Files from a folder input or a drop.
+ * @returns {string} The top-level folder name, or "folder" for loose files.
  */
-export async function processAndZipFolder(files, sendFile, setMessages) {
-  if (!files || files.length === 0) {
-    log("No files selected for zipping.");
-    return;
-  }
-
-  try {
-    const filesArray = Array.from(files);
-    log(`Starting to zip ${filesArray.length} files.`);
-    setMessages((p) => [
-      ...p,
-      { type: "system", text: `Zipping ${filesArray.length} files...` },
-    ]);
-
-    // Dynamically import JSZip to keep the initial bundle small.
-    const JSZip = (await import("jszip")).default;
-    const zip = new JSZip();
-
-    // Try to determine a sensible name for the zip file.
-    let folderName = "folder";
-    if (filesArray[0]?.webkitRelativePath) {
-      folderName = filesArray[0].webkitRelativePath.split("/")[0] || folderName;
-    }
+export function getFolderName(files) {
+  return files[0]?.webkitRelativePath?.split("/")[0] || "folder";
+}
 
-    // Add each file to the zip archive.
-    for (let i = 0; i < filesArray.length; i++) {
-      const file = filesArray[i];
-      const path = file.webkitRelativePath || file.name;
-      const arrayBuffer = await file.arrayBuffer();
-      zip.file(path, arrayBuffer);
+/**
+ * Lists a folder's files by their path inside it.
+ * @param {File[]} files - Files from a folder input or a drop.
+ * @returns {Array<{path: string, size: number, lastModified: number}>}
+ *   One entry per file, in the same order, with paths relative to the folder.
+ */
+export function buildFolderManifest(files) {
+  return files.map((file) => ({
+    // webkitRelativePath starts with the folder's own name; drop it
+    path: file.webkitRelativePath
+      ? file.webkitRelativePath.split("/").slice(1).join("/")
+      : file.name,
+    size: file.size,
+    lastModified: file.lastModified,
+  }));
+}
 
-      // Update the UI every 10 files to avoid too many re-renders.
-      if (i % 10 === 0 || i === filesArray.length - 1) {
-        setMessages((p) => {
-          const newMessages = [...p];
-          if (newMessages[newMessages.length - 1]?.text.includes("Zipping")) {
-            newMessages[newMessages.length - 1] = {
-              type: "system",
-              text: `Zipping ${i + 1}/${filesArray.length} files...`,
-            };
-          }
-          return newMessages;
-        });
-        // Yield to the event loop to keep the UI responsive.
-        await new Promise((resolve) => setTimeout(resolve, 0));
-      }
+/**
+ * Splits a manifest into pages small enough to send as one message each.
+ * @param {Array<object>} entries - From `buildFolderManifest`.
+ * @returns {Array<Array<object>>} At least one page.
+ */
+export function splitManifest(entries) {
+  const pages = [[]];
+  let pageSize = 0;
+  for (const entry of entries) {
+    const entrySize = JSON.stringify(entry).length + 1;
+    if (pageSize + entrySize > MANIFEST_PAGE_SIZE && pages.at(-1).length) {
+      pages.push([]);
+      pageSize = 0;
     }
+    pages.at(-1).push(entry);
+    pageSize += entrySize;
+  }
+  return pages;
+}
 
-    setMessages((p) => [
-      ...p.slice(0, -1),
-      { type: "system", text: "Generating zip file..." },
-    ]);
-
-    // Generate the final zip file as a Blob.
-    const zipBlob = await zip.generateAsync({
-      type: "blob",
-      compression: "DEFLATE",
-      compressionOptions: { level: 6 }, // A good balance of speed and compression.
-    });
+/**
+ * Splits a relative path from a peer, refusing anything that could escape
+ * the folder it is meant to stay in.
+ * @param {string} path - A "/"-separated relative path.
+ * @returns {string[]} The path's segments.
+ * @throws {Error} If the path is empty, absolute or climbs out with "..".
+ */
+function splitRelativePath(path) {
+  const segments = String(path).split("/");
+  if (segments.some((s) => UNSAFE_SEGMENTS.has(s) || s.includes("\\"))) {
+    throw new Error(`Unsafe path in folder: ${path}`);
+  }
+  return segments;
+}
 
-    const zipFile = new File([zipBlob], `${folderName}.zip`, {
-      type: "application/zip",
-    });
+/**
+ * Opens (creating as needed) a directory below another one.
+ * @param {FileSystemDirectoryHandle} root - Where the path starts.
+ * @param {string} path - A "/"-separated relative path.
+ * @returns {Promise<FileSystemDirectoryHandle>} The directory.
+ */
+export function createDirectoryAtPath(root, path) {
+  return openDirectories(root, splitRelativePath(path));
+}
 
-    log(`Zip created: ${zipFile.name}, size: ${zipFile.size} bytes`);
-    setMessages((p) => [
-      ...p.slice(0, -1),
-      {
-        type: "system",
-        text: `Zip created: ${(zipFile.size / 1024 / 1024).toFixed(2)} MB`,
-      },
-    ]);
+/**
+ * Creates a file below a directory, along with any directories on its path.
+ * @param {FileSystemDirectoryHandle} root - Where the path starts.
+ * @param {string} path - The file's "/"-separated relative path.
+ * @returns {Promise<FileSystemFileHandle>} The (empty or existing) file.
+ */
+export async function createFileAtPath(root, path) {
+  const segments = splitRelativePath(path);
+  const directory = await openDirectories(root, segments.slice(0, -1));
+  return directory.getFileHandle(segments.at(-1), { create: true });
+}
 
-    // Finally, send the created zip file.
-    await sendFile(zipFile);
-  } catch (error) {
-    log("Folder zip error", error.message);
-    throw new Error("Failed to zip folder: " + error.message);
+async function openDirectories(root, segments) {
+  let directory = root;
+  for (const segment of segments) {
+    directory = await directory.getDirectoryHandle(segment, { create: true });
   }
+  return directory;
 }
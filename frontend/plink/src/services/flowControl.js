@@ -0,0 +1,190 @@
+import { FRAME_HEADER_SIZE, FRAME_DIGEST_SIZE } from "./framing";
+import { SEAL_OVERHEAD } from "./encryption";
+
+/**
+ * Flow control for outgoing file transfers.
+ *
+ * In "auto" mode a transfer is indexed in small fixed chunks (AUTO_CHUNK_UNIT)
+ * and each frame carries a run of them, so the frame size can change while
+ * the transfer runs without breaking resume or integrity checks. A controller
+ * per receiver grows frames while throughput keeps improving, shrinks them
+ * when the send buffer drains slowly, and sizes the send buffer from the
+ * bandwidth-delay product (throughput x RTT from `getStats()`). Frames never
+ * exceed the SCTP max message size of the connection.
+ *
+ * "fixed" mode keeps one chunk per frame and static buffer thresholds, which
+ * makes transfers predictable when debugging.
+ */
+
+export const CHUNK_MODES = {
+  AUTO: "auto",
+  FIXED: "fixed",
+};
+
+// Indexing unit of auto-mode transfers; frames are whole multiples of it
+export const AUTO_CHUNK_UNIT = 16 * 1024;
+
+const INITIAL_FRAME_SIZE = 64 * 1024;
+const MAX_FRAME_SIZE = 256 * 1024; // Bigger messages stall other channels (head-of-line)
+// Send buffer bounds in auto mode
+const MIN_HIGH_WATER_MARK = 1024 * 1024;
+const MAX_HIGH_WATER_MARK = 16 * 1024 * 1024;
+// How often throughput is sampled and the frame size reconsidered
+const SAMPLE_INTERVAL_MS = 500;
+// Assumed RTT until the first getStats() reading
+const DEFAULT_RTT = 0.05;
+// Max message size a peer may assume when the SDP doesn't advertise one
+const DEFAULT_MAX_MESSAGE_SIZE = 64 * 1024;
+
+/**
+ * Largest chunk payload that fits one data channel message on a connection,
+ * leaving room for the frame header, digest and encryption overhead.
+ * @param {RTCPeerConnection} [pc] - The connection the frames go over.
+ * @returns {number} Payload size in bytes.
+ */
+export function getMaxFramePayload(pc) {
+  const maxMessageSize = pc?.sctp?.maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE;
+  // Firefox reports a huge (or infinite) limit; our own cap applies anyway
+  return (
+    Math.min(maxMessageSize, MAX_FRAME_SIZE + FRAME_HEADER_SIZE) -
+    FRAME_HEADER_SIZE -
+    FRAME_DIGEST_SIZE -
+    SEAL_OVERHEAD
+  );
+}
+
+/**
+ * Reads the round-trip time of the connection's selected candidate pair.
+ * @param {RTCPeerConnection} pc - The connection to measure.
+ * @returns {Promise<number|null>} RTT in seconds, or null if not known yet.
+ */
+export async function measureRtt(pc) {
+  const stats = await pc.getStats();
+  let selectedPairId = null;
+  stats.forEach((report) => {
+    if (report.type === "transport" && report.selectedCandidatePairId) {
+      selectedPairId = report.selectedCandidatePairId;
+    }
+  });
+  let rtt = null;
+  stats.forEach((report) => {
+    if (report.type !== "candidate-pair") return;
+    // Firefox has no transport stats; it flags the selected pair instead
+    const isSelected = selectedPairId
+      ? report.id === selectedPairId
+      : report.selected || (report.nominated && report.state === "succeeded");
+    if (isSelected && report.currentRoundTripTime != null) {
+      rtt = report.currentRoundTripTime;
+    }
+  });
+  return rtt;
+}
+
+/**
+ * Creates the flow controller for one outgoing transfer to one peer.
+ * @param {object} options
+ * @param {string} options.mode - One of CHUNK_MODES.
+ * @param {number} options.chunkSize - The transfer's chunk (indexing) size.
+ * @param {number} options.maxPayload - Largest payload one frame may carry,
+ *   from `getMaxFramePayload`.
+ */
+export function createFlowController({ mode, chunkSize, maxPayload }) {
+  const isAuto = mode === CHUNK_MODES.AUTO;
+  const maxChunksPerFrame = Math.max(1, Math.floor(maxPayload / chunkSize));
+
+  let chunksPerFrame = isAuto
+    ? Math.min(Math.round(INITIAL_FRAME_SIZE / chunkSize), maxChunksPerFrame)
+    : 1;
+  let highWaterMark = chunkSize * 16;
+  let rtt = null;
+  let throughput = 0; // Smoothed bytes/sec
+  let drainRate = 0; // Smoothed bytes/sec the buffer drained while we waited
+  let lastThroughput = 0;
+  let windowStart = Date.now();
+  let windowBytes = 0;
+  let windowWaitMs = 0;
+
+  const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+  const adapt = (elapsedMs) => {
+    const sample = (windowBytes * 1000) / elapsedMs;
+    throughput = throughput ? throughput * 0.7 + sample * 0.3 : sample;
+    const rttSeconds = rtt ?? DEFAULT_RTT;
+
+    // Keep about two bandwidth-delay products in flight
+    highWaterMark = clamp(
+      2 * Math.max(throughput, drainRate) * rttSeconds,
+      MIN_HIGH_WATER_MARK,
+      MAX_HIGH_WATER_MARK,
+    );
+
+    // Mostly waiting on the buffer: the path is congested, so send less at once.
+    // Otherwise keep growing frames while that still buys throughput.
+    const congested = windowWaitMs > elapsedMs * 0.5;
+    if (congested && chunksPerFrame > 1) {
+      chunksPerFrame = Math.max(1, Math.floor(chunksPerFrame / 2));
+    } else if (!congested && throughput > lastThroughput * 1.05) {
+      chunksPerFrame = Math.min(chunksPerFrame * 2, maxChunksPerFrame);
+    }
+    lastThroughput = throughput;
+  };
+
+  return {
+    /** Chunks to put in the next frame. */
+    get chunksPerFrame() {
+      return chunksPerFrame;
+    },
+    /** Stop sending while `bufferedAmount` is at or above this. */
+    get highWaterMark() {
+      return highWaterMark;
+    },
+    /** Resume sending once `bufferedAmount` falls to this. */
+    get lowWaterMark() {
+      return isAuto ? highWaterMark / 2 : chunkSize * 4;
+    },
+
+    /**
+     * Records a sent frame, re-tuning the frame size and buffer thresholds
+     * once per sample interval (auto mode only).
+     * @param {number} bytes - Payload bytes sent.
+     */
+    onSent(bytes) {
+      windowBytes += bytes;
+      const elapsedMs = Date.now() - windowStart;
+      if (elapsedMs < SAMPLE_INTERVAL_MS) return;
+      if (isAuto) adapt(elapsedMs);
+      windowStart = Date.now();
+      windowBytes = 0;
+      windowWaitMs = 0;
+    },
+
+    /**
+     * Records a wait for the send buffer to drain.
+     * @param {number} drainedBytes - How much `bufferedAmount` fell meanwhile.
+     * @param {number} waitedMs - How long we waited.
+     */
+    onDrained(drainedBytes, waitedMs) {
+      windowWaitMs += waitedMs;
+      if (waitedMs <= 0) return;
+      const rate = (drainedBytes * 1000) / waitedMs;
+      drainRate = drainRate ? drainRate * 0.7 + rate * 0.3 : rate;
+    },
+
+    /** @param {number|null} seconds - Latest RTT reading. */
+    setRtt(seconds) {
+      if (seconds != null) rtt = seconds;
+    },
+
+    /** Current tuning, for the UI. */
+    snapshot() {
+      return {
+        mode,
+        frameSize: chunksPerFrame * chunkSize,
+        highWaterMark,
+        rtt,
+        throughput,
+        drainRate,
+      };
+    },
+  };
+}
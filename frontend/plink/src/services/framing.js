@@ -0,0 +1,116 @@
+/**
+ * Binary framing for file chunks sent over the file data channel.
+ *
+ * Every binary message is one frame: a fixed-size header followed by the
+ * chunk payload. The header tells the receiver which transfer the chunk
+ * belongs to, so several files (in both directions) can share one channel.
+ *
+ * Header layout (big-endian, FRAME_HEADER_SIZE bytes):
+ *   0  u8   version
+ *   1  u8   flags (see FRAME_FLAGS)
+ *   2  u16  chunk count  - consecutive chunks the payload covers (0 means 1)
+ *   4  u32  streamId     - numeric ID of the transfer, announced in its metadata
+ *   8  u32  chunk index  - of the first chunk in the payload
+ *   12 u32  payload length
+ *   16 u64  byte offset of the payload within the transferred data
+ *
+ * When the CHUNK_DIGEST flag is set, the header is followed by the 32-byte
+ * SHA-256 digest of the payload, then the payload itself.
+ *
+ * When the COMPRESSED flag is set, the payload is the raw-DEFLATE form of the
+ * chunk; the offset still refers to the uncompressed data.
+ */
+
+export const FRAME_VERSION = 1;
+export const FRAME_HEADER_SIZE = 24;
+export const FRAME_DIGEST_SIZE = 32;
+
+export const FRAME_FLAGS = {
+  CHUNK_DIGEST: 0x01, // A SHA-256 digest of the payload follows the header
+  COMPRESSED: 0x02, // The payload is deflated (see services/compression.js)
+};
+
+/**
+ * Generates a random 32-bit stream ID for a new outgoing transfer.
+ * @returns {number} An unsigned 32-bit integer.
+ */
+export function createStreamId() {
+  return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+/**
+ * Wraps a chunk payload in a frame header.
+ * @param {object} frame
+ * @param {number} frame.streamId - The transfer's stream ID.
+ * @param {number} frame.index - The chunk index within the transfer.
+ * @param {number} [frame.count=1] - How many consecutive chunks the payload holds.
+ * @param {number} frame.offset - Byte offset of the payload within the transfer.
+ * @param {ArrayBuffer|Uint8Array} frame.payload - The chunk data.
+ * @param {Uint8Array} [frame.digest] - SHA-256 digest of the payload, if any.
+ * @param {number} [frame.flags=0] - Frame flags.
+ * @returns {ArrayBuffer} The encoded frame, ready for `channel.send`.
+ */
+export function encodeChunkFrame({
+  streamId,
+  index,
+  count = 1,
+  offset,
+  payload,
+  digest,
+  flags = 0,
+}) {
+  const bytes =
+    payload instanceof Uint8Array ? payload : new Uint8Array(payload);
+  const digestSize = digest ? FRAME_DIGEST_SIZE : 0;
+  const buffer = new ArrayBuffer(
+    FRAME_HEADER_SIZE + digestSize + bytes.byteLength,
+  );
+  const view = new DataView(buffer);
+  view.setUint8(0, FRAME_VERSION);
+  view.setUint8(1, digest ? flags | FRAME_FLAGS.CHUNK_DIGEST : flags);
+  view.setUint16(2, count);
+  view.setUint32(4, streamId);
+  view.setUint32(8, index);
+  view.setUint32(12, bytes.byteLength);
+  view.setBigUint64(16, BigInt(offset));
+  if (digest) new Uint8Array(buffer, FRAME_HEADER_SIZE).set(digest);
+  new Uint8Array(buffer, FRAME_HEADER_SIZE + digestSize).set(bytes);
+  return buffer;
+}
+
+/**
+ * Parses a frame received on the file channel.
+ * @param {ArrayBuffer} buffer - The raw binary message.
+ * @returns {{flags: number, streamId: number, index: number, count: number, offset: number, digest: Uint8Array|null, payload: Uint8Array}}
+ * @throws {Error} If the frame is truncated or uses an unknown version.
+ */
+export function decodeChunkFrame(buffer) {
+  if (buffer.byteLength < FRAME_HEADER_SIZE) {
+    throw new Error(`Truncated frame (${buffer.byteLength} bytes)`);
+  }
+  const view = new DataView(buffer);
+  const version = view.getUint8(0);
+  if (version !== FRAME_VERSION) {
+    throw new Error(`Unsupported frame version ${version}`);
+  }
+  const flags = view.getUint8(1);
+  const length = view.getUint32(12);
+  const digestSize = flags & FRAME_FLAGS.CHUNK_DIGEST ? FRAME_DIGEST_SIZE : 0;
+  const payloadStart = FRAME_HEADER_SIZE + digestSize;
+  if (payloadStart + length !== buffer.byteLength) {
+    throw new Error(
+      `Frame length mismatch: header says ${length}, got ${buffer.byteLength - payloadStart}`,
+    );
+  }
+  return {
+    flags,
+    streamId: view.getUint32(4),
+    index: view.getUint32(8),
+    count: view.getUint16(2) || 1,
+    offset: Number(view.getBigUint64(16)),
+    digest: digestSize
+      ? new Uint8Array(buffer, FRAME_HEADER_SIZE, digestSize)
+      : null,
+    payload: new Uint8Array(buffer, payloadStart, length),
+  };
+}
@@ -1,12 +1,28 @@
 const DB_NAME = "plink-file-transfer-db";
-const DB_VERSION = 1;
+const DB_VERSION = 3;
+
+// Chunk writes are collected and committed together, every WRITE_BATCH_DELAY
+// ms or as soon as WRITE_BATCH_BYTES are waiting, whichever comes first
+const WRITE_BATCH_DELAY = 100;
+const WRITE_BATCH_BYTES = 8 * 1024 * 1024;
+// Unfinished transfers nobody touched for this long are purged at startup
+const STALE_TRANSFER_AGE = 7 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null; // The shared connection, opened on first use
+let pendingChunks = []; // Chunk records waiting for the next batch
+let pendingBytes = 0;
+let flushTimer = null;
+let lastCommit = Promise.resolve(); // The most recent batch's transaction
+const writeErrors = new Map(); // fileId -> why a batch of its chunks failed, until reported
 
 /**
- * Opens a connection to the IndexedDB database.
+ * Opens the connection to the IndexedDB database, or returns the open one.
  * Handles the initial setup and creation of object stores if they don't exist.
+ * @returns {Promise<IDBDatabase>}
  */
 function openDb() {
-  return new Promise((resolve, reject) => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
 
     request.onupgradeneeded = () => {
@@ -20,73 +36,155 @@ function openDb() {
         // Store for file metadata.
         db.createObjectStore("files", { keyPath: "fileId" });
       }
+      if (!db.objectStoreNames.contains("history")) {
+        // Store for finished transfers, oldest first (see services/transferHistory.js).
+        db.createObjectStore("history", { keyPath: "id", autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains("chats")) {
+        // Store for saved chats, one per room (see services/chatHistory.js).
+        db.createObjectStore("chats", { keyPath: "room" });
+      }
     };
 
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let another tab upgrade the database; we reopen on next use
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      db.onclose = () => {
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
   });
+  return dbPromise;
 }
 
 /**
- * Stores a single file chunk in the 'chunks' object store.
- * @param {string} fileId - The unique ID of the file.
- * @param {number} index - The index of this chunk.
- * @param {ArrayBuffer} data - The binary data of the chunk.
+ * Runs one transaction and waits for it to commit.
+ * @param {string[]} storeNames - The object stores it uses.
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {function(IDBTransaction): (IDBRequest|void)} body - Issues the
+ *   requests; the result of the request it returns, if any, is resolved.
+ * @returns {Promise<any>}
  */
-export async function storeChunkIndexedDB(fileId, index, data) {
+async function runTransaction(storeNames, mode, body) {
   const db = await openDb();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(["chunks"], "readwrite");
-    tx.objectStore("chunks").put({ fileId, index, data });
-    tx.oncomplete = () => resolve();
+    const tx = db.transaction(storeNames, mode);
+    const request = body(tx);
+    tx.oncomplete = () => resolve(request?.result);
     tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
   });
 }
 
+/**
+ * The key range covering every chunk of one file.
+ * @param {string} fileId - The unique ID of the file.
+ * @returns {IDBKeyRange}
+ */
+function fileChunkRange(fileId) {
+  // Chunks are keyed by [fileId, index], so this range covers one file.
+  return IDBKeyRange.bound([fileId, 0], [fileId, Infinity]);
+}
+
+/**
+ * Starts committing the chunks waiting to be written, in one transaction.
+ * A failure is kept in `writeErrors` for each file in the batch, so only
+ * that file's next call reports it.
+ */
+function commitPendingChunks() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!pendingChunks.length) return;
+  const records = pendingChunks;
+  pendingChunks = [];
+  pendingBytes = 0;
+  lastCommit = runTransaction(["chunks"], "readwrite", (tx) => {
+    const store = tx.objectStore("chunks");
+    records.forEach((record) => store.put(record));
+  }).catch((e) => {
+    records.forEach((record) => writeErrors.set(record.fileId, e));
+  });
+}
+
+/**
+ * Reports a failed batch to the file it held chunks of, once.
+ * @param {string} fileId - The unique ID of the file.
+ * @throws {Error} The batch's error, if one of this file's batches failed.
+ */
+function throwWriteError(fileId) {
+  const error = writeErrors.get(fileId);
+  if (!error) return;
+  writeErrors.delete(fileId);
+  throw error;
+}
+
+/**
+ * Commits the chunks waiting to be written and waits until they are.
+ * Reads call this first, so they always see every stored chunk.
+ * @param {string} fileId - The file the caller is about to read or write.
+ * @throws {Error} If a batch with this file's chunks failed (typically the
+ *   storage quota ran out).
+ */
+async function flushChunkWrites(fileId) {
+  commitPendingChunks();
+  await lastCommit;
+  throwWriteError(fileId);
+}
+
+/**
+ * Queues consecutive file chunks to be stored in the 'chunks' object store.
+ * Chunks are committed in batches shortly after, so this only waits when a
+ * full batch has to be written first. The record of which chunks are stored
+ * is the store itself, so chunks lost to a crash before their batch commits
+ * are simply requested again on resume.
+ * @param {string} fileId - The unique ID of the file.
+ * @param {number} firstIndex - The index of the first chunk.
+ * @param {Array<ArrayBuffer|Uint8Array>} chunks - The binary data of each chunk.
+ * @throws {Error} If an earlier batch with this file's chunks failed to commit.
+ */
+export async function storeChunksIndexedDB(fileId, firstIndex, chunks) {
+  throwWriteError(fileId);
+  chunks.forEach((data, i) => {
+    pendingChunks.push({ fileId, index: firstIndex + i, data });
+    pendingBytes += data.byteLength;
+  });
+  if (pendingBytes >= WRITE_BATCH_BYTES) {
+    await flushChunkWrites(fileId);
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(commitPendingChunks, WRITE_BATCH_DELAY);
+  }
+}
+
 /**
  * Saves the metadata for a file being received.
  * @param {object} fileMeta - The file metadata object.
  */
-export async function saveFileMetadataIndexedDB(fileMeta) {
-  const db = await openDb();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(["files"], "readwrite");
+export function saveFileMetadataIndexedDB(fileMeta) {
+  return runTransaction(["files"], "readwrite", (tx) => {
     tx.objectStore("files").put(fileMeta);
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => reject(tx.error);
   });
 }
 
 /**
  * Retrieves all stored chunks for a given fileId to reconstruct the file.
  * @param {string} fileId - The unique ID of the file.
- * @param {number} totalChunks - The expected number of chunks.
+ * @returns {Promise<Array<ArrayBuffer|Uint8Array>>} The chunks, in index order.
  */
 export async function readAllChunksIndexedDB(fileId) {
-  const db = await openDb();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(["chunks"], "readonly");
-    const store = tx.objectStore("chunks");
-    const chunks = [];
-
-    const request = store.openCursor();
-    request.onsuccess = (e) => {
-      const cursor = e.target.result;
-      if (cursor) {
-        if (cursor.value.fileId === fileId) {
-          // Store chunks in order.
-          chunks[cursor.value.index] = cursor.value.data;
-        }
-        cursor.continue();
-      }
-    };
-
-    tx.oncomplete = () => {
-      // Filter out any potential empty spots if a chunk was missed.
-      resolve(chunks.filter((c) => c));
-    };
-    tx.onerror = () => reject(tx.error);
-  });
+  await flushChunkWrites(fileId);
+  const records = await runTransaction(["chunks"], "readonly", (tx) =>
+    tx.objectStore("chunks").getAll(fileChunkRange(fileId)),
+  );
+  return records.map((record) => record.data);
 }
 
 /**
@@ -94,24 +192,172 @@ export async function readAllChunksIndexedDB(fileId) {
  * @param {string} fileId - The unique ID of the file to delete.
  */
 export async function deleteFileIndexedDB(fileId) {
-  const db = await openDb();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(["chunks", "files"], "readwrite");
-    // Delete all associated chunks.
-    const chunkStore = tx.objectStore("chunks");
-    const request = chunkStore.openCursor();
-    request.onsuccess = (e) => {
-      const cursor = e.target.result;
-      if (cursor) {
-        if (cursor.value.fileId === fileId) {
-          cursor.delete();
-        }
-        cursor.continue();
+  // Chunks of this file that haven't been written yet never will be
+  pendingChunks = pendingChunks.filter((record) => record.fileId !== fileId);
+  writeErrors.delete(fileId);
+  await runTransaction(["chunks", "files"], "readwrite", (tx) => {
+    tx.objectStore("chunks").delete(fileChunkRange(fileId));
+    tx.objectStore("files").delete(fileId);
+  });
+}
+
+/**
+ * Reads the stored metadata record for a single file.
+ * @param {string} fileId - The unique ID of the file.
+ * @returns {Promise<object|undefined>} The record, if one exists.
+ */
+export function getFileMetadataIndexedDB(fileId) {
+  return runTransaction(["files"], "readonly", (tx) =>
+    tx.objectStore("files").get(fileId),
+  );
+}
+
+/**
+ * Lists every file metadata record. A record only exists while its
+ * transfer is unfinished, so this is the list of resumable transfers.
+ * @returns {Promise<object[]>} All stored metadata records.
+ */
+export function listFileMetadataIndexedDB() {
+  return runTransaction(["files"], "readonly", (tx) =>
+    tx.objectStore("files").getAll(),
+  );
+}
+
+/**
+ * Lists the chunk indices already stored for a file, without reading the data.
+ * @param {string} fileId - The unique ID of the file.
+ * @returns {Promise<number[]>} The stored chunk indices, in ascending order.
+ */
+export async function getStoredChunkIndicesIndexedDB(fileId) {
+  await flushChunkWrites(fileId);
+  const keys = await runTransaction(["chunks"], "readonly", (tx) =>
+    tx.objectStore("chunks").getAllKeys(fileChunkRange(fileId)),
+  );
+  return keys.map(([, index]) => index);
+}
+
+/**
+ * Deletes what crashed or abandoned sessions left behind: transfers not
+ * updated for a week, and chunks whose transfer has no metadata record.
+ * Call once at startup. Other tabs' transfers are safe, since their records
+ * are saved before any chunk and updated every few seconds.
+ * @returns {Promise<number>} How many transfers were purged.
+ */
+export async function purgeStaleTransfersIndexedDB() {
+  const cutoff = Date.now() - STALE_TRANSFER_AGE;
+  const records = await listFileMetadataIndexedDB();
+  const known = new Set(records.map((r) => r.fileId));
+  const live = new Set(
+    records.filter((r) => r.updatedAt >= cutoff).map((r) => r.fileId),
+  );
+  let purged = records.length - live.size;
+  await runTransaction(["chunks", "files"], "readwrite", (tx) => {
+    records.forEach((r) => {
+      if (!live.has(r.fileId)) tx.objectStore("files").delete(r.fileId);
+    });
+    // Visit each file's chunks once: jump straight past the ones we keep
+    const chunks = tx.objectStore("chunks");
+    const request = chunks.openKeyCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const [fileId] = cursor.key;
+      if (!live.has(fileId)) {
+        chunks.delete(fileChunkRange(fileId));
+        if (!known.has(fileId)) purged++;
       }
+      cursor.continue([fileId, Infinity]);
     };
-    // Delete the file metadata entry.
-    tx.objectStore("files").delete(fileId);
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => reject(tx.error);
+  });
+  return purged;
+}
+
+/**
+ * Estimates how much more this origin may store, for checking that a file
+ * fits in IndexedDB before accepting it.
+ * @returns {Promise<number|null>} Free bytes, or null if the browser can't tell.
+ */
+export async function getFreeStorageIndexedDB() {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage = 0, quota } = await navigator.storage.estimate();
+    return quota == null ? null : quota - usage;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Adds a finished transfer to the history.
+ * @param {object} entry - From `createHistoryEntry`.
+ * @returns {Promise<number>} The entry's ID.
+ */
+export function addHistoryEntryIndexedDB(entry) {
+  return runTransaction(["history"], "readwrite", (tx) =>
+    tx.objectStore("history").add(entry),
+  );
+}
+
+/**
+ * Reads one history entry.
+ * @param {number} id - From `addHistoryEntryIndexedDB`.
+ * @returns {Promise<object|undefined>} The entry, if it still exists.
+ */
+export function getHistoryEntryIndexedDB(id) {
+  return runTransaction(["history"], "readonly", (tx) =>
+    tx.objectStore("history").get(id),
+  );
+}
+
+/**
+ * Lists the whole transfer history.
+ * @returns {Promise<object[]>} Every entry, newest first.
+ */
+export async function listHistoryIndexedDB() {
+  const entries = await runTransaction(["history"], "readonly", (tx) =>
+    tx.objectStore("history").getAll(),
+  );
+  return entries.reverse();
+}
+
+/**
+ * Deletes the whole transfer history.
+ */
+export function clearHistoryIndexedDB() {
+  return runTransaction(["history"], "readwrite", (tx) => {
+    tx.objectStore("history").clear();
+  });
+}
+
+/**
+ * Reads a room's saved chat.
+ * @param {string} room - The room name.
+ * @returns {Promise<{room: string, messages: object[], savedAt: number}|undefined>}
+ *   The saved chat, if the room has one.
+ */
+export function getChatHistoryIndexedDB(room) {
+  return runTransaction(["chats"], "readonly", (tx) =>
+    tx.objectStore("chats").get(room),
+  );
+}
+
+/**
+ * Saves a room's chat, replacing what was saved before.
+ * @param {string} room - The room name.
+ * @param {object[]} messages - From `toSavedMessages`.
+ */
+export function saveChatHistoryIndexedDB(room, messages) {
+  return runTransaction(["chats"], "readwrite", (tx) => {
+    tx.objectStore("chats").put({ room, messages, savedAt: Date.now() });
+  });
+}
+
+/**
+ * Deletes a room's saved chat.
+ * @param {string} room - The room name.
+ */
+export function deleteChatHistoryIndexedDB(room) {
+  return runTransaction(["chats"], "readwrite", (tx) => {
+    tx.objectStore("chats").delete(room);
   });
 }
@@ -0,0 +1,68 @@
+import { sha256 } from "@noble/hashes/sha2.js";
+import { bytesToHex } from "@noble/hashes/utils.js";
+
+/**
+ * SHA-256 helpers for end-to-end transfer verification.
+ *
+ * Each chunk carries its own digest (checked as it arrives, so a corrupted
+ * chunk can be re-requested), and the sender announces a digest of the whole
+ * original file once all chunks are out. WebCrypto can't hash incrementally,
+ * so whole-file digests use @noble/hashes and stream the data in pieces.
+ */
+
+export const DIGEST_ALGORITHM = "SHA-256";
+export const DIGEST_SIZE = 32; // Bytes in a SHA-256 digest
+
+/**
+ * Hashes one chunk with WebCrypto.
+ * @param {ArrayBuffer|Uint8Array} data - The chunk payload.
+ * @returns {Promise<Uint8Array>} The 32-byte digest.
+ */
+export async function digestChunk(data) {
+  return new Uint8Array(await crypto.subtle.digest(DIGEST_ALGORITHM, data));
+}
+
+/**
+ * Compares two digests in constant time.
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean} True if both digests are equal.
+ */
+export function digestsEqual(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+/**
+ * Creates an incremental SHA-256 hasher.
+ * @returns {{update: function(Uint8Array): void, digestHex: function(): string}}
+ */
+export function createHasher() {
+  const hash = sha256.create();
+  return {
+    update: (bytes) => hash.update(bytes),
+    digestHex: () => bytesToHex(hash.digest()),
+  };
+}
+
+/**
+ * Hashes a Blob or File without loading it into memory all at once.
+ * @param {Blob} blob - The data to hash.
+ * @param {function(number): void} [onProgress] - Called with bytes hashed so far.
+ * @returns {Promise<string>} The hex-encoded SHA-256 digest.
+ */
+export async function hashBlob(blob, onProgress) {
+  const hasher = createHasher();
+  const reader = blob.stream().getReader();
+  let hashed = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    hasher.update(value);
+    hashed += value.byteLength;
+    if (onProgress) onProgress(hashed);
+  }
+  return hasher.digestHex();
+}
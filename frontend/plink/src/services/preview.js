@@ -0,0 +1,173 @@
+/**
+ * Small previews of files, sent along with a transfer offer so the receiver
+ * can see what they are accepting, and kept on the transfer's card in the
+ * chat. A preview has to fit in one data channel message next to the rest
+ * of the offer, so anything bigger is left out.
+ */
+
+// Longest edge of an image thumbnail, in pixels
+const THUMBNAIL_SIZE = 160;
+// Largest thumbnail data URL we send; a preview is optional, so too big means none
+const MAX_THUMBNAIL_LENGTH = 24 * 1024;
+// Images bigger than this aren't decoded just for a thumbnail
+const MAX_IMAGE_SIZE = 50 * 1024 * 1024;
+// How much of a text file is shown: its first lines, within this many bytes
+const TEXT_PREVIEW_BYTES = 512;
+const TEXT_PREVIEW_LINES = 8;
+// How long a video gets to load its poster frame before we give up on it
+const VIDEO_LOAD_TIMEOUT = 5000;
+
+const TEXT_TYPES = new Set(["application/json", "application/xml"]);
+
+/**
+ * Renders a JPEG thumbnail of an image or video frame.
+ * @param {CanvasImageSource} source - What to draw.
+ * @param {number} width - Its width in pixels.
+ * @param {number} height - Its height in pixels.
+ * @returns {string|null} A data URL, or null if the thumbnail is too big.
+ */
+function drawThumbnail(source, width, height) {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext("2d").drawImage(source, 0, 0, canvas.width, canvas.height);
+  const dataUrl = canvas.toDataURL("image/jpeg", 0.7);
+  return dataUrl.length <= MAX_THUMBNAIL_LENGTH ? dataUrl : null;
+}
+
+/**
+ * Renders a JPEG thumbnail of an image file.
+ * @param {File} file - The image.
+ * @returns {Promise<string|null>} A data URL, or null if the thumbnail is
+ *   too big.
+ */
+async function createThumbnail(file) {
+  const bitmap = await createImageBitmap(file);
+  try {
+    return drawThumbnail(bitmap, bitmap.width, bitmap.height);
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Waits for a media element event.
+ * @param {HTMLMediaElement} media - The element.
+ * @param {string} event - e.g. "seeked".
+ * @returns {Promise<void>} Rejects if the media fails to load or takes
+ *   longer than VIDEO_LOAD_TIMEOUT.
+ */
+function waitForMedia(media, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error("Timed out loading video")),
+      VIDEO_LOAD_TIMEOUT,
+    );
+    media.addEventListener(
+      event,
+      () => {
+        clearTimeout(timer);
+        resolve();
+      },
+      { once: true },
+    );
+    media.addEventListener(
+      "error",
+      () => {
+        clearTimeout(timer);
+        reject(media.error);
+      },
+      { once: true },
+    );
+  });
+}
+
+/**
+ * Grabs a poster frame from a video file: a second in, or a tenth of the
+ * way into shorter clips, so it isn't the black first frame.
+ * @param {File} file - The video.
+ * @returns {Promise<{dataUrl: string, duration: number}|null>} The frame
+ *   and the video's length in seconds, or null if the frame is too big.
+ */
+async function createVideoPoster(file) {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement("video");
+  video.muted = true;
+  video.preload = "auto";
+  video.src = url;
+  try {
+    await waitForMedia(video, "loadeddata");
+    video.currentTime = Math.min(1, video.duration / 10 || 0);
+    await waitForMedia(video, "seeked");
+    const dataUrl = drawThumbnail(video, video.videoWidth, video.videoHeight);
+    return dataUrl ? { dataUrl, duration: video.duration } : null;
+  } finally {
+    video.removeAttribute("src");
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Builds the preview for a file offer.
+ * @param {File} file - The file about to be offered.
+ * @returns {Promise<{kind: "image", dataUrl: string}|{kind: "video", dataUrl: string, duration: number}|{kind: "text", text: string}|null>}
+ *   The preview, or null for files we don't preview.
+ */
+export async function createFilePreview(file) {
+  try {
+    if (file.type.startsWith("image/") && file.size <= MAX_IMAGE_SIZE) {
+      const dataUrl = await createThumbnail(file);
+      return dataUrl ? { kind: "image", dataUrl } : null;
+    }
+    if (file.type.startsWith("video/")) {
+      const poster = await createVideoPoster(file);
+      return poster ? { kind: "video", ...poster } : null;
+    }
+    if (file.type.startsWith("text/") || TEXT_TYPES.has(file.type)) {
+      const text = await file.slice(0, TEXT_PREVIEW_BYTES).text();
+      return {
+        kind: "text",
+        text: text.split("\n").slice(0, TEXT_PREVIEW_LINES).join("\n"),
+      };
+    }
+  } catch {
+    // Formats the browser can't decode (HEIC, or most MKV) simply get no preview
+  }
+  return null;
+}
+
+/**
+ * Checks a preview a peer sent before we render it, keeping it to what
+ * `createFilePreview` would have made.
+ * @param {*} preview - The offer's preview, as received.
+ * @returns {object|null} The preview, or null if it isn't one we show.
+ */
+export function sanitizePreview(preview) {
+  if (!preview || typeof preview !== "object") return null;
+  const { kind, dataUrl, text, duration } = preview;
+  if (kind === "image" || kind === "video") {
+    if (
+      typeof dataUrl !== "string" ||
+      !dataUrl.startsWith("data:image/") ||
+      dataUrl.length > MAX_THUMBNAIL_LENGTH
+    ) {
+      return null;
+    }
+    return kind === "image"
+      ? { kind, dataUrl }
+      : { kind, dataUrl, duration: Number.isFinite(duration) ? duration : 0 };
+  }
+  if (kind === "text" && typeof text === "string") {
+    return {
+      kind,
+      text: text
+        .slice(0, TEXT_PREVIEW_BYTES)
+        .split("\n")
+        .slice(0, TEXT_PREVIEW_LINES)
+        .join("\n"),
+    };
+  }
+  return null;
+}
@@ -0,0 +1,110 @@
+/**
+ * Transfer history entries, kept in IndexedDB (see services/indexedDB.js)
+ * so they outlive the transfer's progress card and the room's chat.
+ *
+ * One entry is recorded per sent or received file, or per folder as a whole.
+ * `status` is how it ended: "verified", "mismatch", "failed", "cancelled",
+ * "declined", "interrupted" (the connection dropped; it may still resume),
+ * or "incomplete" for a folder where some files failed.
+ */
+
+// Columns of an exported history, in order
+export const HISTORY_FIELDS = [
+  "finishedAt",
+  "direction",
+  "kind",
+  "name",
+  "size",
+  "fileCount",
+  "status",
+  "duration",
+  "averageSpeed",
+  "compressed",
+  "compressionRatio",
+  "room",
+  "peers",
+];
+
+/**
+ * Builds a history entry for a transfer that just ended.
+ * @param {object} transfer
+ * @param {"sent"|"received"} transfer.direction
+ * @param {"file"|"folder"} [transfer.kind="file"]
+ * @param {string} transfer.name
+ * @param {number} transfer.size - Bytes in the file (or the whole folder).
+ * @param {number} transfer.startedAt - When it started, in ms since the epoch.
+ * @param {string} transfer.status - How it ended (see above).
+ * @param {string|null} transfer.room - The room it happened in.
+ * @param {string[]} transfer.peers - The other ends' peer IDs.
+ * @param {object} [extra] - Any other fields to store (e.g. `compressionRatio`).
+ * @returns {object} The entry, ready to store.
+ */
+export function createHistoryEntry(
+  { direction, kind = "file", name, size, startedAt, status, room, peers },
+  extra = {},
+) {
+  const finishedAt = Date.now();
+  const duration = Math.max(finishedAt - startedAt, 0);
+  return {
+    direction,
+    kind,
+    name,
+    size,
+    status,
+    room,
+    peers,
+    startedAt,
+    finishedAt,
+    duration,
+    averageSpeed: duration > 0 ? size / (duration / 1000) : null,
+    compressed: false,
+    compressionRatio: null,
+    fileCount: kind === "folder" ? 0 : 1,
+    ...extra,
+  };
+}
+
+/**
+ * Picks an entry's exported fields, in a form that reads well outside the app.
+ * @param {object} entry - A stored history entry.
+ * @returns {object} Plain values only; dates as ISO strings.
+ */
+function exportEntry(entry) {
+  const row = {};
+  HISTORY_FIELDS.forEach((field) => {
+    row[field] = entry[field] ?? null;
+  });
+  row.finishedAt = new Date(entry.finishedAt).toISOString();
+  row.peers = entry.peers || [];
+  return row;
+}
+
+function csvCell(value) {
+  if (value == null) return "";
+  let text = Array.isArray(value) ? value.join(" ") : String(value);
+  // File names come from peers; keep spreadsheets from running them as formulas
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats history entries as CSV, one row per entry after a header row.
+ * @param {object[]} entries - Stored history entries.
+ * @returns {string}
+ */
+export function historyToCsv(entries) {
+  const rows = entries.map((entry) => {
+    const row = exportEntry(entry);
+    return HISTORY_FIELDS.map((field) => csvCell(row[field])).join(",");
+  });
+  return [HISTORY_FIELDS.join(","), ...rows].join("\r\n");
+}
+
+/**
+ * Formats history entries as a JSON array.
+ * @param {object[]} entries - Stored history entries.
+ * @returns {string}
+ */
+export function historyToJson(entries) {
+  return JSON.stringify(entries.map(exportEntry), null, 2);
+}
@@ -0,0 +1,281 @@
+import { log } from "../utils/logger";
+
+/**
+ * Main-thread side of the transfer worker (workers/transferWorker.js).
+ *
+ * Reading outgoing chunks, compressing and framing them, checking and
+ * inflating incoming frames and hashing whole files all run in the worker,
+ * so big transfers don't freeze the UI. ArrayBuffers are transferred, not
+ * copied, in both directions, and the worker posts back only results and
+ * progress events.
+ *
+ * Outgoing files are registered as "sources" first; the worker keeps the
+ * File (or builds a streamed zip of a folder) and reads from it on request.
+ * Incoming files without a file handle can be written to "downloads", ports
+ * into the download service worker that the worker writes and hashes in order.
+ * Delta transfers (services/deltaSync.js) sign the receiver's base file and
+ * rebuild the new one there, and match the sender's source against the
+ * signature, all in the worker as well.
+ */
+
+let worker = null;
+let nextRequestId = 1;
+// Source IDs and the IDs of other progress reports share one sequence
+let nextSourceId = 1;
+// Request ID -> { resolve, reject } of calls waiting on the worker
+const pendingCalls = new Map();
+// Source (or hash) ID -> listener for its progress events
+const progressListeners = new Map();
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(
+    new URL("../workers/transferWorker.js", import.meta.url),
+    { type: "module" },
+  );
+  worker.onmessage = ({ data }) => {
+    if (data.event === "progress") {
+      progressListeners.get(data.id)?.(data.progress);
+      return;
+    }
+    const call = pendingCalls.get(data.id);
+    if (!call) return;
+    pendingCalls.delete(data.id);
+    if (data.error) call.reject(new Error(data.error));
+    else call.resolve(data.result);
+  };
+  worker.onerror = (e) => {
+    log("Transfer worker error", e.message);
+    pendingCalls.forEach((call) =>
+      call.reject(new Error("Transfer worker failed")),
+    );
+    pendingCalls.clear();
+  };
+  return worker;
+}
+
+function callWorker(op, args, transfer = []) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingCalls.set(id, { resolve, reject });
+    getWorker().postMessage({ id, op, args }, transfer);
+  });
+}
+
+/**
+ * Registers a file to send.
+ * @param {File|{files: File[], folderName: string}} source - The file, or a
+ *   folder's files to send as one zip (see services/zipStream.js).
+ * @returns {Promise<{sourceId: number, name: string, type: string, size: number}>}
+ */
+export async function openSource(source) {
+  const sourceId = nextSourceId++;
+  const args =
+    source instanceof Blob
+      ? { sourceId, file: source }
+      : { sourceId, files: source.files, folderName: source.folderName };
+  return { sourceId, ...(await callWorker("open-source", args)) };
+}
+
+/**
+ * Releases a source once nothing will read from it again.
+ * @param {number} sourceId - From `openSource`.
+ */
+export function closeSource(sourceId) {
+  progressListeners.delete(sourceId);
+  return callWorker("close-source", { sourceId });
+}
+
+/**
+ * Listens to a source's progress events (a folder zip reports how far
+ * archiving has got). Replaces any earlier listener for the source.
+ * @param {number} sourceId - From `openSource`.
+ * @param {function(object): void} listener - Gets each progress report.
+ */
+export function onSourceProgress(sourceId, listener) {
+  progressListeners.set(sourceId, listener);
+}
+
+/**
+ * Picks how a source is compressed on the wire (see services/compressionPolicy.js).
+ * @param {number} sourceId - From `openSource`.
+ * @param {object} options - As for `chooseCompression`.
+ * @returns {Promise<{compress: boolean, strategy: string, ratio: number|null}>}
+ */
+export function chooseSourceCompression(sourceId, options) {
+  return callWorker("choose-compression", { sourceId, options });
+}
+
+/**
+ * Hashes a whole source.
+ * @param {number} sourceId - From `openSource`.
+ * @returns {Promise<string>} The hex-encoded SHA-256 digest.
+ */
+export function hashSource(sourceId) {
+  return callWorker("hash-source", { sourceId });
+}
+
+/**
+ * Reads a run of a source's chunks as one encoded frame (compressed when
+ * that helps, with the payload's digest).
+ * @param {number} sourceId - From `openSource`.
+ * @param {object} frame
+ * @param {number} frame.streamId - The transfer's stream ID.
+ * @param {number} frame.index - The first chunk index.
+ * @param {number} frame.count - How many consecutive chunks to include.
+ * @param {number} frame.chunkSize - The transfer's chunk size.
+ * @param {boolean} frame.compress - Whether the transfer is compressed.
+ * @param {boolean} [frame.fresh] - Hash the payload again instead of using
+ *   the digest cached for this run.
+ * @returns {Promise<ArrayBuffer>} The frame, ready to send.
+ */
+export function readSourceFrame(sourceId, frame) {
+  return callWorker("read-frame", { sourceId, ...frame });
+}
+
+/**
+ * Verifies an incoming frame's digest and inflates its payload. The buffer
+ * is transferred to the worker, so read the header before calling this.
+ * @param {ArrayBuffer} buffer - The (decrypted) frame.
+ * @param {{chunkSize: number, size: number}} meta - The transfer's metadata.
+ * @returns {Promise<{data: ArrayBuffer}|{resend: string}>} The chunk data,
+ *   or why the frame should be sent again.
+ */
+export function unpackFrame(buffer, { chunkSize, size }) {
+  return callWorker("unpack-frame", { buffer, chunkSize, size }, [buffer]);
+}
+
+/**
+ * Hashes a received file.
+ * @param {Blob} blob - The file.
+ * @param {function(number): void} [onProgress] - Gets the fraction hashed so
+ *   far, whenever it passes another percent.
+ * @returns {Promise<string>} The hex-encoded SHA-256 digest.
+ */
+export async function hashFile(blob, onProgress) {
+  const progressId = nextSourceId++;
+  if (onProgress) progressListeners.set(progressId, onProgress);
+  try {
+    return await callWorker("hash-blob", { blob, progressId });
+  } finally {
+    progressListeners.delete(progressId);
+  }
+}
+
+/**
+ * Signs a base file for a delta transfer.
+ * @param {Blob} file - The older version the receiver already has.
+ * @returns {Promise<{blockSize: number, baseSize: number, signature: Uint8Array}>}
+ */
+export function computeBaseSignature(file) {
+  return callWorker("compute-signature", { file });
+}
+
+/**
+ * Matches a source against a receiver's signature and registers what the
+ * receiver is missing (the literal stream) as a new source, read like any
+ * other. Close it with `closeSource` when done.
+ * @param {number} baseSourceId - From `openSource`; a single file.
+ * @param {{blockSize: number, baseSize: number, signature: Uint8Array}} base
+ *   - The receiver's signature.
+ * @returns {Promise<{sourceId: number, ops: number[], size: number}>} The
+ *   literal source, the ops to rebuild the file and the literal size.
+ * @throws {Error} If the signature is malformed or the source is a folder.
+ */
+export async function openDeltaSource(baseSourceId, base) {
+  const sourceId = nextSourceId++;
+  const result = await callWorker("open-delta-source", {
+    sourceId,
+    baseSourceId,
+    ...base,
+  });
+  return { sourceId, ...result };
+}
+
+/**
+ * Starts rebuilding an incoming file from a base the receiver has.
+ * @param {string} targetId - The transfer's file ID.
+ * @param {object} target
+ * @param {Blob} target.base - The base file the signature was made from.
+ * @param {number[]} target.ops - From the sender.
+ * @param {number} target.targetSize - Bytes in the file being rebuilt.
+ * @param {number} target.literalSize - Bytes of literal data coming.
+ * @throws {Error} If the ops don't fit the base and target sizes.
+ */
+export function openDeltaTarget(targetId, target) {
+  return callWorker("open-delta-target", { targetId, ...target });
+}
+
+/**
+ * Hands received literal data to a file being rebuilt, in any order.
+ * @param {string} targetId - From `openDeltaTarget`.
+ * @param {number} offset - Where the data goes in the literal stream.
+ * @param {ArrayBuffer} data - The data; it is transferred.
+ */
+export function writeDeltaLiteral(targetId, offset, data) {
+  return callWorker("write-delta-literal", { targetId, offset, data }, [data]);
+}
+
+/**
+ * Takes the next rebuilt bytes of a file, as whole chunks.
+ * @param {string} targetId - From `openDeltaTarget`.
+ * @param {number} chunkSize - The transfer's chunk size.
+ * @param {number} maxBytes - At most this much; a multiple of `chunkSize`.
+ * @returns {Promise<{index: number, data: ArrayBuffer|null}>} The first
+ *   chunk's index and the data, or null data while literal data is missing.
+ */
+export function readDeltaOutput(targetId, chunkSize, maxBytes) {
+  return callWorker("read-delta-output", { targetId, chunkSize, maxBytes });
+}
+
+/**
+ * Forgets a file being rebuilt.
+ * @param {string} targetId - From `openDeltaTarget`.
+ */
+export function closeDeltaTarget(targetId) {
+  return callWorker("close-delta-target", { targetId });
+}
+
+/**
+ * Hands a streaming download's port (see services/downloadStream.js) to the
+ * worker, which then writes the file into it.
+ * @param {string} downloadId - From `startDownloadStream`.
+ * @param {MessagePort} port - From `startDownloadStream`; it is transferred.
+ */
+export function openDownload(downloadId, port) {
+  return callWorker("open-download", { downloadId, port }, [port]);
+}
+
+/**
+ * Writes received data into a streaming download. Data may arrive in any
+ * order; the worker holds it until everything before it has been written,
+ * within a limit. Resolves late while the browser is behind on writing.
+ * @param {string} downloadId - From `startDownloadStream`.
+ * @param {number} offset - Where the data goes in the file.
+ * @param {ArrayBuffer} data - The data; it is transferred.
+ * @returns {Promise<boolean>} False if the data was too far ahead to keep,
+ *   and has to be sent again.
+ * @throws {Error} If the user cancelled the download in the browser.
+ */
+export function writeDownload(downloadId, offset, data) {
+  return callWorker("write-download", { downloadId, offset, data }, [data]);
+}
+
+/**
+ * Ends a streaming download.
+ * @param {string} downloadId - From `startDownloadStream`.
+ * @returns {Promise<{digest: string, size: number}>} The hex-encoded SHA-256
+ *   digest and size of what was written.
+ * @throws {Error} If data is missing in the middle of the file.
+ */
+export function finishDownload(downloadId) {
+  return callWorker("finish-download", { downloadId });
+}
+
+/**
+ * Cancels a streaming download; the browser reports it as failed.
+ * @param {string} downloadId - From `startDownloadStream`.
+ */
+export function abortDownload(downloadId) {
+  return callWorker("abort-download", { downloadId });
+}
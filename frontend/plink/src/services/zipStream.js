@@ -0,0 +1,460 @@
+/**
+ * Streaming zip archives for folder transfers.
+ *
+ * `createZipArchive` lays out a zip of a folder's files without reading
+ * them: entries are stored (the transfer compresses chunks on the wire
+ * anyway), so every header, offset and the total size are known up front.
+ * The result behaves like a File — `size`, `slice()` and `stream()` — and
+ * reads archive bytes straight from the source files on demand, so it can be
+ * sent as soon as it is created, with memory bounded by the read size.
+ *
+ * Only CRC-32s can't be known in advance. They go in a data descriptor
+ * after each entry (general purpose flag bit 3) and in the central
+ * directory at the end; each is computed as the entry's bytes are first read
+ * in order, and an entry is read through once more only if its descriptor
+ * is needed before that happened.
+ *
+ * ZIP64 records are used for entries of 4 GB or more and for archives whose
+ * offsets, sizes or entry count outgrow the classic format.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const ZIP64_END_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const END_SIGNATURE = 0x06054b50;
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const ZIP64_END_SIZE = 56;
+const ZIP64_LOCATOR_SIZE = 20;
+const END_SIZE = 22;
+
+// Flag bit 3: CRC and sizes follow the data; bit 11: names are UTF-8
+const ENTRY_FLAGS = 0x0008 | 0x0800;
+const VERSION_STORED = 20;
+const VERSION_ZIP64 = 45;
+const EXTENDED_TIMESTAMP_ID = 0x5455;
+const EXTENDED_TIMESTAMP_SIZE = 4 + 5; // Header, flags and mtime
+const ZIP64_EXTRA_ID = 0x0001;
+
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+// How much `stream()` and the CRC catch-up read from the files at once
+const READ_SIZE = 1024 * 1024;
+// Least time between progress reports
+const PROGRESS_INTERVAL_MS = 200;
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+/**
+ * Continues a CRC-32 over more bytes.
+ * @param {number} crc - The CRC so far (0 to start).
+ * @param {Uint8Array} bytes - The next bytes.
+ * @returns {number} The updated CRC.
+ */
+function updateCrc32(crc, bytes) {
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+/**
+ * Converts a timestamp to the MS-DOS date and time fields zip headers use.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @returns {{date: number, time: number}} Local date and time, 2 s precision.
+ */
+function toDosDateTime(timestamp) {
+  const d = new Date(timestamp);
+  if (d.getFullYear() < 1980) return { date: (1 << 5) | 1, time: 0 };
+  return {
+    date:
+      ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+  };
+}
+
+/**
+ * Small helper for writing little-endian records.
+ * @param {number} size - Record size in bytes.
+ */
+function createRecord(size) {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  return {
+    bytes,
+    u8(value) {
+      view.setUint8(offset, value);
+      offset += 1;
+      return this;
+    },
+    u16(value) {
+      view.setUint16(offset, value, true);
+      offset += 2;
+      return this;
+    },
+    u32(value) {
+      view.setUint32(offset, value, true);
+      offset += 4;
+      return this;
+    },
+    u64(value) {
+      view.setBigUint64(offset, BigInt(value), true);
+      offset += 8;
+      return this;
+    },
+    raw(data) {
+      bytes.set(data, offset);
+      offset += data.length;
+      return this;
+    },
+  };
+}
+
+function writeExtendedTimestamp(record, entry) {
+  record
+    .u16(EXTENDED_TIMESTAMP_ID)
+    .u16(5)
+    .u8(1) // Only the modification time is present
+    .u32(Math.max(0, Math.floor(entry.lastModified / 1000)));
+}
+
+function buildLocalHeader(entry) {
+  const record = createRecord(entry.headerSize);
+  record
+    .u32(LOCAL_HEADER_SIGNATURE)
+    .u16(entry.zip64 ? VERSION_ZIP64 : VERSION_STORED)
+    .u16(ENTRY_FLAGS)
+    .u16(0) // Stored
+    .u16(entry.dos.time)
+    .u16(entry.dos.date)
+    .u32(0) // CRC, in the data descriptor
+    .u32(entry.zip64 ? MAX_UINT32 : 0)
+    .u32(entry.zip64 ? MAX_UINT32 : 0)
+    .u16(entry.nameBytes.length)
+    .u16(entry.headerSize - LOCAL_HEADER_SIZE - entry.nameBytes.length)
+    .raw(entry.nameBytes);
+  if (entry.zip64) {
+    // Sizes are in the data descriptor; this tells readers it has 8-byte ones
+    record.u16(ZIP64_EXTRA_ID).u16(16).u64(0).u64(0);
+  }
+  writeExtendedTimestamp(record, entry);
+  return record.bytes;
+}
+
+function buildDataDescriptor(entry) {
+  const record = createRecord(entry.descriptorSize).u32(
+    DATA_DESCRIPTOR_SIGNATURE,
+  );
+  record.u32(entry.crc);
+  return entry.zip64
+    ? record.u64(entry.size).u64(entry.size).bytes
+    : record.u32(entry.size).u32(entry.size).bytes;
+}
+
+// Values that don't fit their central directory field move to its ZIP64 extra
+function centralZip64Fields(entry) {
+  const fields = [];
+  if (entry.zip64) fields.push(entry.size, entry.size);
+  if (entry.headerOffset >= MAX_UINT32) fields.push(entry.headerOffset);
+  return fields;
+}
+
+function centralHeaderSize(entry) {
+  const zip64Fields = centralZip64Fields(entry).length;
+  return (
+    CENTRAL_HEADER_SIZE +
+    entry.nameBytes.length +
+    (zip64Fields ? 4 + zip64Fields * 8 : 0) +
+    EXTENDED_TIMESTAMP_SIZE
+  );
+}
+
+function writeCentralHeader(record, entry) {
+  const zip64Fields = centralZip64Fields(entry);
+  const version =
+    zip64Fields.length > 0 || entry.zip64 ? VERSION_ZIP64 : VERSION_STORED;
+  record
+    .u32(CENTRAL_HEADER_SIGNATURE)
+    .u16(version) // Made by
+    .u16(version) // Needed to extract
+    .u16(ENTRY_FLAGS)
+    .u16(0) // Stored
+    .u16(entry.dos.time)
+    .u16(entry.dos.date)
+    .u32(entry.crc)
+    .u32(entry.zip64 ? MAX_UINT32 : entry.size)
+    .u32(entry.zip64 ? MAX_UINT32 : entry.size)
+    .u16(entry.nameBytes.length)
+    .u16(
+      centralHeaderSize(entry) - CENTRAL_HEADER_SIZE - entry.nameBytes.length,
+    )
+    .u16(0) // Comment length
+    .u16(0) // Disk number
+    .u16(0) // Internal attributes
+    .u32(0) // External attributes
+    .u32(Math.min(entry.headerOffset, MAX_UINT32))
+    .raw(entry.nameBytes);
+  if (zip64Fields.length) {
+    record.u16(ZIP64_EXTRA_ID).u16(zip64Fields.length * 8);
+    zip64Fields.forEach((value) => record.u64(value));
+  }
+  writeExtendedTimestamp(record, entry);
+}
+
+/**
+ * Lays out a stored zip of a folder's files, readable like a File while
+ * the bytes are produced on demand.
+ * @param {File[]} files - The folder's files; each is archived under its
+ *   `webkitRelativePath` (or its name, for loose files).
+ * @param {string} folderName - Names the archive.
+ * @returns {object} A File-like archive: `name`, `type`, `size`,
+ *   `lastModified`, `slice(start, end)` and `stream()`. Set its
+ *   `onProgress` to be told `{ filesDone, fileCount, bytesDone, totalBytes }`
+ *   as files are archived.
+ */
+export function createZipArchive(files, folderName) {
+  const entries = [];
+  const segments = []; // { offset, length, kind, entry? }, in archive order
+  let offset = 0;
+  const addSegment = (kind, length, entry) => {
+    segments.push({ offset, length, kind, entry });
+    offset += length;
+  };
+
+  for (const file of files) {
+    const nameBytes = encoder.encode(file.webkitRelativePath || file.name);
+    const zip64 = file.size >= MAX_UINT32;
+    const entry = {
+      file,
+      nameBytes,
+      size: file.size,
+      lastModified: file.lastModified,
+      dos: toDosDateTime(file.lastModified),
+      zip64,
+      headerOffset: offset,
+      headerSize:
+        LOCAL_HEADER_SIZE +
+        nameBytes.length +
+        (zip64 ? 20 : 0) +
+        EXTENDED_TIMESTAMP_SIZE,
+      descriptorSize: zip64 ? 24 : 16,
+      crc: 0,
+      crcOffset: 0, // How far into the file the CRC has got
+      crcDone: file.size === 0,
+      crcCatchUp: null,
+    };
+    entries.push(entry);
+    addSegment("header", entry.headerSize, entry);
+    addSegment("data", entry.size, entry);
+    addSegment("descriptor", entry.descriptorSize, entry);
+  }
+
+  const centralOffset = offset;
+  const centralSize = entries.reduce((sum, e) => sum + centralHeaderSize(e), 0);
+  const needsZip64 =
+    entries.length >= MAX_UINT16 ||
+    centralOffset >= MAX_UINT32 ||
+    centralSize >= MAX_UINT32 ||
+    entries.some((e) => e.zip64 || e.headerOffset >= MAX_UINT32);
+  addSegment(
+    "central",
+    centralSize +
+      (needsZip64 ? ZIP64_END_SIZE + ZIP64_LOCATOR_SIZE : 0) +
+      END_SIZE,
+  );
+  const size = offset;
+  const totalBytes = entries.reduce((sum, e) => sum + e.size, 0);
+
+  let filesDone = entries.filter((e) => e.crcDone).length;
+  let bytesDone = 0;
+  let lastReportAt = 0;
+  let centralDirectory = null;
+
+  const reportProgress = () => {
+    const now = Date.now();
+    if (
+      filesDone < entries.length &&
+      now - lastReportAt < PROGRESS_INTERVAL_MS
+    ) {
+      return;
+    }
+    lastReportAt = now;
+    archive.onProgress?.({
+      filesDone,
+      fileCount: entries.length,
+      bytesDone,
+      totalBytes,
+    });
+  };
+
+  // Folds bytes read from an entry into its CRC, if they are the next ones
+  const advanceCrc = (entry, start, bytes) => {
+    if (entry.crcDone || start !== entry.crcOffset) return;
+    entry.crc = updateCrc32(entry.crc, bytes);
+    entry.crcOffset += bytes.length;
+    bytesDone += bytes.length;
+    if (entry.crcOffset === entry.size) {
+      entry.crcDone = true;
+      filesDone++;
+    }
+    reportProgress();
+  };
+
+  const readEntryData = async (entry, start, end) => {
+    const bytes = new Uint8Array(
+      await entry.file.slice(start, end).arrayBuffer(),
+    );
+    advanceCrc(entry, start, bytes);
+    return bytes;
+  };
+
+  // Reads the rest of an entry whose CRC is needed before it was read in full
+  const ensureCrc = (entry) => {
+    if (entry.crcDone) return Promise.resolve();
+    entry.crcCatchUp ||= (async () => {
+      while (!entry.crcDone) {
+        const start = entry.crcOffset;
+        await readEntryData(
+          entry,
+          start,
+          Math.min(start + READ_SIZE, entry.size),
+        );
+      }
+    })();
+    return entry.crcCatchUp;
+  };
+
+  const buildCentralDirectory = async () => {
+    for (const entry of entries) await ensureCrc(entry);
+    const record = createRecord(segments.at(-1).length);
+    entries.forEach((entry) => writeCentralHeader(record, entry));
+    if (needsZip64) {
+      record
+        .u32(ZIP64_END_SIGNATURE)
+        .u64(ZIP64_END_SIZE - 12) // Size of the rest of this record
+        .u16(VERSION_ZIP64)
+        .u16(VERSION_ZIP64)
+        .u32(0) // This disk
+        .u32(0) // Disk with the central directory
+        .u64(entries.length)
+        .u64(entries.length)
+        .u64(centralSize)
+        .u64(centralOffset)
+        .u32(ZIP64_LOCATOR_SIGNATURE)
+        .u32(0) // Disk with the ZIP64 end record
+        .u64(centralOffset + centralSize)
+        .u32(1); // Total disks
+    }
+    record
+      .u32(END_SIGNATURE)
+      .u16(0)
+      .u16(0)
+      .u16(Math.min(entries.length, MAX_UINT16))
+      .u16(Math.min(entries.length, MAX_UINT16))
+      .u32(Math.min(centralSize, MAX_UINT32))
+      .u32(Math.min(centralOffset, MAX_UINT32))
+      .u16(0); // Comment length
+    return record.bytes;
+  };
+
+  const readSegment = async (segment, start, end) => {
+    const { entry } = segment;
+    switch (segment.kind) {
+      case "header":
+        return buildLocalHeader(entry).subarray(start, end);
+      case "data":
+        return readEntryData(entry, start, end);
+      case "descriptor":
+        await ensureCrc(entry);
+        return buildDataDescriptor(entry).subarray(start, end);
+      default:
+        centralDirectory ||= buildCentralDirectory();
+        return (await centralDirectory).subarray(start, end);
+    }
+  };
+
+  /**
+   * Reads a range of the archive.
+   * @param {number} start - First byte.
+   * @param {number} end - Byte after the last.
+   * @returns {Promise<ArrayBuffer>} The archive bytes.
+   */
+  const readRange = async (start, end) => {
+    const out = new Uint8Array(Math.max(0, end - start));
+    // Binary search for the segment holding `start`
+    let low = 0;
+    let high = segments.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (segments[mid].offset <= start) low = mid;
+      else high = mid - 1;
+    }
+    for (let i = low; i < segments.length; i++) {
+      const segment = segments[i];
+      if (segment.offset >= end) break;
+      const from = Math.max(start, segment.offset);
+      const to = Math.min(end, segment.offset + segment.length);
+      if (to <= from) continue;
+      const bytes = await readSegment(
+        segment,
+        from - segment.offset,
+        to - segment.offset,
+      );
+      out.set(bytes, from - start);
+    }
+    return out.buffer;
+  };
+
+  const archive = {
+    name: `${folderName}.zip`,
+    type: "application/zip",
+    size,
+    lastModified: Date.now(),
+    // Entries are stored as-is, so the archive is as compressible as its files
+    isStoredArchive: true,
+    onProgress: null,
+
+    /**
+     * Like `Blob.slice`: a view of part of the archive, read when asked.
+     * @param {number} [start=0] - First byte.
+     * @param {number} [end=size] - Byte after the last.
+     */
+    slice(start = 0, end = size) {
+      const from = Math.min(Math.max(start, 0), size);
+      const to = Math.min(Math.max(end, from), size);
+      return {
+        size: to - from,
+        arrayBuffer: () => readRange(from, to),
+      };
+    },
+
+    /** Like `Blob.stream`: the whole archive, read in order. */
+    stream() {
+      let position = 0;
+      return new ReadableStream({
+        async pull(controller) {
+          if (position >= size) {
+            controller.close();
+            return;
+          }
+          const end = Math.min(position + READ_SIZE, size);
+          controller.enqueue(new Uint8Array(await readRange(position, end)));
+          position = end;
+        },
+      });
+    },
+  };
+  return archive;
+}
@@ -1,6 +1,15 @@
 // --- CONFIGURATION ---
-// The default size for each chunk of data sent over the data channel
+// The default size for each chunk of data sent over the data channel,
+// when chunk size is fixed (auto mode tunes it per transfer)
 export const DEFAULT_CHUNK_SIZE = 256 * 1024;
 
+// Upper bound for the number of parallel file channels per peer connection
+export const MAX_FILE_CHANNELS = 8;
+
 // The backend server URL for signaling
 export const SERVER_URL = "https://plink-revamp-backend.onrender.com";
+
+// Room capacity (max peers) offered when creating a room.
+// The server enforces its own upper bound as well.
+export const DEFAULT_ROOM_CAPACITY = 2;
+export const MAX_ROOM_CAPACITY = 8;
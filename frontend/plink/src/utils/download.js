@@ -0,0 +1,14 @@
+/**
+ * Saves text as a file through a temporary download link.
+ * @param {string} text - The file's contents.
+ * @param {string} name - The file name.
+ * @param {string} type - The MIME type.
+ */
+export function downloadText(text, name, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 100);
+}
@@ -0,0 +1,6 @@
+/**
+ * Shortens a peer's socket ID into something readable for the UI.
+ * @param {string} peerId - The full socket ID of the peer.
+ * @returns {string} The first few characters of the ID.
+ */
+export const shortPeerId = (peerId) => (peerId ? peerId.slice(0, 6) : "?");
@@ -0,0 +1,45 @@
+/**
+ * Helpers for describing sets of chunk indices compactly as ranges.
+ * Used by the resume handshake, where a receiver may hold thousands of chunks.
+ */
+
+/**
+ * Collapses a list of chunk indices into inclusive [start, end] ranges.
+ * @param {Iterable<number>} indices - Chunk indices, in any order.
+ * @returns {Array<[number, number]>} Sorted, non-overlapping ranges.
+ */
+export function toRanges(indices) {
+  const sorted = Array.from(new Set(indices)).sort((a, b) => a - b);
+  const ranges = [];
+  for (const index of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && index === last[1] + 1) {
+      last[1] = index;
+    } else {
+      ranges.push([index, index]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Expands ranges produced by `toRanges` back into a Set of indices.
+ * @param {Array<[number, number]>} ranges - Inclusive index ranges.
+ * @returns {Set<number>} The chunk indices covered by the ranges.
+ */
+export function fromRanges(ranges = []) {
+  const indices = new Set();
+  for (const [start, end] of ranges) {
+    for (let i = start; i <= end; i++) indices.add(i);
+  }
+  return indices;
+}
+
+/**
+ * Counts the indices covered by a list of ranges without expanding them.
+ * @param {Array<[number, number]>} ranges - Inclusive index ranges.
+ * @returns {number} The number of indices.
+ */
+export function countRanges(ranges = []) {
+  return ranges.reduce((sum, [start, end]) => sum + end - start + 1, 0);
+}
@@ -0,0 +1,383 @@
+import {
+  FRAME_FLAGS,
+  encodeChunkFrame,
+  decodeChunkFrame,
+} from "../services/framing";
+import {
+  digestChunk,
+  digestsEqual,
+  hashBlob,
+  createHasher,
+} from "../services/integrity";
+import { compressChunk, decompressChunk } from "../services/compression";
+import { chooseCompression } from "../services/compressionPolicy";
+import { createZipArchive } from "../services/zipStream";
+import {
+  computeSignature,
+  computeDelta,
+  createDeltaAssembler,
+} from "../services/deltaSync";
+
+/**
+ * The transfer worker: file reads, compression and digests for both sides
+ * of a transfer, off the main thread. Requests and replies are described in
+ * services/transferPipeline.js, which is the only thing that talks to it.
+ */
+
+// Most out-of-order data a download holds while it waits for a gap to be
+// filled; data further ahead is refused, to be sent again later
+const MAX_PENDING_DOWNLOAD_BYTES = 32 * 1024 * 1024;
+// Most in-order data a download keeps before the service worker asks for
+// it; past this, writes wait
+const MAX_UNSENT_DOWNLOAD_BYTES = 8 * 1024 * 1024;
+// Frame digests kept per source. Receivers of a fan-out read close to each
+// other, so recent frames are enough; older ones are hashed again if needed
+const MAX_CACHED_DIGESTS = 1024;
+
+// sourceId -> { file, chunkDigests } for every file being sent
+const sources = new Map();
+// downloadId -> { port, hasher, written, pending, unsent, credit, ... } for
+// every file being streamed into a browser download (see
+// services/downloadStream.js)
+const downloads = new Map();
+// targetId -> { assembler, carry, emitted } for every file being rebuilt
+// from a base the receiver already has (see services/deltaSync.js)
+const deltaTargets = new Map();
+
+function getSource(sourceId) {
+  const source = sources.get(sourceId);
+  if (!source) throw new Error(`Unknown transfer source ${sourceId}`);
+  return source;
+}
+
+function getDeltaTarget(targetId) {
+  const target = deltaTargets.get(targetId);
+  if (!target) throw new Error(`Unknown delta target ${targetId}`);
+  return target;
+}
+
+function getDownload(downloadId) {
+  const download = downloads.get(downloadId);
+  if (!download) throw new Error(`Unknown download ${downloadId}`);
+  if (download.cancelled) throw new Error("Download was cancelled");
+  return download;
+}
+
+/**
+ * Posts a download's in-order data to the service worker, one buffer for
+ * each time its stream asked for more, and wakes the writes waiting for
+ * room.
+ * @param {object} download
+ */
+function sendUnsent(download) {
+  while (!download.cancelled && download.credit > 0 && download.unsent.length) {
+    const buffer = download.unsent.shift();
+    download.credit--;
+    download.unsentBytes -= buffer.byteLength;
+    download.port.postMessage({ type: "data", buffer }, [buffer]);
+  }
+  download.waiters = download.waiters.filter(({ limit, resolve }) => {
+    if (download.unsentBytes > limit && !download.cancelled) return true;
+    resolve();
+    return false;
+  });
+}
+
+/**
+ * Waits until a download has at most `limit` bytes left to hand over (or
+ * was cancelled).
+ * @param {object} download
+ * @param {number} limit
+ * @returns {Promise<void>}
+ */
+function waitForUnsent(download, limit) {
+  if (download.unsentBytes <= limit || download.cancelled) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => download.waiters.push({ limit, resolve }));
+}
+
+/**
+ * Copies a view into a buffer of its own, unless it already spans one, so
+ * the buffer can be transferred without dragging anything else along.
+ * @param {Uint8Array} bytes
+ * @returns {ArrayBuffer}
+ */
+function ownBuffer(bytes) {
+  return bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength
+    ? bytes.buffer
+    : bytes.slice().buffer;
+}
+
+const operations = {
+  // A file to send, or a folder's files to send as a zip streamed on demand
+  "open-source": ({ sourceId, file, files, folderName }) => {
+    const source = file || createZipArchive(files, folderName);
+    if (source.isStoredArchive) {
+      source.onProgress = (progress) =>
+        self.postMessage({ event: "progress", id: sourceId, progress });
+    }
+    // `${index}+${count}` -> digest of that frame's payload, so a fan-out
+    // to several peers hashes a run once when the frames line up (oldest
+    // first, up to MAX_CACHED_DIGESTS)
+    sources.set(sourceId, { file: source, chunkDigests: new Map() });
+    return { name: source.name, type: source.type, size: source.size };
+  },
+
+  "close-source": ({ sourceId }) => {
+    sources.delete(sourceId);
+  },
+
+  "choose-compression": ({ sourceId, options }) =>
+    chooseCompression(getSource(sourceId).file, options),
+
+  "hash-source": ({ sourceId }) => hashBlob(getSource(sourceId).file),
+
+  // Reports the fraction hashed under `progressId`, at most once per percent
+  "hash-blob": ({ blob, progressId }) => {
+    let reported = -1;
+    return hashBlob(blob, (hashed) => {
+      const percent = Math.floor((hashed / blob.size) * 100);
+      if (percent === reported) return;
+      reported = percent;
+      self.postMessage({
+        event: "progress",
+        id: progressId,
+        progress: hashed / blob.size,
+      });
+    });
+  },
+
+  // Reads a run of chunks, deflates it if that helps and frames it with its digest
+  "read-frame": async ({
+    sourceId,
+    streamId,
+    index,
+    count,
+    chunkSize,
+    compress,
+    fresh,
+  }) => {
+    const { file, chunkDigests } = getSource(sourceId);
+    const offset = index * chunkSize;
+    let payload = await file
+      .slice(offset, offset + count * chunkSize)
+      .arrayBuffer();
+    let flags = 0;
+    if (compress) {
+      const compressed = await compressChunk(payload);
+      if (compressed.byteLength < payload.byteLength) {
+        payload = compressed;
+        flags = FRAME_FLAGS.COMPRESSED;
+      }
+    }
+    const key = `${index}+${count}`;
+    let digest = fresh ? null : chunkDigests.get(key);
+    if (!digest) {
+      digest = await digestChunk(payload);
+      chunkDigests.delete(key); // Re-inserted as the newest
+      chunkDigests.set(key, digest);
+      if (chunkDigests.size > MAX_CACHED_DIGESTS) {
+        chunkDigests.delete(chunkDigests.keys().next().value);
+      }
+    }
+    return encodeChunkFrame({
+      streamId,
+      index,
+      count,
+      offset,
+      payload,
+      digest,
+      flags,
+    });
+  },
+
+  // Checks an incoming frame's digest and inflates it; a frame that fails
+  // either comes back as `{ resend: reason }`
+  "unpack-frame": async ({ buffer, chunkSize, size }) => {
+    const frame = decodeChunkFrame(buffer);
+    if (frame.digest) {
+      const actual = await digestChunk(frame.payload);
+      if (!digestsEqual(actual, frame.digest)) {
+        return { resend: "Chunk digest mismatch" };
+      }
+    }
+    if (!(frame.flags & FRAME_FLAGS.COMPRESSED)) {
+      // Copy the payload out of the frame so we don't keep the header around
+      return { data: frame.payload.slice().buffer };
+    }
+    let data;
+    try {
+      data = await decompressChunk(frame.payload);
+    } catch (e) {
+      return { resend: `Chunk decompression failed (${e.message})` };
+    }
+    const expected = Math.min(frame.count * chunkSize, size - frame.offset);
+    if (data.byteLength !== expected) {
+      return { resend: "Decompressed chunk has the wrong size" };
+    }
+    return { data: ownBuffer(data) };
+  },
+
+  "compute-signature": ({ file }) => computeSignature(file),
+
+  // Matches a source against a receiver's signature and registers the
+  // literal stream the receiver needs as a source of its own
+  "open-delta-source": async ({
+    sourceId,
+    baseSourceId,
+    blockSize,
+    baseSize,
+    signature,
+  }) => {
+    const { file } = getSource(baseSourceId);
+    if (file.isStoredArchive) {
+      throw new Error("Delta transfers need a single file");
+    }
+    const { ops, literals, literalSize } = await computeDelta(file, {
+      blockSize,
+      baseSize,
+      signature,
+    });
+    const literal = new Blob(
+      literals.map(([start, end]) => file.slice(start, end)),
+    );
+    sources.set(sourceId, { file: literal, chunkDigests: new Map() });
+    return { ops, size: literalSize };
+  },
+
+  "open-delta-target": ({ targetId, base, ops, targetSize, literalSize }) => {
+    deltaTargets.set(targetId, {
+      assembler: createDeltaAssembler({ base, ops, targetSize, literalSize }),
+      // Rebuilt bytes short of a whole chunk, held until the rest is there
+      carry: new Uint8Array(0),
+      emitted: 0,
+    });
+  },
+
+  "write-delta-literal": ({ targetId, offset, data }) => {
+    getDeltaTarget(targetId).assembler.addLiteral(offset, data);
+  },
+
+  // The next whole chunks of the rebuilt file (the last one may be short),
+  // up to `maxBytes`; `data` is null while they wait on literal data
+  "read-delta-output": async ({ targetId, chunkSize, maxBytes }) => {
+    const target = getDeltaTarget(targetId);
+    const { assembler, carry } = target;
+    const fresh = await assembler.read(maxBytes - carry.length);
+    let bytes = fresh;
+    if (carry.length) {
+      bytes = new Uint8Array(carry.length + fresh.length);
+      bytes.set(carry);
+      bytes.set(fresh, carry.length);
+    }
+    const whole = assembler.done()
+      ? bytes.length
+      : bytes.length - (bytes.length % chunkSize);
+    target.carry = bytes.slice(whole);
+    const index = target.emitted / chunkSize;
+    target.emitted += whole;
+    return { index, data: whole ? ownBuffer(bytes.subarray(0, whole)) : null };
+  },
+
+  "close-delta-target": ({ targetId }) => {
+    deltaTargets.delete(targetId);
+  },
+
+  "open-download": ({ downloadId, port }) => {
+    const download = {
+      port,
+      hasher: createHasher(),
+      written: 0,
+      // Offset -> data of chunks that arrived ahead of the next write
+      pending: new Map(),
+      pendingBytes: 0,
+      // Data in file order the service worker hasn't asked for yet
+      unsent: [],
+      unsentBytes: 0,
+      credit: 0, // Buffers the service worker asked for and didn't get yet
+      waiters: [], // Writes waiting for `unsent` to shrink
+      cancelled: false,
+    };
+    // The service worker asks for each buffer its stream wants, and says so
+    // when the user cancels the browser download
+    port.onmessage = ({ data }) => {
+      if (data.type === "pull") download.credit++;
+      if (data.type === "cancelled") download.cancelled = true;
+      sendUnsent(download);
+    };
+    downloads.set(downloadId, download);
+  },
+
+  // A download can only be written front to back, so data that arrives out
+  // of order (striping, re-sent chunks) waits here until the gap is filled.
+  // Resolves to false if the data is too far ahead to keep; once the
+  // service worker falls behind, it resolves only when it catches up.
+  "write-download": async ({ downloadId, offset, data }) => {
+    const download = getDownload(downloadId);
+    if (offset < download.written) return true; // Already written
+    if (download.pending.has(offset)) return true;
+    if (
+      offset > download.written &&
+      download.pendingBytes + data.byteLength > MAX_PENDING_DOWNLOAD_BYTES
+    ) {
+      return false;
+    }
+    download.pending.set(offset, data);
+    download.pendingBytes += data.byteLength;
+    while (download.pending.has(download.written)) {
+      const buffer = download.pending.get(download.written);
+      download.pending.delete(download.written);
+      download.pendingBytes -= buffer.byteLength;
+      download.hasher.update(new Uint8Array(buffer));
+      download.written += buffer.byteLength;
+      download.unsent.push(buffer);
+      download.unsentBytes += buffer.byteLength;
+    }
+    sendUnsent(download);
+    await waitForUnsent(download, MAX_UNSENT_DOWNLOAD_BYTES);
+    if (download.cancelled) throw new Error("Download was cancelled");
+    return true;
+  },
+
+  // Ends the download once the service worker has everything, and returns
+  // the digest and size of what was written
+  "finish-download": async ({ downloadId }) => {
+    const download = getDownload(downloadId);
+    if (download.pending.size) {
+      downloads.delete(downloadId);
+      download.port.postMessage({ type: "abort" });
+      throw new Error("Download ended with chunks missing");
+    }
+    await waitForUnsent(download, 0);
+    downloads.delete(downloadId);
+    if (download.cancelled) throw new Error("Download was cancelled");
+    download.port.postMessage({ type: "end" });
+    return { digest: download.hasher.digestHex(), size: download.written };
+  },
+
+  "abort-download": ({ downloadId }) => {
+    const download = downloads.get(downloadId);
+    if (!download) return;
+    downloads.delete(downloadId);
+    download.cancelled = true;
+    download.unsent = [];
+    download.unsentBytes = 0;
+    sendUnsent(download); // Lets waiting writes go
+    download.port.postMessage({ type: "abort" });
+  },
+};
+
+self.onmessage = async ({ data: { id, op, args } }) => {
+  try {
+    const result = await operations[op](args);
+    // Frames and chunks move to the main thread rather than being copied
+    const buffer = result instanceof ArrayBuffer ? result : result?.data;
+    self.postMessage(
+      { id, result },
+      buffer instanceof ArrayBuffer ? [buffer] : [],
+    );
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};